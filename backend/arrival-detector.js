@@ -0,0 +1,231 @@
+const SpatialIndex = require('./spatial-index');
+const { calculateDistance } = require('./geo');
+const SHARED_CONSTANTS = require('../shared/constants');
+
+const MIN_RECORDED_DELAY_SECONDS = 10; // Smaller delays are feed noise, not worth remembering
+
+/**
+ * Detects vehicles arriving at stops from successive feed frames.
+ *
+ * A vehicle arrives when it comes within STOP_THRESHOLD_METERS of a stop and
+ * moved at least APPROACH_THRESHOLD_METERS closer since its previous position.
+ * The crossing time is interpolated between the two positions, and each
+ * vehicle/stop pair is debounced for ARRIVAL_DEBOUNCE_MS.
+ */
+class ArrivalDetector {
+  constructor(options = {}) {
+    this.threshold = options.threshold || SHARED_CONSTANTS.PROXIMITY.STOP_THRESHOLD_METERS;
+    this.approachThreshold = options.approachThreshold || SHARED_CONSTANTS.PROXIMITY.APPROACH_THRESHOLD_METERS;
+    this.debounceMs = options.debounceMs || SHARED_CONSTANTS.TIMING.ARRIVAL_DEBOUNCE_MS;
+    this.maxGapMs = options.maxGapMs || SHARED_CONSTANTS.TIMING.ARRIVAL_MAX_GAP_MS;
+    this.delayMaxAgeMs = options.delayMaxAgeMs || SHARED_CONSTANTS.TIMING.DELAY_RECORD_MAX_AGE_MS;
+
+    this.stopIndex = null;
+    this.lastPositions = new Map();  // vehicle id -> { lat, lon, timestamp }
+    this.recentArrivals = new Map(); // "vehicleId-stopId" -> arrival timestamp
+    this.stopDelays = new Map();     // stop id -> { delay, routeId, recordedAt }
+  }
+
+  /**
+   * Index stops for proximity queries
+   * @param {Array} stops - Stops with stop_id, stop_lat and stop_lon
+   */
+  setStops(stops) {
+    const located = stops.filter(stop => typeof stop.stop_lat === 'number' && typeof stop.stop_lon === 'number');
+    if (located.length === 0) {
+      this.stopIndex = null;
+      return;
+    }
+
+    const lats = located.map(stop => stop.stop_lat);
+    const lons = located.map(stop => stop.stop_lon);
+    const bounds = [[Math.min(...lats), Math.max(...lats)], [Math.min(...lons), Math.max(...lons)]];
+
+    this.stopIndex = new SpatialIndex(bounds, SHARED_CONSTANTS.SPATIAL.GRID_SIZE);
+    located.forEach(stop => this.stopIndex.addItem(stop.stop_lat, stop.stop_lon, stop));
+
+    const stats = this.stopIndex.getStats();
+    console.log(`Stop spatial index created: ${stats.totalItems} stops, ${stats.avgItemsPerCell} avg per cell, ${stats.cellSize.approxMeters} cell size`);
+  }
+
+  /**
+   * Compare a frame against the previous one and return the arrivals in between
+   * @param {Array} buses - Vehicle position entities
+   * @param {Array} updates - Trip update entities
+   * @param {number} timestamp - When the frame was fetched (ms)
+   * @returns {Array} Arrivals: { vehicleId, routeId, tripId, stopId, arrivalTime, delay, distance }
+   */
+  processFrame(buses, updates, timestamp) {
+    this.recordDelays(updates, timestamp);
+    if (!this.stopIndex) return [];
+
+    const tripDelays = ArrivalDetector.indexTripDelays(updates);
+    const arrivals = [];
+
+    buses.forEach(entity => {
+      const vehicle = entity.vehicle;
+      if (!vehicle || !vehicle.position || !vehicle.vehicle) return;
+
+      const vehicleId = String(vehicle.vehicle.id);
+      const current = { lat: vehicle.position.latitude, lon: vehicle.position.longitude, timestamp };
+      const last = this.lastPositions.get(vehicleId);
+      this.lastPositions.set(vehicleId, current);
+
+      if (!last || timestamp - last.timestamp > this.maxGapMs) return;
+
+      const nearbyStops = this.stopIndex.getItemsInRadius(
+        current.lat,
+        current.lon,
+        this.threshold * SHARED_CONSTANTS.SPATIAL.SEARCH_RADIUS_MULTIPLIER
+      );
+
+      nearbyStops.forEach(stop => {
+        const distance = calculateDistance(current.lat, current.lon, stop.stop_lat, stop.stop_lon);
+        const lastDistance = calculateDistance(last.lat, last.lon, stop.stop_lat, stop.stop_lon);
+
+        if (distance >= this.threshold || distance >= lastDistance - this.approachThreshold) return;
+
+        const arrivalKey = `${vehicleId}-${stop.stop_id}`;
+        const lastArrival = this.recentArrivals.get(arrivalKey);
+        if (lastArrival !== undefined && timestamp - lastArrival <= this.debounceMs) return;
+        this.recentArrivals.set(arrivalKey, timestamp);
+
+        const trip = vehicle.trip || {};
+        const routeId = trip.route_id !== undefined ? String(trip.route_id) : null;
+
+        arrivals.push({
+          vehicleId,
+          routeId,
+          tripId: trip.trip_id !== undefined ? String(trip.trip_id) : null,
+          stopId: String(stop.stop_id),
+          arrivalTime: Math.round(ArrivalDetector.interpolateArrivalTime(last, current, stop, this.threshold)),
+          delay: this.matchDelay(vehicleId, trip.trip_id, routeId, stop.stop_id, tripDelays, timestamp),
+          distance: Math.round(distance)
+        });
+      });
+    });
+
+    this.cleanup(timestamp);
+    return arrivals;
+  }
+
+  /**
+   * Remember the latest delay reported for each stop, for vehicles whose own trip has no update
+   * @param {Array} updates - Trip update entities
+   * @param {number} timestamp - When the frame was fetched (ms)
+   */
+  recordDelays(updates, timestamp) {
+    (updates || []).forEach(entity => {
+      const tripUpdate = entity.trip_update;
+      const stopTimeUpdate = tripUpdate && tripUpdate.stop_time_update;
+      const arrival = stopTimeUpdate && stopTimeUpdate.arrival;
+      if (!arrival || !arrival.delay || stopTimeUpdate.stop_id === undefined) return;
+
+      const routeId = tripUpdate.trip && tripUpdate.trip.route_id;
+      if (routeId === undefined || Math.abs(arrival.delay) <= MIN_RECORDED_DELAY_SECONDS) return;
+
+      this.stopDelays.set(String(stopTimeUpdate.stop_id), {
+        delay: arrival.delay,
+        routeId: String(routeId),
+        recordedAt: timestamp
+      });
+    });
+  }
+
+  /**
+   * Find the delay for an arrival: the vehicle's own trip update first, then a
+   * recent delay reported at the stop for the same route, otherwise on time
+   * @returns {number} Delay in seconds (negative when early)
+   */
+  matchDelay(vehicleId, tripId, routeId, stopId, tripDelays, timestamp) {
+    if (tripId !== undefined && tripDelays.has(`trip:${tripId}`)) {
+      return tripDelays.get(`trip:${tripId}`);
+    }
+    if (tripDelays.has(`vehicle:${vehicleId}`)) {
+      return tripDelays.get(`vehicle:${vehicleId}`);
+    }
+
+    const stopDelay = this.stopDelays.get(String(stopId));
+    if (stopDelay && stopDelay.routeId === routeId && timestamp - stopDelay.recordedAt < this.delayMaxAgeMs) {
+      return stopDelay.delay;
+    }
+    return 0;
+  }
+
+  /**
+   * Forget debounce entries and positions that can no longer affect detection
+   * @param {number} timestamp - Current frame time (ms)
+   */
+  cleanup(timestamp) {
+    this.recentArrivals.forEach((arrivalTime, key) => {
+      if (timestamp - arrivalTime > this.debounceMs) this.recentArrivals.delete(key);
+    });
+    this.lastPositions.forEach((position, vehicleId) => {
+      if (timestamp - position.timestamp > this.maxGapMs) this.lastPositions.delete(vehicleId);
+    });
+    this.stopDelays.forEach((record, stopId) => {
+      if (timestamp - record.recordedAt >= this.delayMaxAgeMs) this.stopDelays.delete(stopId);
+    });
+  }
+
+  /**
+   * Start again without previous positions (when a replay seeks, loops or skips a gap)
+   */
+  reset() {
+    this.lastPositions.clear();
+    this.recentArrivals.clear();
+    this.stopDelays.clear();
+  }
+
+  /**
+   * Index the current delay of each trip update by trip id and vehicle id
+   * @param {Array} updates - Trip update entities
+   * @returns {Map} "trip:<id>" | "vehicle:<id>" -> delay in seconds
+   */
+  static indexTripDelays(updates) {
+    const delays = new Map();
+    (updates || []).forEach(entity => {
+      const tripUpdate = entity.trip_update;
+      const stopTimeUpdate = tripUpdate && tripUpdate.stop_time_update;
+      const arrival = stopTimeUpdate && stopTimeUpdate.arrival;
+      if (!arrival || typeof arrival.delay !== 'number') return;
+
+      if (tripUpdate.trip && tripUpdate.trip.trip_id !== undefined) {
+        delays.set(`trip:${tripUpdate.trip.trip_id}`, arrival.delay);
+      }
+      if (tripUpdate.vehicle && tripUpdate.vehicle.id !== undefined) {
+        delays.set(`vehicle:${tripUpdate.vehicle.id}`, arrival.delay);
+      }
+    });
+    return delays;
+  }
+
+  /**
+   * Estimate when a vehicle crossed the proximity threshold between two positions
+   * @param {Object} lastPos - { lat, lon, timestamp }
+   * @param {Object} currentPos - { lat, lon, timestamp }
+   * @param {Object} stop - Stop with stop_lat and stop_lon
+   * @param {number} threshold - Proximity threshold (meters)
+   * @returns {number} Arrival time (ms)
+   */
+  static interpolateArrivalTime(lastPos, currentPos, stop, threshold) {
+    const lastDistance = calculateDistance(lastPos.lat, lastPos.lon, stop.stop_lat, stop.stop_lon);
+    const currentDistance = calculateDistance(currentPos.lat, currentPos.lon, stop.stop_lat, stop.stop_lon);
+
+    // Already within the threshold last time: it arrived no later than then
+    if (lastDistance <= threshold) {
+      return lastPos.timestamp;
+    }
+
+    const totalDistanceChange = lastDistance - currentDistance;
+    if (totalDistanceChange <= 0) {
+      return currentPos.timestamp;
+    }
+
+    // Linear interpolation between the two positions
+    const timeFraction = (lastDistance - threshold) / totalDistanceChange;
+    return lastPos.timestamp + timeFraction * (currentPos.timestamp - lastPos.timestamp);
+  }
+}
+
+module.exports = ArrivalDetector;
@@ -1,35 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+
 class Cache {
-  constructor() {
-    this.cache = new Map();
+  /**
+   * @param {Object} options
+   * @param {string} [options.snapshotDirectory] - Where to persist snapshot keys (disabled if not set)
+   * @param {Array<string>} [options.snapshotKeys] - Keys written to disk whenever they are refreshed
+   */
+  constructor(options = {}) {
+    this.cache = new Map();    // key -> { data, timestamp }
+    this.inFlight = new Map(); // key -> pending fetch promise
+    this.stats = new Map();    // key -> { hits, misses, stale, coalesced, errors }
+
+    this.snapshotDirectory = options.snapshotDirectory || null;
+    this.snapshotKeys = new Set(options.snapshotKeys || []);
   }
 
-  async getOrFetch(key, fetchFn, ttlMs) {
+  /**
+   * Get a cached value, fetching it if missing or expired
+   * @param {string} key - Cache key
+   * @param {Function} fetchFn - Async function producing the value
+   * @param {number} ttlMs - How long a value is fresh
+   * @param {Object} [options]
+   * @param {number} [options.staleWhileRevalidateMs] - How long after expiry the old value is still
+   *   returned straight away while a refresh runs in the background (default 0: wait for the fetch)
+   * @returns {Promise<any>} Cached or fetched value
+   */
+  async getOrFetch(key, fetchFn, ttlMs, options = {}) {
     const cached = this.cache.get(key);
-    
-    if (cached && Date.now() - cached.timestamp < ttlMs) {
+    const stats = this.getKeyStats(key);
+    const age = cached ? Date.now() - cached.timestamp : Infinity;
+
+    if (age < ttlMs) {
+      stats.hits++;
+      return cached.data;
+    }
+
+    if (age < ttlMs + (options.staleWhileRevalidateMs || 0)) {
+      stats.stale++;
+      this.refresh(key, fetchFn).catch(() => {}); // Failure already logged; keep serving stale
       return cached.data;
     }
 
+    if (this.inFlight.has(key)) {
+      stats.coalesced++;
+    } else {
+      stats.misses++;
+    }
+
     try {
-      const data = await fetchFn();
-      this.cache.set(key, {
-        data,
-        timestamp: Date.now()
-      });
-      return data;
+      return await this.refresh(key, fetchFn);
     } catch (error) {
-      console.error(`Cache fetch error for key ${key}:`, error);
-      
       // Return stale data if available
       if (cached) {
+        stats.stale++;
         console.log(`Returning stale data for key ${key}`);
         return cached.data;
       }
-      
+
       throw error;
     }
   }
 
+  /**
+   * Fetch a key, sharing one upstream request between concurrent callers
+   * @param {string} key - Cache key
+   * @param {Function} fetchFn - Async function producing the value
+   * @returns {Promise<any>} Fetched value
+   */
+  refresh(key, fetchFn) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const request = (async () => {
+      try {
+        const data = await fetchFn();
+        this.set(key, data);
+        return data;
+      } catch (error) {
+        this.getKeyStats(key).errors++;
+        console.error(`Cache fetch error for key ${key}:`, error.message);
+        throw error;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  set(key, data, timestamp = Date.now()) {
+    this.cache.set(key, { data, timestamp });
+
+    if (this.snapshotDirectory && this.snapshotKeys.has(key)) {
+      this.writeSnapshot(key).catch(error => {
+        console.error(`Cache snapshot write error for key ${key}:`, error);
+      });
+    }
+  }
+
+  getSnapshotPath(key) {
+    return path.join(this.snapshotDirectory, `${key}.json`);
+  }
+
+  async writeSnapshot(key) {
+    const entry = this.cache.get(key);
+    const snapshotPath = this.getSnapshotPath(key);
+
+    await fs.promises.mkdir(this.snapshotDirectory, { recursive: true });
+    await fs.promises.writeFile(`${snapshotPath}.tmp`, JSON.stringify(entry));
+    await fs.promises.rename(`${snapshotPath}.tmp`, snapshotPath);
+  }
+
+  /**
+   * Restore snapshot keys from disk with their original fetch time, so TTLs carry over restarts.
+   * Synchronous so snapshots are in place before the first request.
+   */
+  loadSnapshots() {
+    if (!this.snapshotDirectory) return;
+
+    this.snapshotKeys.forEach(key => {
+      try {
+        const entry = JSON.parse(fs.readFileSync(this.getSnapshotPath(key), 'utf8'));
+        this.cache.set(key, { data: entry.data, timestamp: entry.timestamp });
+
+        const ageMinutes = Math.round((Date.now() - entry.timestamp) / 60000);
+        console.log(`Cache restored ${key} from snapshot (${ageMinutes} minutes old)`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Cache snapshot read error for key ${key}:`, error.message);
+        }
+      }
+    });
+  }
+
+  /**
+   * Time since a key was last fetched
+   * @param {string} key - Cache key
+   * @returns {number|null} Age in ms, or null if not cached
+   */
+  getAge(key) {
+    const cached = this.cache.get(key);
+    return cached ? Date.now() - cached.timestamp : null;
+  }
+
+  getKeyStats(key) {
+    if (!this.stats.has(key)) {
+      this.stats.set(key, { hits: 0, misses: 0, stale: 0, coalesced: 0, errors: 0 });
+    }
+    return this.stats.get(key);
+  }
+
+  /**
+   * Per-key counters plus the age of each cached value
+   * @returns {Object} key -> { hits, misses, stale, coalesced, errors, ageMs }
+   */
+  getStats() {
+    const stats = {};
+    this.stats.forEach((counters, key) => {
+      stats[key] = { ...counters, ageMs: this.getAge(key) };
+    });
+    return stats;
+  }
+
   clear() {
     this.cache.clear();
   }
@@ -43,4 +178,4 @@ class Cache {
   }
 }
 
-module.exports = Cache;
\ No newline at end of file
+module.exports = Cache;
@@ -0,0 +1,121 @@
+const STATES = {
+  CLOSED: 'closed',       // Requests flow normally
+  OPEN: 'open',           // Upstream is failing; requests are rejected without being sent
+  HALF_OPEN: 'half-open'  // Cooling off is over; one trial request decides what happens next
+};
+
+/**
+ * Stops calling an upstream service after repeated failures.
+ *
+ * After failureThreshold consecutive failures the circuit opens and every call
+ * fails fast for resetTimeout. Then a single trial call is let through: success
+ * closes the circuit, failure opens it again.
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.name = options.name || 'upstream';
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.onStateChange = options.onStateChange || null;
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;           // Consecutive failures
+    this.openUntil = 0;
+    this.changedAt = Date.now();
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} fn - Async function performing the upstream call
+   * @returns {Promise<any>} The call's result
+   */
+  async execute(fn) {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() < this.openUntil) {
+        throw this.openError();
+      }
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    // Only one trial call while half-open; the rest keep failing fast
+    const isTrial = this.state === STATES.HALF_OPEN;
+    if (isTrial) {
+      if (this.trialInFlight) throw this.openError();
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    } finally {
+      if (isTrial) this.trialInFlight = false;
+    }
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.lastError = null;
+    if (this.state !== STATES.CLOSED) {
+      this.transition(STATES.CLOSED);
+    }
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.trip(this.resetTimeout);
+    }
+  }
+
+  /**
+   * Open the circuit for a given time (e.g. when upstream asks us to back off)
+   * @param {number} duration - How long to reject calls (ms)
+   * @param {Error} [error] - Reason, if not already recorded
+   */
+  trip(duration, error) {
+    if (error) this.lastError = error.message;
+    this.openUntil = Math.max(this.openUntil, Date.now() + duration);
+    if (this.state !== STATES.OPEN) {
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.changedAt = Date.now();
+
+    console.log(`Circuit ${this.name}: ${previous} -> ${state}${this.lastError ? ` (${this.lastError})` : ''}`);
+    if (this.onStateChange) {
+      this.onStateChange(this.getState(), previous);
+    }
+  }
+
+  openError() {
+    const error = new Error(`${this.name} circuit is open, retrying after ${new Date(this.openUntil).toISOString()}`);
+    error.code = 'CIRCUIT_OPEN';
+    return error;
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      since: this.changedAt,
+      retryAt: this.state === STATES.OPEN ? this.openUntil : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
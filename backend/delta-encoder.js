@@ -0,0 +1,200 @@
+const COORDINATE_PRECISION = 1e5; // ~1m, well below what the map can show
+
+// GTFS-Realtime OccupancyStatus, in enum order, as a rough percentage full
+const OCCUPANCY_STATUS_PERCENT = [
+  ['EMPTY', 0],
+  ['MANY_SEATS_AVAILABLE', 25],
+  ['FEW_SEATS_AVAILABLE', 60],
+  ['STANDING_ROOM_ONLY', 80],
+  ['CRUSHED_STANDING_ROOM_ONLY', 95],
+  ['FULL', 100],
+  ['NOT_ACCEPTING_PASSENGERS', 100],
+  ['NO_DATA_AVAILABLE', null],
+  ['NOT_BOARDABLE', null]
+];
+
+/**
+ * How full a vehicle is, from occupancy_percentage or else occupancy_status
+ * @param {Object} vehicle - Metlink-shaped vehicle position
+ * @returns {number|null} 0-100, or null if the feed doesn't say
+ */
+function getOccupancyPercent(vehicle) {
+  if (Number.isFinite(vehicle.occupancy_percentage)) {
+    return Math.max(0, Math.min(100, Math.round(vehicle.occupancy_percentage)));
+  }
+
+  const status = vehicle.occupancy_status;
+  const entry = typeof status === 'number'
+    ? OCCUPANCY_STATUS_PERCENT[status]
+    : OCCUPANCY_STATUS_PERCENT.find(([name]) => name === status);
+  return entry ? entry[1] : null;
+}
+
+/**
+ * Reduce a vehicle entity to the fields the frontend uses
+ * @param {Object} entity - Metlink-shaped vehicle entity
+ * @returns {Object|null} { id, r, la, lo, b, sp?, o? } or null if it has no position
+ */
+function compactVehicle(entity) {
+  const vehicle = entity.vehicle;
+  if (!vehicle || !vehicle.position || !vehicle.vehicle) return null;
+
+  const compact = {
+    id: String(vehicle.vehicle.id),
+    r: vehicle.trip && vehicle.trip.route_id !== undefined ? String(vehicle.trip.route_id) : null,
+    la: Math.round(vehicle.position.latitude * COORDINATE_PRECISION) / COORDINATE_PRECISION,
+    lo: Math.round(vehicle.position.longitude * COORDINATE_PRECISION) / COORDINATE_PRECISION,
+    b: Math.round(vehicle.position.bearing || 0)
+  };
+
+  // Speed (m/s) and occupancy (% full) are only sent when the feed has them
+  if (Number.isFinite(vehicle.position.speed)) {
+    compact.sp = Math.round(vehicle.position.speed * 10) / 10;
+  }
+  const occupancy = getOccupancyPercent(vehicle);
+  if (occupancy !== null) compact.o = occupancy;
+
+  return compact;
+}
+
+/**
+ * Reduce a trip update entity to the fields the frontend uses
+ * @param {Object} entity - Metlink-shaped trip update entity
+ * @returns {Object|null} { id, r, s, d, t } or null if it has no stop time update
+ */
+function compactUpdate(entity) {
+  const tripUpdate = entity.trip_update;
+  if (!tripUpdate || !tripUpdate.stop_time_update) return null;
+
+  const stopTimeUpdate = tripUpdate.stop_time_update;
+  const arrival = stopTimeUpdate.arrival || {};
+
+  return {
+    id: String(entity.id),
+    r: tripUpdate.trip && tripUpdate.trip.route_id !== undefined ? String(tripUpdate.trip.route_id) : null,
+    s: stopTimeUpdate.stop_id !== undefined ? String(stopTimeUpdate.stop_id) : null,
+    d: arrival.delay || 0,
+    t: arrival.time || null
+  };
+}
+
+/**
+ * Encodes bus_update frames for one client as a keyframe followed by diffs.
+ *
+ * Vehicles are keyed by vehicle id and trip updates by entity id. Each delta
+ * lists records that were added (new or changed route or occupancy), moved
+ * (position, bearing or speed only) and removed since the previous frame sent
+ * to this client.
+ * A keyframe is sent first, every keyframeInterval frames, and after reset().
+ */
+class DeltaEncoder {
+  constructor(options = {}) {
+    this.keyframeInterval = options.keyframeInterval || 30;
+
+    this.vehicles = new Map(); // vehicle id -> compact vehicle last sent
+    this.updates = new Map();  // update id -> compact update last sent
+    this.lastTimestamp = null;
+    this.framesSinceKeyframe = 0;
+  }
+
+  /**
+   * Encode a frame against the state last sent to this client
+   * @param {Object} frame - { timestamp, buses, updates, isHistorical, ... }
+   * @returns {Object} keyframe or delta message
+   */
+  encode(frame) {
+    const { buses, updates, ...meta } = frame;
+    const vehicles = DeltaEncoder.indexBy(buses, compactVehicle);
+    const nextUpdates = DeltaEncoder.indexBy(updates, compactUpdate);
+
+    const needsKeyframe = this.lastTimestamp === null || this.framesSinceKeyframe >= this.keyframeInterval;
+    const message = needsKeyframe
+      ? this.keyframe(meta, vehicles, nextUpdates)
+      : this.delta(meta, vehicles, nextUpdates);
+
+    this.vehicles = vehicles;
+    this.updates = nextUpdates;
+    this.lastTimestamp = frame.timestamp;
+    return message;
+  }
+
+  keyframe(meta, vehicles, updates) {
+    this.framesSinceKeyframe = 0;
+
+    return {
+      ...meta,
+      type: 'keyframe',
+      vehicles: Array.from(vehicles.values()),
+      updates: Array.from(updates.values())
+    };
+  }
+
+  delta(meta, vehicles, updates) {
+    this.framesSinceKeyframe++;
+
+    const added = [];
+    const moved = [];
+    vehicles.forEach((vehicle, id) => {
+      const previous = this.vehicles.get(id);
+      if (!previous || previous.r !== vehicle.r || previous.o !== vehicle.o) {
+        added.push(vehicle);
+      } else if (previous.la !== vehicle.la || previous.lo !== vehicle.lo || previous.b !== vehicle.b || previous.sp !== vehicle.sp) {
+        moved.push(vehicle.sp !== undefined
+          ? [id, vehicle.la, vehicle.lo, vehicle.b, vehicle.sp]
+          : [id, vehicle.la, vehicle.lo, vehicle.b]);
+      }
+    });
+
+    const changedUpdates = [];
+    updates.forEach((update, id) => {
+      const previous = this.updates.get(id);
+      if (!previous || previous.r !== update.r || previous.s !== update.s || previous.d !== update.d || previous.t !== update.t) {
+        changedUpdates.push(update);
+      }
+    });
+
+    return {
+      ...meta,
+      type: 'delta',
+      base: this.lastTimestamp, // Timestamp of the frame this diff applies to
+      added,
+      moved,
+      removed: DeltaEncoder.missingKeys(this.vehicles, vehicles),
+      updates: changedUpdates,
+      removedUpdates: DeltaEncoder.missingKeys(this.updates, updates)
+    };
+  }
+
+  /**
+   * Send a keyframe next (e.g. after the client lost track of its state)
+   */
+  reset() {
+    this.vehicles.clear();
+    this.updates.clear();
+    this.lastTimestamp = null;
+    this.framesSinceKeyframe = 0;
+  }
+
+  static indexBy(entities, compact) {
+    const index = new Map();
+    (entities || []).forEach(entity => {
+      const record = compact(entity);
+      if (record) index.set(record.id, record);
+    });
+    return index;
+  }
+
+  static missingKeys(previous, next) {
+    const missing = [];
+    previous.forEach((_, id) => {
+      if (!next.has(id)) missing.push(id);
+    });
+    return missing;
+  }
+}
+
+DeltaEncoder.compactVehicle = compactVehicle;
+DeltaEncoder.compactUpdate = compactUpdate;
+DeltaEncoder.getOccupancyPercent = getOccupancyPercent;
+
+module.exports = DeltaEncoder;
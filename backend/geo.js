@@ -0,0 +1,50 @@
+const SHARED_CONSTANTS = require('../shared/constants');
+
+const EARTH_RADIUS_METERS = SHARED_CONSTANTS.TIMING.EARTH_RADIUS_METERS;
+
+/**
+ * Calculate distance between two geographical points using Haversine formula
+ * @param {number} lat1 - Latitude of first point
+ * @param {number} lon1 - Longitude of first point
+ * @param {number} lat2 - Latitude of second point
+ * @param {number} lon2 - Longitude of second point
+ * @returns {number} Distance in meters
+ */
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const φ1 = lat1 * Math.PI / 180;
+  const φ2 = lat2 * Math.PI / 180;
+  const Δφ = (lat2 - lat1) * Math.PI / 180;
+  const Δλ = (lon2 - lon1) * Math.PI / 180;
+
+  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+            Math.cos(φ1) * Math.cos(φ2) *
+            Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return EARTH_RADIUS_METERS * c;
+}
+
+/**
+ * Calculate initial compass bearing from one point to another
+ * @param {number} lat1 - Latitude of start point
+ * @param {number} lon1 - Longitude of start point
+ * @param {number} lat2 - Latitude of end point
+ * @param {number} lon2 - Longitude of end point
+ * @returns {number} Bearing in degrees (0-360, 0 = north)
+ */
+function calculateBearing(lat1, lon1, lat2, lon2) {
+  const φ1 = lat1 * Math.PI / 180;
+  const φ2 = lat2 * Math.PI / 180;
+  const Δλ = (lon2 - lon1) * Math.PI / 180;
+
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+module.exports = {
+  calculateDistance,
+  calculateBearing,
+  EARTH_RADIUS_METERS
+};
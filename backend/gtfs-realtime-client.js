@@ -0,0 +1,101 @@
+const TransitProvider = require('./transit-provider');
+
+const AUTH_STYLES = ['none', 'header', 'bearer', 'query'];
+const FEED_FORMATS = ['protobuf', 'json'];
+
+/**
+ * Generic GTFS-Realtime provider for agencies other than Metlink.
+ *
+ * Options:
+ *   vehiclePositionsUrl - GTFS-RT vehicle positions feed (required)
+ *   tripUpdatesUrl      - GTFS-RT trip updates feed (optional)
+ *   serviceAlertsUrl    - GTFS-RT service alerts feed (optional)
+ *   stopsUrl            - JSON array of { stop_id, stop_name, stop_lat, stop_lon } (required)
+ *   apiKey              - Credential sent according to authStyle
+ *   authStyle           - 'none' | 'header' | 'bearer' | 'query'
+ *   authHeader          - Header name used by the 'header' style (default x-api-key)
+ *   authQueryParam      - Query parameter used by the 'query' style (default api_key)
+ *   bounds              - { minLat, minLon, maxLat, maxLon } region filter
+ *   format              - 'protobuf' (default) or 'json' rendering of the realtime feeds
+ */
+class GtfsRealtimeClient extends TransitProvider {
+  constructor(options = {}) {
+    const authStyle = options.authStyle || (options.apiKey ? 'header' : 'none');
+    const format = options.format || 'protobuf';
+
+    if (!AUTH_STYLES.includes(authStyle)) {
+      throw new Error(`Unknown GTFS-RT auth style "${authStyle}" (expected one of ${AUTH_STYLES.join(', ')})`);
+    }
+    if (!FEED_FORMATS.includes(format)) {
+      throw new Error(`Unknown GTFS-RT feed format "${format}" (expected one of ${FEED_FORMATS.join(', ')})`);
+    }
+    if (!options.vehiclePositionsUrl) {
+      throw new Error('GTFS-RT provider requires a vehicle positions URL');
+    }
+    if (!options.stopsUrl) {
+      throw new Error('GTFS-RT provider requires a stops URL');
+    }
+    if (authStyle !== 'none' && !options.apiKey) {
+      throw new Error(`GTFS-RT auth style "${authStyle}" requires an API key`);
+    }
+
+    const headers = {};
+    if (authStyle === 'header') {
+      headers[options.authHeader || 'x-api-key'] = options.apiKey;
+    } else if (authStyle === 'bearer') {
+      headers['authorization'] = `Bearer ${options.apiKey}`;
+    }
+
+    super({ name: 'gtfs-rt', headers, bounds: options.bounds });
+
+    this.apiKey = options.apiKey;
+    this.authStyle = authStyle;
+    this.format = format;
+    this.authQueryParam = options.authQueryParam || 'api_key';
+    this.vehiclePositionsUrl = options.vehiclePositionsUrl;
+    this.tripUpdatesUrl = options.tripUpdatesUrl || null;
+    this.serviceAlertsUrl = options.serviceAlertsUrl || null;
+    this.stopsUrl = options.stopsUrl;
+  }
+
+  /**
+   * Append the API key as a query parameter when using the 'query' auth style
+   * @param {string} url - Feed URL
+   * @returns {string} URL to request
+   */
+  buildUrl(url) {
+    if (this.authStyle !== 'query') return url;
+
+    const parsed = new URL(url);
+    parsed.searchParams.set(this.authQueryParam, this.apiKey);
+    return parsed.toString();
+  }
+
+  async getBuses() {
+    const entities = await this.fetchFeed(this.buildUrl(this.vehiclePositionsUrl), 'Bus data', this.format);
+    return this.filterVehiclesToBounds(entities);
+  }
+
+  async getStops() {
+    const stops = await this.fetchJson(this.buildUrl(this.stopsUrl), 'Stop data');
+    return this.filterStopsToBounds(Array.isArray(stops) ? stops : []);
+  }
+
+  async getUpdates() {
+    // Not every agency publishes trip updates
+    if (!this.tripUpdatesUrl) return [];
+
+    return await this.fetchFeed(this.buildUrl(this.tripUpdatesUrl), 'Updates', this.format);
+  }
+
+  async getAlerts() {
+    if (!this.serviceAlertsUrl) return [];
+
+    return await this.fetchFeed(this.buildUrl(this.serviceAlertsUrl), 'Service alerts', this.format);
+  }
+}
+
+GtfsRealtimeClient.AUTH_STYLES = AUTH_STYLES;
+GtfsRealtimeClient.FEED_FORMATS = FEED_FORMATS;
+
+module.exports = GtfsRealtimeClient;
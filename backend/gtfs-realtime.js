@@ -0,0 +1,101 @@
+const { transit_realtime: TransitRealtime } = require('gtfs-realtime-bindings');
+
+// Options for converting decoded messages to plain objects: uint64 timestamps
+// become numbers and enums become their names (e.g. "DETOUR")
+const TO_OBJECT_OPTIONS = {
+  longs: Number,
+  enums: String,
+  defaults: false
+};
+
+/**
+ * Convert a camelCase key to snake_case (stopTimeUpdate -> stop_time_update)
+ * @param {string} key - Field name as produced by protobufjs
+ * @returns {string} Field name as used by the GTFS-RT JSON rendering
+ */
+function toSnakeCase(key) {
+  return key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+/**
+ * Recursively rename object keys to snake_case
+ * @param {any} value - Decoded protobuf value
+ * @returns {any} Value with snake_case keys
+ */
+function snakeCaseKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(snakeCaseKeys);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[toSnakeCase(key)] = snakeCaseKeys(value[key]);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Normalize a trip update to the shape the frontend reads.
+ * The Metlink JSON feed carries a single (next) stop_time_update object per
+ * trip rather than the full array, so we keep the first upcoming entry.
+ * @param {Object} tripUpdate - snake_case trip update
+ * @returns {Object} Normalized trip update
+ */
+function normalizeTripUpdate(tripUpdate) {
+  const stopTimeUpdates = tripUpdate.stop_time_update;
+
+  if (Array.isArray(stopTimeUpdates)) {
+    const next = stopTimeUpdates.find(update => update.arrival) || stopTimeUpdates[0];
+    return { ...tripUpdate, stop_time_update: next || null };
+  }
+
+  return tripUpdate;
+}
+
+/**
+ * Normalize a single feed entity (vehicle, trip update or alert)
+ * @param {Object} entity - snake_case feed entity
+ * @returns {Object} Entity in the same shape as the Metlink JSON feed
+ */
+function normalizeEntity(entity) {
+  const normalized = { id: entity.id };
+
+  if (entity.is_deleted) {
+    normalized.is_deleted = true;
+  }
+  if (entity.vehicle) {
+    // The map reads vehicle.trip.route_id unconditionally
+    normalized.vehicle = { ...entity.vehicle, trip: entity.vehicle.trip || {} };
+  }
+  if (entity.trip_update) {
+    normalized.trip_update = normalizeTripUpdate(entity.trip_update);
+  }
+  if (entity.alert) {
+    normalized.alert = entity.alert;
+  }
+
+  return normalized;
+}
+
+/**
+ * Decode a binary GTFS-Realtime FeedMessage
+ * @param {Buffer|Uint8Array} buffer - Raw protobuf payload
+ * @returns {Object} { header, entity } with entities in the Metlink JSON shape
+ */
+function decodeFeedMessage(buffer) {
+  const message = TransitRealtime.FeedMessage.decode(buffer);
+  const feed = snakeCaseKeys(TransitRealtime.FeedMessage.toObject(message, TO_OBJECT_OPTIONS));
+
+  return {
+    header: feed.header || {},
+    entity: (feed.entity || []).map(normalizeEntity)
+  };
+}
+
+module.exports = {
+  decodeFeedMessage,
+  normalizeEntity,
+  snakeCaseKeys
+};
@@ -0,0 +1,348 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { StringDecoder } = require('string_decoder');
+const { setImmediate } = require('timers/promises');
+const AdmZip = require('adm-zip');
+
+const CALENDAR_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+const STORED_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Incremental GTFS CSV parser: text can be written in chunks of any size
+ * (a field, a quote pair or a CRLF may be split between them) and onRow is
+ * called as soon as each row is complete, so a table is never held whole
+ * @param {Function} onRow - Called with an object keyed by header column
+ * @returns {{ write: Function, end: Function }}
+ */
+function createCsvParser(onRow) {
+  let started = false;
+  let header = null;
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let quoteEnd = false; // A quote inside quotes: the closing one, or the first of an escaped ""
+
+  const endRow = () => {
+    fields.push(field);
+    field = '';
+
+    if (!header) {
+      header = fields.map(name => name.trim());
+    } else if (fields.length > 1 || fields[0] !== '') {
+      const row = {};
+      header.forEach((name, index) => {
+        row[name] = fields[index] !== undefined ? fields[index] : '';
+      });
+      onRow(row);
+    }
+    fields = [];
+  };
+
+  const write = text => {
+    // Strip UTF-8 byte order mark (common in agency exports)
+    if (!started && text.length > 0) {
+      started = true;
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoteEnd) {
+        quoteEnd = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          quoteEnd = true;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        fields.push(field);
+        field = '';
+      } else if (char === '\n') {
+        endRow();
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+  };
+
+  const end = () => {
+    if (field !== '' || fields.length > 0) {
+      endRow();
+    }
+  };
+
+  return { write, end };
+}
+
+/**
+ * Parse a whole GTFS CSV file held in a string
+ * @param {string} text - CSV file contents
+ * @param {Function} onRow - Called with an object keyed by header column
+ */
+function parseCsv(text, onRow) {
+  const parser = createCsvParser(onRow);
+  parser.write(text);
+  parser.end();
+}
+
+/**
+ * Inflate a zip entry and feed it to onRow a chunk at a time, giving the
+ * event loop a turn between chunks so a large table doesn't stall the server
+ * @param {Object} entry - adm-zip entry
+ * @param {Function} onRow - Called with an object keyed by header column
+ */
+async function streamCsvEntry(entry, onRow) {
+  const parser = createCsvParser(onRow);
+  const decoder = new StringDecoder('utf8');
+  const data = entry.getCompressedData();
+
+  if (entry.header.method === ZIP_STORED) {
+    for (let offset = 0; offset < data.length; offset += STORED_CHUNK_BYTES) {
+      parser.write(decoder.write(data.subarray(offset, offset + STORED_CHUNK_BYTES)));
+      await setImmediate();
+    }
+  } else if (entry.header.method === ZIP_DEFLATED) {
+    const inflate = zlib.createInflateRaw();
+    inflate.end(data);
+    for await (const chunk of inflate) {
+      parser.write(decoder.write(chunk));
+    }
+  } else {
+    throw new Error(`${entry.entryName} uses unsupported zip compression method ${entry.header.method}`);
+  }
+
+  parser.write(decoder.end());
+  parser.end();
+}
+
+/**
+ * In-memory index over a static GTFS feed (routes, trips, shapes, stop times, calendar)
+ */
+class GtfsStaticIndex {
+  constructor() {
+    this.routes = new Map();      // route_id -> route
+    this.trips = new Map();       // trip_id -> trip
+    this.routeTrips = new Map();  // route_id -> [trip_id]
+    this.shapes = new Map();      // shape_id -> [[lat, lon], ...]
+    this.stopTimes = new Map();   // trip_id -> [[stop_id, stop_sequence, arrival_time, departure_time]] in file order
+    this.calendar = new Map();    // service_id -> service days
+    this.sourcePath = null;
+    this.loadedAt = null;
+  }
+
+  /**
+   * Load and index a GTFS zip from disk. Tables are inflated and parsed a
+   * chunk at a time, so the server keeps serving while a large feed loads.
+   * @param {string} zipPath - Path to the GTFS zip file
+   */
+  async load(zipPath) {
+    const startTime = Date.now();
+    const zip = new AdmZip(await fs.promises.readFile(zipPath));
+
+    const readTable = async (name, required, onRow) => {
+      // Some agencies nest the feed in a folder inside the zip
+      const entry = zip.getEntries().find(e => !e.isDirectory && e.entryName.split('/').pop() === name);
+      if (!entry) {
+        if (required) throw new Error(`GTFS zip is missing ${name}`);
+        return;
+      }
+      await streamCsvEntry(entry, onRow);
+    };
+
+    this.clear();
+    await readTable('routes.txt', true, row => this.indexRoute(row));
+    await readTable('trips.txt', true, row => this.indexTrip(row));
+    const shapePoints = new Map(); // shape_id -> [{sequence, lat, lon}]
+    await readTable('shapes.txt', false, row => this.indexShapePoint(shapePoints, row));
+    this.indexShapes(shapePoints);
+    await readTable('stop_times.txt', false, row => this.indexStopTime(row));
+    await readTable('calendar.txt', false, row => this.indexService(row));
+
+    this.sourcePath = zipPath;
+    this.loadedAt = Date.now();
+
+    const stats = this.getStats();
+    console.log(`Static GTFS loaded from ${zipPath} in ${Date.now() - startTime}ms: ${stats.routes} routes, ${stats.trips} trips, ${stats.shapes} shapes`);
+  }
+
+  indexRoute(row) {
+    this.routes.set(row.route_id, {
+      route_id: row.route_id,
+      agency_id: row.agency_id || null,
+      route_short_name: row.route_short_name || '',
+      route_long_name: row.route_long_name || '',
+      route_desc: row.route_desc || '',
+      route_type: row.route_type !== '' ? parseInt(row.route_type, 10) : null,
+      route_color: row.route_color || null,
+      route_text_color: row.route_text_color || null
+    });
+  }
+
+  indexTrip(row) {
+    this.trips.set(row.trip_id, {
+      trip_id: row.trip_id,
+      route_id: row.route_id,
+      service_id: row.service_id,
+      trip_headsign: row.trip_headsign || '',
+      direction_id: row.direction_id !== '' && row.direction_id !== undefined ? parseInt(row.direction_id, 10) : null,
+      shape_id: row.shape_id || null
+    });
+
+    if (!this.routeTrips.has(row.route_id)) {
+      this.routeTrips.set(row.route_id, []);
+    }
+    this.routeTrips.get(row.route_id).push(row.trip_id);
+  }
+
+  indexShapePoint(points, row) {
+    if (!points.has(row.shape_id)) {
+      points.set(row.shape_id, []);
+    }
+    points.get(row.shape_id).push({
+      sequence: parseInt(row.shape_pt_sequence, 10),
+      lat: parseFloat(row.shape_pt_lat),
+      lon: parseFloat(row.shape_pt_lon)
+    });
+  }
+
+  /**
+   * @param {Map} points - shape_id -> [{sequence, lat, lon}] in file order
+   */
+  indexShapes(points) {
+    points.forEach((shapePoints, shapeId) => {
+      shapePoints.sort((a, b) => a.sequence - b.sequence);
+      this.shapes.set(shapeId, shapePoints.map(point => [point.lat, point.lon]));
+    });
+  }
+
+  /**
+   * Keep only what /api/trips/:id returns, as a tuple rather than an object,
+   * since stop_times.txt is by far the largest table
+   */
+  indexStopTime(row) {
+    if (!this.stopTimes.has(row.trip_id)) {
+      this.stopTimes.set(row.trip_id, []);
+    }
+    this.stopTimes.get(row.trip_id).push([
+      row.stop_id,
+      parseInt(row.stop_sequence, 10),
+      row.arrival_time || null,
+      row.departure_time || null
+    ]);
+  }
+
+  indexService(row) {
+    this.calendar.set(row.service_id, {
+      service_id: row.service_id,
+      days: CALENDAR_DAYS.filter(day => row[day] === '1'),
+      start_date: row.start_date,
+      end_date: row.end_date
+    });
+  }
+
+  isLoaded() {
+    return this.loadedAt !== null;
+  }
+
+  /**
+   * Get all routes
+   * @returns {Array} Route records
+   */
+  getRoutes() {
+    return Array.from(this.routes.values());
+  }
+
+  getRoute(routeId) {
+    return this.routes.get(String(routeId)) || null;
+  }
+
+  /**
+   * Get the distinct shapes travelled by a route's trips
+   * @param {string} routeId - GTFS route_id
+   * @returns {Object|null} { route_id, shapes: [{ shape_id, direction_id, points }] }
+   */
+  getRouteShape(routeId) {
+    const route = this.getRoute(routeId);
+    if (!route) return null;
+
+    const shapes = new Map();
+    (this.routeTrips.get(route.route_id) || []).forEach(tripId => {
+      const trip = this.trips.get(tripId);
+      if (!trip.shape_id || shapes.has(trip.shape_id) || !this.shapes.has(trip.shape_id)) return;
+
+      shapes.set(trip.shape_id, {
+        shape_id: trip.shape_id,
+        direction_id: trip.direction_id,
+        points: this.shapes.get(trip.shape_id)
+      });
+    });
+
+    return {
+      route_id: route.route_id,
+      shapes: Array.from(shapes.values())
+    };
+  }
+
+  /**
+   * Get a trip with its route, service calendar and stop times
+   * @param {string} tripId - GTFS trip_id
+   * @returns {Object|null} Trip details
+   */
+  getTrip(tripId) {
+    const trip = this.trips.get(String(tripId));
+    if (!trip) return null;
+
+    return {
+      ...trip,
+      route: this.routes.get(trip.route_id) || null,
+      calendar: this.calendar.get(trip.service_id) || null,
+      stop_times: (this.stopTimes.get(trip.trip_id) || [])
+        .map(([stopId, stopSequence, arrivalTime, departureTime]) => ({
+          stop_id: stopId,
+          stop_sequence: stopSequence,
+          arrival_time: arrivalTime,
+          departure_time: departureTime
+        }))
+        .sort((a, b) => a.stop_sequence - b.stop_sequence)
+    };
+  }
+
+  getStats() {
+    return {
+      routes: this.routes.size,
+      trips: this.trips.size,
+      shapes: this.shapes.size,
+      tripsWithStopTimes: this.stopTimes.size,
+      services: this.calendar.size,
+      loadedAt: this.loadedAt
+    };
+  }
+
+  clear() {
+    this.routes.clear();
+    this.trips.clear();
+    this.routeTrips.clear();
+    this.shapes.clear();
+    this.stopTimes.clear();
+    this.calendar.clear();
+    this.loadedAt = null;
+  }
+}
+
+GtfsStaticIndex.parseCsv = parseCsv;
+GtfsStaticIndex.createCsvParser = createCsvParser;
+
+module.exports = GtfsStaticIndex;
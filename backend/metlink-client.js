@@ -1,49 +1,36 @@
-const fetch = require('node-fetch').default;
+const TransitProvider = require('./transit-provider');
 
-class MetlinkClient {
+class MetlinkClient extends TransitProvider {
   constructor(apiKey) {
+    super({
+      name: 'metlink',
+      headers: {
+        'accept': 'application/json',
+        'x-api-key': apiKey
+      }
+    });
     this.apiKey = apiKey;
     this.baseUrl = 'https://api.opendata.metlink.org.nz/v1';
-    this.headers = {
-      'accept': 'application/json',
-      'x-api-key': this.apiKey
-    };
   }
 
   async getBuses() {
-    const url = `${this.baseUrl}/gtfs-rt/vehiclepositions`;
-    const response = await fetch(url, { headers: this.headers });
-    
-    if (!response.ok) {
-      throw new Error(`Bus data fetch failed: ${response.status}`);
-    }
-    
-    const data = await response.json();
+    const data = await this.fetchJson(`${this.baseUrl}/gtfs-rt/vehiclepositions`, 'Bus data');
     return data.entity || [];
   }
 
   async getStops() {
-    const url = `${this.baseUrl}/gtfs/stops`;
-    const response = await fetch(url, { headers: this.headers });
-    
-    if (!response.ok) {
-      throw new Error(`Stop data fetch failed: ${response.status}`);
-    }
-    
-    return await response.json();
+    return await this.fetchJson(`${this.baseUrl}/gtfs/stops`, 'Stop data');
   }
 
   async getUpdates() {
-    const url = `${this.baseUrl}/gtfs-rt/tripupdates`;
-    const response = await fetch(url, { headers: this.headers });
-    
-    if (!response.ok) {
-      throw new Error(`Updates fetch failed: ${response.status}`);
-    }
-    
-    const data = await response.json();
+    const data = await this.fetchJson(`${this.baseUrl}/gtfs-rt/tripupdates`, 'Updates');
+    return data.entity || [];
+  }
+
+  async getAlerts() {
+    const data = await this.fetchJson(`${this.baseUrl}/gtfs-rt/servicealerts`, 'Service alerts');
     return data.entity || [];
   }
 }
 
-module.exports = MetlinkClient;
\ No newline at end of file
+module.exports = MetlinkClient;
@@ -0,0 +1,167 @@
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {any} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * A metric family: counter or gauge values keyed by label set
+ */
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.values = new Map(); // serialized labels -> { labels, value }
+  }
+
+  getEntry(labels) {
+    const key = formatLabels(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels, value: 0 });
+    }
+    return this.values.get(key);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.getEntry(labels).value += amount;
+  }
+
+  set(labels, value) {
+    this.getEntry(labels).value = value;
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.values.forEach(({ labels, value }) => {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    });
+    return lines.join('\n');
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const entry = this.values.get(key);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    this.values.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Minimal Prometheus registry rendering the text exposition format.
+ *
+ * Counters and histograms are updated as things happen. Values that already
+ * live elsewhere (cache stats, client counts) are copied in by collectors
+ * registered with addCollector(), which run on every scrape.
+ */
+class MetricsRegistry {
+  constructor(options = {}) {
+    this.prefix = options.prefix || '';
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {boolean} [options.prefixed=true] - false for standard names, such as
+   *   process_*, that dashboards look for as they are
+   * @returns {string} Exposed metric name
+   */
+  getName(name, options = {}) {
+    return options.prefixed === false ? name : this.prefix + name;
+  }
+
+  counter(name, help, options) {
+    return this.register(new Metric('counter', this.getName(name, options), help));
+  }
+
+  gauge(name, help, options) {
+    return this.register(new Metric('gauge', this.getName(name, options), help));
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(new Histogram(this.prefix + name, help, buckets));
+  }
+
+  /**
+   * Run a function before every scrape, e.g. to copy gauges from other modules
+   * @param {Function} collect - Called with no arguments
+   */
+  addCollector(collect) {
+    this.collectors.push(collect);
+  }
+
+  /**
+   * Render all metrics in Prometheus text format
+   * @returns {string} Exposition text
+   */
+  render() {
+    this.collectors.forEach(collect => {
+      try {
+        collect();
+      } catch (error) {
+        console.error('Metrics collector error:', error);
+      }
+    });
+
+    return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+MetricsRegistry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = MetricsRegistry;
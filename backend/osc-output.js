@@ -0,0 +1,282 @@
+const dgram = require('dgram');
+const SHARED_CONSTANTS = require('../shared/constants');
+
+const OSC_CONSTANTS = SHARED_CONSTANTS.OSC;
+const NTP_EPOCH_OFFSET_SECONDS = 2208988800; // 1900-01-01 to 1970-01-01
+const ADDRESS_RESERVED = /[\s#*,/?[\]{}]/g; // Characters OSC addresses can't contain in a part
+
+/**
+ * Sends the broadcast data as OSC 1.0 over UDP, for synth engines such as
+ * SuperCollider or Max. Each broadcast frame becomes one bundle time-tagged
+ * with the frame's timestamp (split across packets when it is too big for one):
+ *
+ *   /route/<id>/state  i busCount, f centroidLat, f centroidLon, f spread, f orientation
+ *   /arrival           s route, s stop, f lat, f lon, i delay
+ *   /delay             s route, s stop, f lat, f lon, i delay
+ *
+ * Spread is the standard deviation of the route's vehicle positions and
+ * orientation the direction (degrees, counterclockwise from east) between
+ * them, both as the frontend measures them. A route that empties gets one
+ * last state with a bus count of 0. Delays are in seconds (negative when
+ * early); /delay is sent when a trip's delay at its next stop changes.
+ */
+class OscOutput {
+  constructor(options = {}) {
+    this.host = options.host || OSC_CONSTANTS.DEFAULT_HOST;
+    this.port = options.port;
+    this.maxPacketBytes = options.maxPacketBytes || OSC_CONSTANTS.MAX_PACKET_BYTES;
+    this.getStop = options.getStop || (() => null); // stop id -> stop with stop_lat/stop_lon
+
+    this.socket = null;
+    this.activeRoutes = new Set(); // route ids with vehicles in the last frame
+    this.tripDelays = new Map();   // trip key -> "stopId:delay" last sent
+  }
+
+  initialize() {
+    if (!Number.isInteger(this.port) || this.port < 1 || this.port > 65535) {
+      throw new Error(`OSC port must be 1-65535, got ${this.port}`);
+    }
+
+    this.socket = dgram.createSocket('udp4');
+    this.socket.on('error', error => console.error('OSC socket error:', error));
+    this.socket.unref(); // Don't keep the process alive for OSC alone
+    console.log(`Sending OSC to ${this.host}:${this.port}`);
+  }
+
+  /**
+   * Send the messages for one broadcast frame
+   * @param {Array} buses - Vehicle entities
+   * @param {Array} updates - Trip update entities
+   * @param {Array} arrivals - Arrivals detected in this frame
+   * @param {number} timestamp - Frame time (ms)
+   */
+  sendFrame(buses, updates, arrivals, timestamp) {
+    if (!this.socket) return;
+
+    const messages = [
+      ...this.getRouteStateMessages(buses),
+      ...arrivals.map(arrival => this.getStopMessage('/arrival', arrival.routeId, arrival.stopId, arrival.delay)).filter(Boolean),
+      ...this.getDelayMessages(updates)
+    ];
+
+    OscOutput.encodePackets(messages, timestamp, this.maxPacketBytes).forEach(packet => {
+      this.socket.send(packet, this.port, this.host, error => {
+        if (error) console.warn(`OSC send to ${this.host}:${this.port} failed:`, error.message);
+      });
+    });
+  }
+
+  getRouteStateMessages(buses) {
+    const routes = new Map(); // route id -> [{ lat, lon }]
+    (buses || []).forEach(entity => {
+      const vehicle = entity.vehicle;
+      if (!vehicle || !vehicle.position || !vehicle.trip || vehicle.trip.route_id === undefined) return;
+
+      const routeId = String(vehicle.trip.route_id);
+      if (!routes.has(routeId)) routes.set(routeId, []);
+      routes.get(routeId).push({ lat: vehicle.position.latitude, lon: vehicle.position.longitude });
+    });
+
+    const messages = [];
+    routes.forEach((positions, routeId) => {
+      const centroid = OscOutput.calculateCentroid(positions);
+      messages.push({
+        address: `/route/${OscOutput.toAddressPart(routeId)}/state`,
+        types: 'iffff',
+        args: [positions.length, centroid.lat, centroid.lon, OscOutput.calculateSpread(positions, centroid), OscOutput.calculateOrientation(positions)]
+      });
+    });
+
+    // Let patches silence routes that have no vehicles left
+    this.activeRoutes.forEach(routeId => {
+      if (!routes.has(routeId)) {
+        messages.push({ address: `/route/${OscOutput.toAddressPart(routeId)}/state`, types: 'iffff', args: [0, 0, 0, 0, 0] });
+      }
+    });
+    this.activeRoutes = new Set(routes.keys());
+
+    return messages;
+  }
+
+  getDelayMessages(updates) {
+    const messages = [];
+    const seen = new Map();
+
+    (updates || []).forEach(entity => {
+      const tripUpdate = entity.trip_update;
+      const stopTimeUpdate = tripUpdate && tripUpdate.stop_time_update;
+      const arrival = stopTimeUpdate && stopTimeUpdate.arrival;
+      const routeId = tripUpdate && tripUpdate.trip && tripUpdate.trip.route_id;
+      if (!arrival || typeof arrival.delay !== 'number' || stopTimeUpdate.stop_id === undefined || routeId === undefined) return;
+      if (Math.abs(arrival.delay) <= OSC_CONSTANTS.MIN_DELAY_SECONDS) return;
+
+      const key = tripUpdate.trip.trip_id !== undefined ? `trip:${tripUpdate.trip.trip_id}` : `entity:${entity.id}`;
+      const state = `${stopTimeUpdate.stop_id}:${arrival.delay}`;
+      seen.set(key, state);
+      if (this.tripDelays.get(key) === state) return;
+
+      const message = this.getStopMessage('/delay', routeId, stopTimeUpdate.stop_id, arrival.delay);
+      if (message) messages.push(message);
+    });
+
+    this.tripDelays = seen;
+    return messages;
+  }
+
+  /**
+   * An /arrival or /delay message, or null if the stop isn't known
+   */
+  getStopMessage(address, routeId, stopId, delay) {
+    const stop = this.getStop(stopId);
+    if (!stop || typeof stop.stop_lat !== 'number' || typeof stop.stop_lon !== 'number') return null;
+
+    return {
+      address,
+      types: 'ssffi',
+      args: [String(routeId), String(stopId), stop.stop_lat, stop.stop_lon, Math.round(delay || 0)]
+    };
+  }
+
+  close() {
+    if (!this.socket) return;
+    this.socket.close();
+    this.socket = null;
+  }
+
+  static calculateCentroid(positions) {
+    return {
+      lat: positions.reduce((sum, position) => sum + position.lat, 0) / positions.length,
+      lon: positions.reduce((sum, position) => sum + position.lon, 0) / positions.length
+    };
+  }
+
+  /**
+   * Standard deviation of the positions around their centroid
+   * @returns {number} Degrees
+   */
+  static calculateSpread(positions, centroid) {
+    if (positions.length < 2) return 0;
+
+    const sumSquares = positions.reduce((sum, position) => {
+      return sum + (position.lat - centroid.lat) ** 2 + (position.lon - centroid.lon) ** 2;
+    }, 0);
+    return Math.sqrt(sumSquares / positions.length);
+  }
+
+  /**
+   * Direction of the average offset between every pair of vehicles
+   * @returns {number} Degrees, -180 to 180 counterclockwise from east
+   */
+  static calculateOrientation(positions) {
+    if (positions.length < 2) return 0;
+
+    let deltaLat = 0;
+    let deltaLon = 0;
+    for (let i = 0; i < positions.length - 1; i++) {
+      for (let j = i + 1; j < positions.length; j++) {
+        deltaLat += positions[j].lat - positions[i].lat;
+        deltaLon += positions[j].lon - positions[i].lon;
+      }
+    }
+    return Math.atan2(deltaLat, deltaLon) * 180 / Math.PI;
+  }
+
+  static toAddressPart(text) {
+    return String(text).replace(ADDRESS_RESERVED, '_');
+  }
+
+  /**
+   * Bundle messages under one time tag, in as many packets as it takes to
+   * keep each under maxPacketBytes
+   * @param {Array<Object>} messages - { address, types, args }
+   * @param {number} timestamp - ms since the Unix epoch
+   * @param {number} maxPacketBytes
+   * @returns {Array<Buffer>} Bundles
+   */
+  static encodePackets(messages, timestamp, maxPacketBytes) {
+    const packets = [];
+    let elements = [];
+    let size = 16; // "#bundle" and the time tag
+
+    messages.map(OscOutput.encodeMessage).forEach(element => {
+      const elementSize = 4 + element.length;
+      if (elements.length > 0 && size + elementSize > maxPacketBytes) {
+        packets.push(OscOutput.encodeBundle(elements, timestamp));
+        elements = [];
+        size = 16;
+      }
+      elements.push(element);
+      size += elementSize;
+    });
+    if (elements.length > 0) packets.push(OscOutput.encodeBundle(elements, timestamp));
+
+    return packets;
+  }
+
+  /**
+   * @param {Array<Buffer>} elements - Encoded messages
+   * @param {number} timestamp - ms since the Unix epoch
+   * @returns {Buffer}
+   */
+  static encodeBundle(elements, timestamp) {
+    const parts = [OscOutput.encodeString('#bundle'), OscOutput.encodeTimeTag(timestamp)];
+    elements.forEach(element => {
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(element.length);
+      parts.push(size, element);
+    });
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * @param {Object} message - { address, types, args } with types from 'i', 'f' and 's'
+   * @returns {Buffer}
+   */
+  static encodeMessage(message) {
+    const parts = [OscOutput.encodeString(message.address), OscOutput.encodeString(`,${message.types}`)];
+    Array.from(message.types).forEach((type, index) => {
+      const value = message.args[index];
+      if (type === 's') {
+        parts.push(OscOutput.encodeString(String(value)));
+        return;
+      }
+
+      const buffer = Buffer.alloc(4);
+      if (type === 'i') {
+        buffer.writeInt32BE(value);
+      } else if (type === 'f') {
+        buffer.writeFloatBE(value);
+      } else {
+        throw new Error(`Unsupported OSC type tag "${type}"`);
+      }
+      parts.push(buffer);
+    });
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * OSC-string: the bytes, a null terminator, then nulls up to a multiple of 4
+   */
+  static encodeString(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    const padded = Buffer.alloc(Math.floor(bytes.length / 4) * 4 + 4);
+    bytes.copy(padded);
+    return padded;
+  }
+
+  /**
+   * NTP time tag: seconds since 1900, then the fraction of a second in 1/2^32ths
+   * @param {number} timestamp - ms since the Unix epoch
+   * @returns {Buffer}
+   */
+  static encodeTimeTag(timestamp) {
+    const seconds = Math.floor(timestamp / 1000);
+    const fraction = Math.floor(((timestamp % 1000) / 1000) * 0x100000000);
+    const buffer = Buffer.alloc(8);
+    buffer.writeUInt32BE(seconds + NTP_EPOCH_OFFSET_SECONDS);
+    buffer.writeUInt32BE(fraction, 4);
+    return buffer;
+  }
+}
+
+module.exports = OscOutput;
@@ -0,0 +1,84 @@
+const MetlinkClient = require('./metlink-client');
+const GtfsRealtimeClient = require('./gtfs-realtime-client');
+const SimulatorClient = require('./simulator-client');
+
+/**
+ * Parse a "minLat,minLon,maxLat,maxLon" bounds string
+ * @param {string} value - Comma separated bounds
+ * @returns {Object|null} Bounds object, or null if not set
+ */
+function parseBounds(value) {
+  if (!value) return null;
+
+  const parts = value.split(',').map(part => parseFloat(part.trim()));
+  if (parts.length !== 4 || parts.some(part => Number.isNaN(part))) {
+    throw new Error(`Invalid bounds "${value}" (expected minLat,minLon,maxLat,maxLon)`);
+  }
+
+  const [minLat, minLon, maxLat, maxLon] = parts;
+  return { minLat, minLon, maxLat, maxLon };
+}
+
+/**
+ * Parse an optional numeric setting
+ * @param {string} value - Raw environment value
+ * @returns {number|undefined} Parsed number, or undefined if not set
+ */
+function parseNumber(value) {
+  if (value === undefined || value === '') return undefined;
+
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) {
+    throw new Error(`Invalid number "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Build the transit feed provider selected by FEED_PROVIDER
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {TransitProvider} Configured provider
+ */
+function createProvider(env = process.env) {
+  const providerName = (env.FEED_PROVIDER || 'metlink').toLowerCase();
+
+  switch (providerName) {
+    case 'metlink':
+      if (!env.METLINK_API_KEY) {
+        throw new Error('METLINK_API_KEY environment variable is required (or set FEED_PROVIDER=simulator to run without one)');
+      }
+      return new MetlinkClient(env.METLINK_API_KEY);
+
+    case 'gtfs-rt':
+      return new GtfsRealtimeClient({
+        vehiclePositionsUrl: env.GTFS_RT_VEHICLE_POSITIONS_URL,
+        tripUpdatesUrl: env.GTFS_RT_TRIP_UPDATES_URL,
+        serviceAlertsUrl: env.GTFS_RT_SERVICE_ALERTS_URL,
+        stopsUrl: env.GTFS_RT_STOPS_URL,
+        apiKey: env.GTFS_RT_API_KEY,
+        authStyle: env.GTFS_RT_AUTH_STYLE,
+        authHeader: env.GTFS_RT_AUTH_HEADER,
+        authQueryParam: env.GTFS_RT_AUTH_QUERY_PARAM,
+        bounds: parseBounds(env.GTFS_RT_BOUNDS),
+        format: env.GTFS_RT_FORMAT
+      });
+
+    case 'simulator':
+      return new SimulatorClient({
+        stopsPath: env.SIMULATOR_STOPS_PATH,
+        stopsUrl: env.SIMULATOR_STOPS_URL,
+        routeCount: parseNumber(env.SIMULATOR_ROUTES),
+        stopsPerRoute: parseNumber(env.SIMULATOR_STOPS_PER_ROUTE),
+        vehiclesPerRoute: parseNumber(env.SIMULATOR_VEHICLES_PER_ROUTE),
+        delayDistribution: env.SIMULATOR_DELAY_DISTRIBUTION,
+        delayMean: parseNumber(env.SIMULATOR_DELAY_MEAN),
+        delaySpread: parseNumber(env.SIMULATOR_DELAY_SPREAD),
+        seed: parseNumber(env.SIMULATOR_SEED)
+      });
+
+    default:
+      throw new Error(`Unknown FEED_PROVIDER "${providerName}" (expected metlink, gtfs-rt or simulator)`);
+  }
+}
+
+module.exports = { createProvider, parseBounds };
@@ -0,0 +1,34 @@
+const TransitProvider = require('./transit-provider');
+const SessionRecorder = require('./session-recorder');
+
+/**
+ * Serves a recorded session through the provider contract.
+ * Buses and updates come from the frame the SessionPlayer last emitted;
+ * stops come from the snapshot saved alongside the recording.
+ */
+class RecordingProvider extends TransitProvider {
+  constructor(player) {
+    super({ name: 'replay' });
+    this.player = player;
+  }
+
+  async getBuses() {
+    const frame = this.player.currentFrame;
+    return frame ? frame.buses : [];
+  }
+
+  async getStops() {
+    const stops = await SessionRecorder.readStops(this.player.directory);
+    if (!stops) {
+      throw new Error(`No stops.json in ${this.player.directory} - record with a live feed first`);
+    }
+    return stops;
+  }
+
+  async getUpdates() {
+    const frame = this.player.currentFrame;
+    return frame ? frame.updates : [];
+  }
+}
+
+module.exports = RecordingProvider;
\ No newline at end of file
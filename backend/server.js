@@ -4,37 +4,246 @@ const WebSocket = require('ws');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const MetlinkClient = require('./metlink-client');
+const { createProvider } = require('./providers');
 const Cache = require('./cache');
 const HistoricalDataCache = require('./historical-cache');
+const GtfsStaticIndex = require('./gtfs-static');
+const SessionRecorder = require('./session-recorder');
+const SessionPlayer = require('./session-player');
+const RecordingProvider = require('./recording-provider');
+const DeltaEncoder = require('./delta-encoder');
+const Subscription = require('./subscription');
+const MetricsRegistry = require('./metrics');
+const CircuitBreaker = require('./circuit-breaker');
+const ArrivalDetector = require('./arrival-detector');
+const OscOutput = require('./osc-output');
+const { getActiveAlerts } = require('./service-alerts');
 const SHARED_CONSTANTS = require('../shared/constants');
 
 const app = express();
 const PORT = process.env.PORT || SHARED_CONSTANTS.NETWORK.DEFAULT_HTTP_PORT;
-const WS_PORT = process.env.WS_PORT || SHARED_CONSTANTS.NETWORK.DEFAULT_WS_PORT;
 
-// Initialize cache, historical cache, and Metlink client
-const cache = new Cache();
+// Public URL prefix the app is served under (e.g. /projects/bus-synth/ behind a reverse proxy)
+const normalizeBasePath = (value) => `/${(value || '').split('/').filter(Boolean).join('/')}/`.replace('//', '/');
+const BASE_PATH = normalizeBasePath(process.env.BASE_PATH);
+// Relative to the page, so it still resolves when a proxy strips the public prefix
+const WS_RELATIVE_PATH = (process.env.WS_PATH || SHARED_CONSTANTS.NETWORK.DEFAULT_WS_PATH).replace(/^\/+/, '');
+const WS_PATH = `${BASE_PATH}${WS_RELATIVE_PATH}`;
+
+if (process.env.WS_PORT) {
+  console.warn(`WS_PORT is no longer used: the WebSocket is served on the HTTP port at ${WS_PATH}`);
+}
+
+// Initialize historical cache, transit feed provider and cache
 const historicalCache = new HistoricalDataCache({
   maxAge: SHARED_CONSTANTS.CACHE.HISTORICAL_MAX_AGE_MS,
   cleanupInterval: SHARED_CONSTANTS.CACHE.HISTORICAL_CLEANUP_INTERVAL_MS,
   maxEntries: SHARED_CONSTANTS.CACHE.HISTORICAL_MAX_ENTRIES
 });
-const metlink = new MetlinkClient(process.env.METLINK_API_KEY);
 
-if (!process.env.METLINK_API_KEY) {
-  console.error('METLINK_API_KEY environment variable is required');
+// Replay mode serves a recorded session instead of polling the live feed
+let provider;
+let player = null;
+try {
+  const replayOptions = SessionPlayer.parseOptions(process.argv.slice(2), process.env);
+  if (replayOptions) {
+    player = new SessionPlayer(replayOptions);
+    provider = new RecordingProvider(player);
+  } else {
+    provider = createProvider(process.env);
+  }
+} catch (error) {
+  console.error(`Feed provider configuration error: ${error.message}`);
   process.exit(1);
 }
 
+// Stops can be snapshotted to disk so restarts don't wait on (or hammer) the feed.
+// Snapshots are per provider, and replays use the stops saved with the recording.
+const cache = new Cache({
+  snapshotDirectory: process.env.CACHE_SNAPSHOT_DIR && !player
+    ? path.resolve(process.env.CACHE_SNAPSHOT_DIR, provider.name)
+    : null,
+  snapshotKeys: ['stops']
+});
+cache.loadSnapshots();
+
+const getBuses = () => cache.getOrFetch('buses', () => provider.getBuses(), SHARED_CONSTANTS.CACHE.BUSES_TTL_MS);
+const getStops = () => cache.getOrFetch('stops', () => provider.getStops(), SHARED_CONSTANTS.CACHE.STOPS_TTL_MS, {
+  staleWhileRevalidateMs: SHARED_CONSTANTS.CACHE.STOPS_STALE_WHILE_REVALIDATE_MS
+});
+const getUpdates = () => cache.getOrFetch('updates', () => provider.getUpdates(), SHARED_CONSTANTS.CACHE.UPDATES_TTL_MS, {
+  staleWhileRevalidateMs: SHARED_CONSTANTS.CACHE.UPDATES_STALE_WHILE_REVALIDATE_MS
+});
+const getAlerts = () => cache.getOrFetch('alerts', () => provider.getAlerts(), SHARED_CONSTANTS.CACHE.ALERTS_TTL_MS, {
+  staleWhileRevalidateMs: SHARED_CONSTANTS.CACHE.ALERTS_STALE_WHILE_REVALIDATE_MS
+});
+
+// Prometheus metrics, served at /metrics
+const metrics = new MetricsRegistry({ prefix: 'bus_synth_' });
+const upstreamDuration = metrics.histogram('upstream_request_duration_seconds', 'Time to upstream response headers per attempt, by endpoint');
+const upstreamRequests = metrics.counter('upstream_requests_total', 'Upstream request attempts by endpoint and outcome (HTTP status, timeout or network_error)');
+const upstreamErrors = metrics.counter('upstream_errors_total', 'Failed upstream request attempts by endpoint');
+const circuitState = metrics.gauge('upstream_circuit_state', 'Upstream circuit breaker state (1 for the current state)');
+const cacheRequests = metrics.counter('cache_requests_total', 'Cache lookups by key and result (hit, miss, stale, coalesced)');
+const cacheErrors = metrics.counter('cache_fetch_errors_total', 'Failed cache refreshes by key');
+const cacheHitRatio = metrics.gauge('cache_hit_ratio', 'Share of cache lookups answered with fresh data, by key');
+const cacheAge = metrics.gauge('cache_age_seconds', 'Age of the cached value by key');
+const websocketClients = metrics.gauge('websocket_clients', 'Connected WebSocket clients by protocol version');
+const broadcasts = metrics.counter('broadcasts_total', 'Frames broadcast');
+const broadcastBytes = metrics.counter('broadcast_bytes_total', 'Bytes sent to WebSocket clients in broadcasts');
+const arrivalsDetected = metrics.counter('arrivals_total', 'Vehicle arrivals detected at stops');
+const alertsActive = metrics.gauge('alerts_active', 'Service alerts currently active');
+const pollVehicles = metrics.gauge('poll_vehicles', 'Vehicles in the most recent poll');
+const pollTripUpdates = metrics.gauge('poll_trip_updates', 'Trip updates in the most recent poll');
+const lastPollTime = metrics.gauge('last_poll_timestamp_seconds', 'Time of the most recent poll');
+const historicalEntries = metrics.gauge('historical_cache_entries', 'Frames held for new clients');
+const historicalBuses = metrics.gauge('historical_cache_buses', 'Vehicle positions across held frames');
+const historicalOldestAge = metrics.gauge('historical_cache_oldest_age_seconds', 'Age of the oldest held frame');
+const historicalNewestAge = metrics.gauge('historical_cache_newest_age_seconds', 'Age of the newest held frame');
+const historicalTimeSpan = metrics.gauge('historical_cache_time_span_seconds', 'Time covered by held frames');
+const processMemory = metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', { prefixed: false });
+const processStartTime = metrics.gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds', { prefixed: false });
+processStartTime.set({}, Math.floor((Date.now() - process.uptime() * 1000) / 1000));
+broadcasts.inc({}, 0); // Report zero before the first broadcast rather than nothing
+broadcastBytes.inc({}, 0);
+arrivalsDetected.inc({}, 0);
+alertsActive.set({}, 0);
+
+provider.onRequestComplete = ({ endpoint, outcome, durationMs }) => {
+  upstreamDuration.observe({ endpoint }, durationMs / 1000);
+  upstreamRequests.inc({ endpoint, outcome });
+  if (!/^2\d\d$/.test(outcome)) {
+    upstreamErrors.inc({ endpoint });
+  }
+};
+
+metrics.addCollector(() => {
+  const { state } = provider.getFeedStatus();
+  Object.values(CircuitBreaker.STATES).forEach(name => circuitState.set({ state: name }, name === state ? 1 : 0));
+
+  Object.entries(cache.getStats()).forEach(([key, stats]) => {
+    cacheRequests.set({ key, result: 'hit' }, stats.hits);
+    cacheRequests.set({ key, result: 'miss' }, stats.misses);
+    cacheRequests.set({ key, result: 'stale' }, stats.stale);
+    cacheRequests.set({ key, result: 'coalesced' }, stats.coalesced);
+    cacheErrors.set({ key }, stats.errors);
+
+    const lookups = stats.hits + stats.misses + stats.stale + stats.coalesced;
+    cacheHitRatio.set({ key }, lookups > 0 ? stats.hits / lookups : 0);
+    if (stats.ageMs !== null) cacheAge.set({ key }, stats.ageMs / 1000);
+  });
+
+  const historical = historicalCache.getStats();
+  historicalEntries.set({}, historical.entryCount);
+  historicalBuses.set({}, historical.totalBuses);
+  historicalOldestAge.set({}, historical.oldestAge / 1000);
+  historicalNewestAge.set({}, historical.newestAge / 1000);
+  historicalTimeSpan.set({}, (historical.timeSpan || 0) / 1000);
+
+  processMemory.set({}, process.memoryUsage().rss);
+});
+
+// Optional static GTFS feed for route names, colours, shapes and trips
+const gtfsStatic = new GtfsStaticIndex();
+let gtfsStaticLoading = Promise.resolve(); // Settles once the zip has loaded or failed
+if (process.env.GTFS_STATIC_PATH) {
+  gtfsStaticLoading = gtfsStatic.load(process.env.GTFS_STATIC_PATH).catch(error => {
+    console.error(`Failed to load static GTFS from ${process.env.GTFS_STATIC_PATH}:`, error);
+  });
+}
+
+// Arrivals are detected here, once, from live positions and sent to clients as events
+const arrivalDetector = new ArrivalDetector();
+let recentArrivals = []; // Arrival messages replayed to new clients
+
+// Fetch stops once at startup: indexed for bounding-box subscriptions and arrival
+// detection, and saved with recordings
+const stopLocations = new Map(); // stop_id -> stop
+const startupStops = getStops()
+  .then(stops => {
+    stops.forEach(stop => stopLocations.set(String(stop.stop_id), stop));
+    arrivalDetector.setStops(stops);
+    return stops;
+  });
+startupStops.catch(error => console.error('Could not load stops for subscriptions and arrivals:', error));
+
+// Optional session recorder: persists every broadcast frame to disk
+let recorder = null;
+if (process.env.RECORDING_DIR && player) {
+  console.log('Session recording is disabled in replay mode');
+} else if (process.env.RECORDING_DIR) {
+  recorder = new SessionRecorder({
+    directory: path.resolve(process.env.RECORDING_DIR),
+    rotateInterval: parseInt(process.env.RECORDING_ROTATE_MINUTES, 10) * 60000 || SHARED_CONSTANTS.RECORDING.ROTATE_INTERVAL_MS,
+    maxFileBytes: parseInt(process.env.RECORDING_MAX_FILE_MB, 10) * 1024 * 1024 || SHARED_CONSTANTS.RECORDING.MAX_FILE_BYTES
+  });
+  try {
+    recorder.initialize();
+  } catch (error) {
+    console.error('Session recorder disabled:', error);
+    recorder = null;
+  }
+}
+
+// Optional OSC output for external synth engines (opt-in via OSC_PORT)
+let oscOutput = null;
+if (process.env.OSC_PORT) {
+  oscOutput = new OscOutput({
+    host: process.env.OSC_HOST,
+    port: parseInt(process.env.OSC_PORT, 10),
+    getStop: stopId => stopLocations.get(String(stopId)) || null
+  });
+  try {
+    oscOutput.initialize();
+  } catch (error) {
+    console.error('OSC output disabled:', error.message);
+    oscOutput = null;
+  }
+}
+
+if (recorder) {
+  // Keep a stops snapshot with the recording so it can be replayed offline
+  startupStops
+    .then(stops => recorder && recorder.recordStops(stops))
+    .catch(error => console.error('Session recorder could not save stops:', error));
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
+// Everything is served under BASE_PATH
+const router = express.Router();
+
+// Lets the frontend find the WebSocket wherever the app is mounted
+router.get('/api/config', (req, res) => {
+  res.json({
+    basePath: BASE_PATH,
+    wsPath: WS_RELATIVE_PATH,
+    wsProtocolVersion: SHARED_CONSTANTS.NETWORK.WS_PROTOCOL_VERSION,
+    feedProvider: provider.name
+  });
+});
+
+// Upstream feed health (circuit breaker state)
+router.get('/api/feed-status', (req, res) => {
+  res.json(provider.getFeedStatus());
+});
+
+// Service alerts active now
+router.get('/api/alerts', (req, res) => {
+  res.json(activeAlerts);
+});
+
+// Per-key cache counters
+router.get('/api/cache-stats', (req, res) => {
+  res.json(cache.getStats());
+});
+
 // API Routes (before static files to avoid conflicts)
-app.get('/api/buses', async (req, res) => {
+router.get('/api/buses', async (req, res) => {
   try {
-    const data = await cache.getOrFetch('buses', () => metlink.getBuses(), SHARED_CONSTANTS.CACHE.BUSES_TTL_MS);
+    const data = await getBuses();
     res.json(data);
   } catch (error) {
     console.error('Bus data error:', error);
@@ -42,9 +251,9 @@ app.get('/api/buses', async (req, res) => {
   }
 });
 
-app.get('/api/stops', async (req, res) => {
+router.get('/api/stops', async (req, res) => {
   try {
-    const data = await cache.getOrFetch('stops', () => metlink.getStops(), SHARED_CONSTANTS.CACHE.STOPS_TTL_MS);
+    const data = await getStops();
     res.json(data);
   } catch (error) {
     console.error('Stop data error:', error);
@@ -52,9 +261,9 @@ app.get('/api/stops', async (req, res) => {
   }
 });
 
-app.get('/api/updates', async (req, res) => {
+router.get('/api/updates', async (req, res) => {
   try {
-    const data = await cache.getOrFetch('updates', () => metlink.getUpdates(), SHARED_CONSTANTS.CACHE.UPDATES_TTL_MS);
+    const data = await getUpdates();
     res.json(data);
   } catch (error) {
     console.error('Updates data error:', error);
@@ -62,6 +271,36 @@ app.get('/api/updates', async (req, res) => {
   }
 });
 
+// Static GTFS routes (only available when GTFS_STATIC_PATH is loaded). Requests
+// made while the zip is still loading wait for it rather than failing.
+const requireStaticGtfs = async (req, res, next) => {
+  await gtfsStaticLoading;
+  if (!gtfsStatic.isLoaded()) {
+    return res.status(503).json({ error: 'Static GTFS data not loaded' });
+  }
+  next();
+};
+
+router.get('/api/routes', requireStaticGtfs, (req, res) => {
+  res.json(gtfsStatic.getRoutes());
+});
+
+router.get('/api/routes/:id/shape', requireStaticGtfs, (req, res) => {
+  const shape = gtfsStatic.getRouteShape(req.params.id);
+  if (!shape) {
+    return res.status(404).json({ error: `Route ${req.params.id} not found` });
+  }
+  res.json(shape);
+});
+
+router.get('/api/trips/:id', requireStaticGtfs, (req, res) => {
+  const trip = gtfsStatic.getTrip(req.params.id);
+  if (!trip) {
+    return res.status(404).json({ error: `Trip ${req.params.id} not found` });
+  }
+  res.json(trip);
+});
+
 // Serve frontend static files with proper MIME types
 const isDevelopment = process.env.NODE_ENV === 'development';
 const frontendPath = isDevelopment
@@ -70,9 +309,11 @@ const frontendPath = isDevelopment
 
 console.log(`Bus Synth Server`);
 console.log(`Environment: ${isDevelopment ? 'development' : 'production'}`);
+console.log(`Feed provider: ${provider.name}`);
 console.log(`Frontend path: ${frontendPath}`);
 console.log(`HTTP port: ${PORT}`);
-console.log(`WebSocket port: ${WS_PORT}`);
+console.log(`Base path: ${BASE_PATH}`);
+console.log(`WebSocket path: ${WS_PATH}`);
 
 // Verify frontend directory exists
 if (!fs.existsSync(frontendPath)) {
@@ -86,7 +327,7 @@ if (!fs.existsSync(frontendPath)) {
 }
 
 // Serve frontend static files with proper MIME types
-app.use(express.static(frontendPath, {
+router.use(express.static(frontendPath, {
   setHeaders: (res, filePath) => {
     if (filePath.endsWith('.css')) {
       res.setHeader('Content-Type', 'text/css');
@@ -97,63 +338,288 @@ app.use(express.static(frontendPath, {
 }));
 
 // Serve frontend
-app.get('/', (req, res) => {
+router.get('/', (req, res) => {
   const indexPath = isDevelopment
     ? path.join(__dirname, '../frontend/index.html')  // Development
     : path.join(__dirname, 'public/index.html');      // Production
   res.sendFile(indexPath);
 });
 
+// Relative asset and API URLs only resolve correctly from the trailing-slash URL
+if (BASE_PATH !== '/') {
+  app.use((req, res, next) => {
+    if (req.path === BASE_PATH.slice(0, -1)) {
+      return res.redirect(301, BASE_PATH);
+    }
+    next();
+  });
+}
+
+// Health, readiness and metrics live at the root for probes and scrapers
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Ready once vehicle data has been fetched (or replayed) recently
+const READY_MAX_DATA_AGE_MS = (parseInt(process.env.READY_MAX_DATA_AGE_SECONDS, 10) || 60) * 1000;
+app.get('/readyz', (req, res) => {
+  const dataAge = player
+    ? (lastPayload ? Date.now() - lastPayload.timestamp : null)
+    : cache.getAge('buses');
+
+  if (dataAge === null || dataAge > READY_MAX_DATA_AGE_MS) {
+    return res.status(503).json({
+      status: 'not ready',
+      reason: dataAge === null ? 'No vehicle data yet' : `Vehicle data is ${Math.round(dataAge / 1000)}s old`,
+      feed: provider.getFeedStatus().state
+    });
+  }
+  res.json({ status: 'ready', dataAgeSeconds: Math.round(dataAge / 1000) });
+});
+
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', MetricsRegistry.CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
+app.use(BASE_PATH, router);
+
 // Start HTTP server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`HTTP server running on port ${PORT}`);
 });
 
-// WebSocket server for real-time updates
-const wss = new WebSocket.Server({ port: WS_PORT });
+// WebSocket server for real-time updates, sharing the HTTP port
+const wss = new WebSocket.Server({ noServer: true });
 
-console.log(`WebSocket server running on port ${WS_PORT}`);
+server.on('upgrade', (req, socket, head) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname.replace(/\/$/, '') !== WS_PATH.replace(/\/$/, '')) {
+    socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+    socket.destroy();
+    return;
+  }
+
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    wss.emit('connection', ws, req);
+  });
+});
+
+console.log(`WebSocket server accepting upgrades on ${WS_PATH}`);
+
+metrics.addCollector(() => {
+  const counts = { 1: 0, [SHARED_CONSTANTS.NETWORK.WS_PROTOCOL_VERSION]: 0 };
+  wss.clients.forEach(client => {
+    counts[client.deltaEncoder ? SHARED_CONSTANTS.NETWORK.WS_PROTOCOL_VERSION : 1]++;
+  });
+  Object.entries(counts).forEach(([protocol, count]) => websocketClients.set({ protocol }, count));
+});
+
+// Latest broadcast frame, used to resync delta clients
+let lastPayload = null;
+
+// Route and stop lookups used to match subscriptions
+const subscriptionLookup = {
+  getRoute: routeId => gtfsStatic.getRoute(routeId),
+  getStop: stopId => stopLocations.get(String(stopId)) || null
+};
+
+// Serialize a frame for one client: filtered to its subscription, then
+// full JSON for protocol 1 or keyframe/delta for protocol 2
+const encodeFrame = (ws, payload) => {
+  const frame = ws.subscription.filterFrame(payload, subscriptionLookup);
+  return JSON.stringify(ws.deltaEncoder ? ws.deltaEncoder.encode(frame) : frame);
+};
+
+// Store a frame, record it and send it to all connected clients
+const broadcastFrame = (buses, updates, extra = {}) => {
+  // Store in historical cache for new connections
+  historicalCache.addEntry(buses, updates);
+
+  const payload = {
+    type: 'bus_update',
+    timestamp: Date.now(),
+    buses,
+    updates,
+    isHistorical: false, // Mark as real-time data
+    ...extra
+  };
+  lastPayload = payload;
+
+  if (recorder) {
+    recorder.record(payload);
+  }
+
+  pollVehicles.set({}, buses.length);
+  pollTripUpdates.set({}, updates.length);
+  lastPollTime.set({}, Math.floor(payload.timestamp / 1000));
+
+  const arrivals = arrivalDetector.processFrame(buses, updates, payload.timestamp);
+
+  if (oscOutput) {
+    oscOutput.sendFrame(buses, updates, arrivals, payload.timestamp);
+  }
+
+  // Only broadcast to clients if there are any connected
+  if (wss.clients.size > 0) {
+    let fullMessage = null; // Shared by all protocol 1 clients
+    let bytesSent = 0;
+
+    wss.clients.forEach(client => {
+      if (client.readyState !== WebSocket.OPEN) return;
+
+      let message;
+      if (client.deltaEncoder || !client.subscription.isEmpty()) {
+        message = encodeFrame(client, payload);
+      } else {
+        fullMessage = fullMessage || JSON.stringify(payload);
+        message = fullMessage;
+      }
+      client.send(message);
+      bytesSent += Buffer.byteLength(message);
+    });
+
+    broadcasts.inc();
+    broadcastBytes.inc({}, bytesSent);
+
+    console.log(`Broadcasted update to ${wss.clients.size} clients - ${buses.length} buses, ${updates.length} updates, ${(bytesSent / 1024).toFixed(1)}KB`);
+  } else {
+    console.log(`Cached update (no clients) - ${buses.length} buses, ${updates.length} updates`);
+  }
+
+  broadcastArrivals(arrivals, payload.timestamp);
+};
+
+// Send each arrival to the clients subscribed to its route and stop, and keep
+// it for clients that connect while the map is still behind it
+const broadcastArrivals = (arrivals, timestamp) => {
+  const cutoff = timestamp - SHARED_CONSTANTS.CACHE.HISTORICAL_MAX_AGE_MS;
+  recentArrivals = recentArrivals.filter(arrival => arrival.arrivalTime >= cutoff);
+  if (arrivals.length === 0) return;
+
+  arrivalsDetected.inc({}, arrivals.length);
+
+  arrivals.forEach(arrival => {
+    const message = { type: 'arrival', ...arrival, timestamp, isHistorical: false };
+    recentArrivals.push(message);
+
+    let serialized = null;
+    wss.clients.forEach(client => {
+      if (client.readyState !== WebSocket.OPEN || !client.subscription.matchesArrival(arrival, subscriptionLookup)) return;
+
+      serialized = serialized || JSON.stringify(message);
+      client.send(serialized);
+    });
+  });
+
+  console.log(`Detected ${arrivals.length} arrivals`);
+};
 
 // Broadcast real-time updates to all connected clients
 const broadcastUpdates = async () => {
   try {
-    const [buses, updates] = await Promise.all([
-      cache.getOrFetch('buses', () => metlink.getBuses(), SHARED_CONSTANTS.CACHE.BUSES_TTL_MS),
-      cache.getOrFetch('updates', () => metlink.getUpdates(), SHARED_CONSTANTS.CACHE.UPDATES_TTL_MS)
-    ]);
-
-    // Store in historical cache for new connections
-    historicalCache.addEntry(buses, updates);
-
-    // Only broadcast to clients if there are any connected
-    if (wss.clients.size > 0) {
-      const message = JSON.stringify({
-        type: 'bus_update',
-        timestamp: Date.now(),
-        buses,
-        updates,
-        isHistorical: false // Mark as real-time data
-      });
+    const [buses, updates] = await Promise.all([getBuses(), getUpdates()]);
 
-      wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-          client.send(message);
-        }
-      });
+    broadcastFrame(buses, updates);
+  } catch (error) {
+    console.error('Broadcast error:', error);
+  }
+};
 
-      console.log(`Broadcasted update to ${wss.clients.size} clients - ${buses.length} buses, ${updates.length} updates`);
-    } else {
-      console.log(`Cached update (no clients) - ${buses.length} buses, ${updates.length} updates`);
-    }
+// Broadcast a recorded frame as if it had just been fetched
+const broadcastReplayFrame = (frame) => {
+  try {
+    // HTTP endpoints should see the frame being replayed, not a cached one
+    cache.delete('buses');
+    cache.delete('updates');
 
+    broadcastFrame(frame.buses || [], frame.updates || [], { recordedAt: frame.timestamp });
   } catch (error) {
-    console.error('Broadcast error:', error);
+    console.error('Replay broadcast error:', error);
+  }
+};
+
+const sendMessage = (ws, message) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
   }
 };
 
+// Service alerts active now; clients get the full (filtered) set whenever it changes
+let activeAlerts = [];
+
+const sendAlerts = (ws) => {
+  sendMessage(ws, {
+    type: 'alert',
+    alerts: ws.subscription.filterAlerts(activeAlerts, subscriptionLookup),
+    timestamp: Date.now()
+  });
+};
+
+// Tell clients (and the recording) when alerts start, change or expire
+const setActiveAlerts = (alerts) => {
+  alertsActive.set({}, alerts.length);
+  if (JSON.stringify(alerts) === JSON.stringify(activeAlerts)) return;
+
+  activeAlerts = alerts;
+  wss.clients.forEach(sendAlerts);
+  if (recorder) {
+    recorder.record({ type: 'alert', timestamp: Date.now(), alerts });
+  }
+  console.log(`Service alerts changed: ${alerts.length} active`);
+};
+
+// Poll the alerts feed
+const refreshAlerts = async () => {
+  try {
+    setActiveAlerts(getActiveAlerts(await getAlerts()));
+  } catch (error) {
+    console.error('Service alerts error:', error);
+  }
+};
+
+// Tell clients when the upstream feed degrades or recovers
+const broadcastFeedStatus = () => {
+  const message = JSON.stringify({ type: 'feed_status', ...provider.getFeedStatus() });
+  wss.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+};
+provider.circuitBreaker.onStateChange = broadcastFeedStatus;
+
+// Filters that can't work with the data this server has loaded
+const getSubscriptionWarnings = (subscription) => {
+  const warnings = [];
+  if (subscription.vehicleTypes && !gtfsStatic.isLoaded()) {
+    warnings.push('Vehicle type filtering needs static GTFS (GTFS_STATIC_PATH); no vehicles will match');
+  }
+  if (subscription.bbox && stopLocations.size === 0) {
+    warnings.push('Stops are not loaded yet; trip updates will not match the bounding box');
+  }
+  return warnings;
+};
+
 // Handle WebSocket connections
-wss.on('connection', (ws) => {
-  console.log('Client connected');
+wss.on('connection', (ws, req) => {
+  // Clients opt in to delta-encoded frames with ?protocol=2
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const protocol = query.get('protocol');
+  if (protocol === String(SHARED_CONSTANTS.NETWORK.WS_PROTOCOL_VERSION)) {
+    ws.deltaEncoder = new DeltaEncoder({ keyframeInterval: SHARED_CONSTANTS.NETWORK.WS_KEYFRAME_INTERVAL });
+  }
+
+  // Embeds can subscribe up front with ?routes=...&bbox=...&types=... so history is filtered too
+  ws.subscription = new Subscription();
+  try {
+    ws.subscription = Subscription.fromQuery(query);
+  } catch (error) {
+    sendMessage(ws, { type: 'error', message: `Invalid subscription: ${error.message}` });
+  }
+
+  console.log(`Client connected (protocol ${ws.deltaEncoder ? SHARED_CONSTANTS.NETWORK.WS_PROTOCOL_VERSION : 1})`);
+  sendMessage(ws, { type: 'feed_status', ...provider.getFeedStatus() });
 
   // Send historical data immediately for instant startup
   try {
@@ -162,7 +628,7 @@ wss.on('connection', (ws) => {
       // Send each historical entry as a separate message to match real-time format
       historicalData.forEach(entry => {
         if (ws.readyState === WebSocket.OPEN) {
-          ws.send(JSON.stringify(entry));
+          ws.send(encodeFrame(ws, entry));
         }
       });
 
@@ -174,10 +640,66 @@ wss.on('connection', (ws) => {
     } else {
       console.log('No historical data available for new client');
     }
+
+    sendAlerts(ws);
+
+    // Arrivals the client's lagged map hasn't reached yet; timestamp is the send time
+    // so the client can place arrivalTime on its own clock
+    const now = Date.now();
+    recentArrivals
+      .filter(arrival => ws.subscription.matchesArrival(arrival, subscriptionLookup))
+      .forEach(arrival => sendMessage(ws, { ...arrival, timestamp: now, isHistorical: true }));
   } catch (error) {
     console.error('Error sending historical data:', error);
   }
 
+  ws.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.error('Invalid WebSocket message from client');
+      return;
+    }
+
+    switch (message.type) {
+      case 'subscribe':
+        // Takes effect from the next broadcast; delta clients see the change as removals
+        try {
+          ws.subscription = Subscription.parse(message);
+          sendMessage(ws, {
+            type: 'subscribed',
+            subscription: ws.subscription.toJSON(),
+            warnings: getSubscriptionWarnings(ws.subscription)
+          });
+          sendAlerts(ws);
+          console.log(`Client subscribed: ${JSON.stringify(ws.subscription)}`);
+        } catch (error) {
+          sendMessage(ws, { type: 'error', message: `Invalid subscription: ${error.message}` });
+        }
+        break;
+
+      case 'unsubscribe':
+        ws.subscription = new Subscription();
+        sendMessage(ws, { type: 'subscribed', subscription: ws.subscription.toJSON(), warnings: [] });
+        sendAlerts(ws);
+        break;
+
+      case 'resync':
+        // A delta client lost track of its state: start again from a keyframe
+        if (ws.deltaEncoder) {
+          ws.deltaEncoder.reset();
+          if (lastPayload && ws.readyState === WebSocket.OPEN) {
+            ws.send(encodeFrame(ws, lastPayload));
+          }
+        }
+        break;
+
+      default:
+        sendMessage(ws, { type: 'error', message: `Unknown message type "${message.type}"` });
+    }
+  });
+
   ws.on('close', () => {
     console.log('Client disconnected');
   });
@@ -187,10 +709,6 @@ wss.on('connection', (ws) => {
   });
 });
 
-// Start broadcasting updates every 10 seconds 
-// Optimized based on Wellington bus analysis: 11.1s avg update interval, 95.8% updates within 30s
-setInterval(broadcastUpdates, SHARED_CONSTANTS.POLLING.BROADCAST_INTERVAL_MS);
-
 // Initialize historical cache with some data on startup
 const initializeHistoricalCache = async () => {
   console.log('Initializing historical cache with startup data...');
@@ -208,13 +726,44 @@ const initializeHistoricalCache = async () => {
   }
 };
 
-// Start initialization
-initializeHistoricalCache();
+if (player) {
+  // Replay mode: the recorded timeline drives broadcasts
+  player.onFrame = broadcastReplayFrame;
+  // Vehicles jump when the replay does; that isn't them approaching stops
+  player.onSeek = () => arrivalDetector.reset();
+  // Alerts were recorded as they changed, already filtered to the active ones
+  player.onAlerts = setActiveAlerts;
+  player.start().catch(error => {
+    console.error(`Replay failed to start: ${error.message}`);
+    process.exit(1);
+  });
+} else {
+  // Start broadcasting updates every 10 seconds
+  // Optimized based on Wellington bus analysis: 11.1s avg update interval, 95.8% updates within 30s
+  setInterval(broadcastUpdates, SHARED_CONSTANTS.POLLING.BROADCAST_INTERVAL_MS);
+
+  // Start initialization
+  initializeHistoricalCache();
+
+  // Service alerts change slowly, so they are polled separately
+  refreshAlerts();
+  setInterval(refreshAlerts, SHARED_CONSTANTS.POLLING.ALERTS_INTERVAL_MS);
+}
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('Shutting down gracefully...');
   historicalCache.dispose();
   wss.close();
+  server.close();
+  if (player) {
+    player.stop();
+  }
+  if (oscOutput) {
+    oscOutput.close();
+  }
+  if (recorder) {
+    await recorder.close();
+  }
   process.exit(0);
 });
\ No newline at end of file
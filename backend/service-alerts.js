@@ -0,0 +1,83 @@
+/**
+ * Pick the text of a GTFS-RT TranslatedString, preferring English
+ * @param {Object} translated - { translation: [{ text, language }] }
+ * @returns {string|null} Text, or null if there is none
+ */
+function getTranslatedText(translated) {
+  const translations = translated && Array.isArray(translated.translation) ? translated.translation : [];
+  if (translations.length === 0) return null;
+
+  const english = translations.find(({ language }) => !language || /^en\b/i.test(language));
+  return (english || translations[0]).text || null;
+}
+
+/**
+ * Reduce a GTFS-RT alert entity to what clients need
+ * @param {Object} entity - Metlink-shaped alert entity ({ id, alert })
+ * @returns {Object|null} { id, routes, stops, cause, effect, severity, header, description, url, activePeriods }
+ */
+function normalizeAlert(entity) {
+  const alert = entity && entity.alert;
+  if (!alert) return null;
+
+  const informed = Array.isArray(alert.informed_entity) ? alert.informed_entity : [];
+  const routes = new Set();
+  const stops = new Set();
+  informed.forEach(selector => {
+    const routeId = selector.route_id !== undefined ? selector.route_id : selector.trip && selector.trip.route_id;
+    if (routeId !== undefined) routes.add(String(routeId));
+    if (selector.stop_id !== undefined) stops.add(String(selector.stop_id));
+  });
+
+  return {
+    id: String(entity.id),
+    routes: Array.from(routes),
+    stops: Array.from(stops),
+    cause: alert.cause || 'UNKNOWN_CAUSE',
+    effect: alert.effect || 'UNKNOWN_EFFECT',
+    severity: alert.severity_level || 'UNKNOWN_SEVERITY',
+    header: getTranslatedText(alert.header_text),
+    description: getTranslatedText(alert.description_text),
+    url: getTranslatedText(alert.url),
+    // Seconds since the epoch; a missing start or end is open-ended
+    activePeriods: (Array.isArray(alert.active_period) ? alert.active_period : []).map(period => ({
+      start: period.start || null,
+      end: period.end || null
+    }))
+  };
+}
+
+/**
+ * Alerts without active periods are active for as long as they are in the feed
+ * @param {Object} alert - Normalized alert
+ * @param {number} [now] - Time to check (ms)
+ * @returns {boolean}
+ */
+function isAlertActive(alert, now = Date.now()) {
+  if (alert.activePeriods.length === 0) return true;
+
+  const seconds = now / 1000;
+  return alert.activePeriods.some(({ start, end }) =>
+    (start === null || start <= seconds) && (end === null || seconds < end)
+  );
+}
+
+/**
+ * Normalize a feed's alert entities, keeping those active now
+ * @param {Array} entities - Alert entities
+ * @param {number} [now] - Time to check (ms)
+ * @returns {Array} Active normalized alerts, sorted by id
+ */
+function getActiveAlerts(entities, now = Date.now()) {
+  return (entities || [])
+    .map(normalizeAlert)
+    .filter(alert => alert && isAlertActive(alert, now))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+module.exports = {
+  getTranslatedText,
+  normalizeAlert,
+  isAlertActive,
+  getActiveAlerts
+};
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const SessionRecorder = require('./session-recorder');
+
+/**
+ * Replays bus_update frames recorded by SessionRecorder, and the alert
+ * lines between them.
+ *
+ * Frames are emitted on the recorded timeline scaled by the speed multiplier.
+ * The replay clock is derived from wall time so timer jitter never accumulates.
+ */
+class SessionPlayer {
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.speed = options.speed > 0 ? options.speed : 1;
+    this.startTimestamp = options.startTimestamp || null; // Recorded time to start from (ms)
+    this.loop = Boolean(options.loop);
+    this.maxGap = options.maxGap || 30000; // Recorded gaps longer than this are skipped
+    this.onFrame = options.onFrame || null;
+    this.onSeek = options.onSeek || null; // Called when playback jumps in recorded time (seek, loop, skipped gap)
+    this.onAlerts = options.onAlerts || null; // Called with the active alerts when they change
+
+    this.files = [];
+    this.frames = [];       // Frames (and alert lines) of the file currently being played
+    this.frameIndex = 0;
+    this.fileIndex = 0;
+    this.currentFrame = null;
+    this.timer = null;
+    this.isPlaying = false;
+
+    // Replay clock: recorded time = clockOrigin + (Date.now() - wallOrigin) * speed
+    this.clockOrigin = 0;
+    this.wallOrigin = 0;
+  }
+
+  /**
+   * Read the recording index and start playback
+   */
+  async start() {
+    const index = SessionRecorder.readIndex(this.directory);
+    this.files = index.files
+      .filter(entry => entry.frames > 0)
+      .sort((a, b) => a.start - b.start);
+
+    if (this.files.length === 0) {
+      throw new Error(`No recorded frames found in ${this.directory}`);
+    }
+
+    const first = this.files[0].start;
+    const last = this.files[this.files.length - 1].end;
+    console.log(`Replaying ${this.files.length} files (${new Date(first).toISOString()} - ${new Date(last).toISOString()}) at ${this.speed}x${this.loop ? ', looping' : ''}`);
+
+    this.isPlaying = true;
+    await this.seek(this.startTimestamp || first);
+  }
+
+  /**
+   * Jump to a recorded timestamp and continue playing from there
+   * @param {number} timestamp - Recorded time in ms
+   */
+  async seek(timestamp) {
+    this.clearTimer();
+
+    // First file that still has frames at or after the timestamp
+    this.fileIndex = this.files.findIndex(entry => entry.end >= timestamp);
+    if (this.fileIndex === -1) {
+      throw new Error(`Start time ${new Date(timestamp).toISOString()} is after the end of the recording`);
+    }
+
+    await this.loadFile(this.fileIndex);
+    this.frameIndex = this.frames.findIndex(frame => frame.timestamp >= timestamp);
+    if (this.frameIndex === -1) this.frameIndex = 0;
+
+    // Pick up the alerts that were active at that point (each file starts with them)
+    const alerts = this.frames.slice(0, this.frameIndex).reverse().find(frame => frame.type === 'alert');
+
+    this.resetClock(this.frames[this.frameIndex].timestamp);
+    this.notifySeek();
+    if (alerts) this.emit(alerts);
+    this.tick();
+  }
+
+  async loadFile(fileIndex) {
+    const entry = this.files[fileIndex];
+    const compressed = await fs.promises.readFile(path.join(this.directory, entry.file));
+
+    // Sync-flush finish lets us read files that were still open when recording stopped
+    const contents = zlib.gunzipSync(compressed, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString('utf8');
+
+    this.frames = contents
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null; // Truncated last line
+        }
+      })
+      .filter(frame => frame && (frame.type === 'bus_update' || frame.type === 'alert'));
+    this.frameIndex = 0;
+  }
+
+  resetClock(recordedTime) {
+    this.clockOrigin = recordedTime;
+    this.wallOrigin = Date.now();
+  }
+
+  getReplayTime() {
+    return this.clockOrigin + (Date.now() - this.wallOrigin) * this.speed;
+  }
+
+  /**
+   * Emit every frame that is due, then sleep until the next one
+   */
+  async tick() {
+    if (!this.isPlaying) return;
+
+    try {
+      while (this.isPlaying) {
+        if (this.frameIndex >= this.frames.length) {
+          const hasMore = await this.advanceFile();
+          if (!hasMore) return;
+          continue;
+        }
+
+        const frame = this.frames[this.frameIndex];
+        const replayTime = this.getReplayTime();
+
+        if (frame.timestamp > replayTime) {
+          // Collapse long recorded gaps (e.g. server downtime, overnight)
+          if (frame.timestamp - replayTime > this.maxGap) {
+            this.resetClock(frame.timestamp);
+            this.notifySeek();
+            continue;
+          }
+
+          const waitMs = (frame.timestamp - replayTime) / this.speed;
+          this.timer = setTimeout(() => this.tick(), waitMs);
+          return;
+        }
+
+        this.frameIndex++;
+        this.emit(frame);
+      }
+    } catch (error) {
+      console.error('Replay error:', error);
+      this.stop();
+    }
+  }
+
+  /**
+   * Move to the next recorded file, looping back to the start if configured
+   * @returns {Promise<boolean>} False when playback has finished
+   */
+  async advanceFile() {
+    if (this.fileIndex + 1 < this.files.length) {
+      const previousEnd = this.files[this.fileIndex].end;
+      this.fileIndex++;
+      await this.loadFile(this.fileIndex);
+
+      // Files are contiguous unless the recorder was restarted; keep the clock running
+      if (this.frames.length > 0 && this.frames[0].timestamp - previousEnd > this.maxGap) {
+        this.resetClock(this.frames[0].timestamp);
+      }
+      return true;
+    }
+
+    if (this.loop) {
+      console.log('Replay reached end of recording - looping');
+      await this.seek(this.startTimestamp || this.files[0].start);
+      return false; // seek() has taken over the tick loop
+    }
+
+    console.log('Replay finished');
+    this.stop();
+    return false;
+  }
+
+  notifySeek() {
+    if (this.onSeek) {
+      this.onSeek();
+    }
+  }
+
+  emit(frame) {
+    if (frame.type === 'alert') {
+      if (this.onAlerts) {
+        this.onAlerts(frame.alerts || []);
+      }
+      return;
+    }
+
+    this.currentFrame = frame;
+    if (this.onFrame) {
+      this.onFrame(frame);
+    }
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStats() {
+    return {
+      isPlaying: this.isPlaying,
+      speed: this.speed,
+      loop: this.loop,
+      file: this.files[this.fileIndex] ? this.files[this.fileIndex].file : null,
+      replayTime: this.isPlaying ? this.getReplayTime() : null,
+      lastFrameTimestamp: this.currentFrame ? this.currentFrame.timestamp : null
+    };
+  }
+
+  stop() {
+    this.isPlaying = false;
+    this.clearTimer();
+  }
+
+  /**
+   * Read replay settings from CLI flags, falling back to environment variables:
+   *   --replay <dir>   / REPLAY_DIR    recording directory (enables replay mode)
+   *   --speed <n>      / REPLAY_SPEED  playback speed multiplier
+   *   --start <time>   / REPLAY_START  ISO date or epoch ms to start from
+   *   --loop           / REPLAY_LOOP   restart from the start time when finished
+   * @param {Array<string>} argv - Command line arguments
+   * @param {Object} env - Environment variables
+   * @returns {Object|null} Player options, or null when not replaying
+   */
+  static parseOptions(argv = process.argv.slice(2), env = process.env) {
+    const flag = name => {
+      const index = argv.indexOf(`--${name}`);
+      return index !== -1 && argv[index + 1] && !argv[index + 1].startsWith('--') ? argv[index + 1] : undefined;
+    };
+
+    const directory = flag('replay') || env.REPLAY_DIR;
+    if (!directory) return null;
+
+    const speed = parseFloat(flag('speed') || env.REPLAY_SPEED || '1');
+    if (!(speed > 0)) {
+      throw new Error(`Invalid replay speed "${flag('speed') || env.REPLAY_SPEED}"`);
+    }
+
+    const start = flag('start') || env.REPLAY_START;
+    let startTimestamp = null;
+    if (start) {
+      startTimestamp = /^\d+$/.test(start) ? parseInt(start, 10) : Date.parse(start);
+      if (Number.isNaN(startTimestamp)) {
+        throw new Error(`Invalid replay start time "${start}"`);
+      }
+    }
+
+    return {
+      directory: path.resolve(directory),
+      speed,
+      startTimestamp,
+      loop: argv.includes('--loop') || env.REPLAY_LOOP === 'true'
+    };
+  }
+}
+
+module.exports = SessionPlayer;
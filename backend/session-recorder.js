@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const INDEX_FILE = 'index.json';
+const STOPS_FILE = 'stops.json';
+
+/**
+ * Persists broadcast bus_update payloads to rotating gzip-compressed NDJSON files.
+ *
+ * Each file holds one frame per line. Service alerts are written as an alert
+ * line whenever they change, and repeated at the top of each new file so any
+ * file can be replayed with the alerts that were active. index.json in the same directory lists
+ * every file with the time range it covers so sessions can be replayed later.
+ * A stops.json snapshot is kept alongside so replays don't need the live feed.
+ */
+class SessionRecorder {
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.rotateInterval = options.rotateInterval || 3600000; // New file every hour
+    this.maxFileBytes = options.maxFileBytes || 50 * 1024 * 1024; // Or after 50MB of uncompressed NDJSON
+
+    this.index = { version: 1, files: [] };
+    this.current = null; // { entry, gzip, stream, openedAt }
+    this.lastAlerts = null; // Most recent alert payload, repeated in each new file
+    this.pendingIndexWrite = Promise.resolve();
+  }
+
+  /**
+   * Create the recording directory and load any existing index.
+   * Synchronous so it completes before the first broadcast is recorded.
+   */
+  initialize() {
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.index = SessionRecorder.readIndex(this.directory);
+
+    // Files left open by a crash were flushed frame by frame, so they are still readable
+    this.index.files.forEach(entry => {
+      entry.complete = true;
+    });
+
+    console.log(`Session recorder writing to ${this.directory} (${this.index.files.length} existing files)`);
+  }
+
+  /**
+   * Append a bus_update or alert payload to the current file
+   * @param {Object} payload - { type, timestamp, buses, updates } or { type, timestamp, alerts }
+   */
+  record(payload) {
+    const now = payload.timestamp || Date.now();
+
+    if (this.shouldRotate(now)) {
+      this.rotate(now);
+      if (this.lastAlerts && payload.type !== 'alert') {
+        this.write({ ...this.lastAlerts, timestamp: now }, now);
+      }
+    }
+    if (payload.type === 'alert') {
+      this.lastAlerts = payload;
+    }
+
+    this.write(payload, now);
+  }
+
+  write(payload, now) {
+    const line = JSON.stringify(payload) + '\n';
+    const entry = this.current.entry;
+
+    // Sync flush so the file is readable up to the last frame while still open
+    this.current.gzip.write(line);
+    this.current.gzip.flush(zlib.constants.Z_SYNC_FLUSH);
+
+    entry.start = entry.start === null ? now : entry.start;
+    entry.end = now;
+    if (payload.type !== 'alert') entry.frames++;
+    entry.bytes += Buffer.byteLength(line);
+
+    this.writeIndex();
+  }
+
+  /**
+   * Save the stops list so replays can serve /api/stops offline
+   * @param {Array} stops - Stop records
+   */
+  async recordStops(stops) {
+    const stopsPath = path.join(this.directory, STOPS_FILE);
+    await fs.promises.writeFile(`${stopsPath}.tmp`, JSON.stringify(stops));
+    await fs.promises.rename(`${stopsPath}.tmp`, stopsPath);
+    console.log(`Session recorder saved ${stops.length} stops`);
+  }
+
+  shouldRotate(now) {
+    if (!this.current) return true;
+
+    return now - this.current.openedAt >= this.rotateInterval ||
+      this.current.entry.bytes >= this.maxFileBytes;
+  }
+
+  /**
+   * Close the current file (if any) and open a new one
+   * @param {number} now - Timestamp used for the new filename
+   */
+  rotate(now = Date.now()) {
+    this.closeCurrent();
+
+    const fileName = `session-${new Date(now).toISOString().replace(/[:.]/g, '-')}.ndjson.gz`;
+    const gzip = zlib.createGzip();
+    const stream = fs.createWriteStream(path.join(this.directory, fileName));
+    gzip.pipe(stream);
+
+    stream.on('error', error => {
+      console.error(`Session recorder write error (${fileName}):`, error);
+    });
+
+    const entry = { file: fileName, start: null, end: null, frames: 0, bytes: 0, complete: false };
+    this.index.files.push(entry);
+    this.current = { entry, gzip, stream, openedAt: now };
+
+    console.log(`Session recorder opened ${fileName}`);
+  }
+
+  closeCurrent() {
+    if (!this.current) return Promise.resolve();
+
+    const { entry, gzip, stream } = this.current;
+    this.current = null;
+    entry.complete = true;
+
+    const closed = new Promise(resolve => stream.on('close', resolve));
+    gzip.end();
+    this.writeIndex();
+
+    console.log(`Session recorder closed ${entry.file}: ${entry.frames} frames`);
+    return closed;
+  }
+
+  /**
+   * Write index.json atomically, serialized behind any pending write
+   */
+  writeIndex() {
+    const indexPath = path.join(this.directory, INDEX_FILE);
+    const tempPath = `${indexPath}.tmp`;
+    const contents = JSON.stringify(this.index, null, 2);
+
+    this.pendingIndexWrite = this.pendingIndexWrite
+      .then(() => fs.promises.writeFile(tempPath, contents))
+      .then(() => fs.promises.rename(tempPath, indexPath))
+      .catch(error => console.error('Session recorder index write error:', error));
+
+    return this.pendingIndexWrite;
+  }
+
+  getStats() {
+    const frames = this.index.files.reduce((sum, entry) => sum + entry.frames, 0);
+    return {
+      files: this.index.files.length,
+      frames,
+      currentFile: this.current ? this.current.entry.file : null
+    };
+  }
+
+  /**
+   * Flush and close the current file
+   */
+  async close() {
+    await this.closeCurrent();
+    await this.pendingIndexWrite;
+  }
+
+  /**
+   * Read a recording directory's index
+   * @param {string} directory - Recording directory
+   * @returns {Object} { version, files: [{ file, start, end, frames, bytes, complete }] }
+   */
+  static readIndex(directory) {
+    try {
+      const contents = fs.readFileSync(path.join(directory, INDEX_FILE), 'utf8');
+      const index = JSON.parse(contents);
+      return { version: index.version || 1, files: Array.isArray(index.files) ? index.files : [] };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { version: 1, files: [] };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read the stops snapshot saved with a recording
+   * @param {string} directory - Recording directory
+   * @returns {Promise<Array|null>} Stops, or null if none were saved
+   */
+  static async readStops(directory) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(directory, STOPS_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = SessionRecorder;
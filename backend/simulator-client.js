@@ -0,0 +1,442 @@
+const fs = require('fs');
+const path = require('path');
+const TransitProvider = require('./transit-provider');
+const { calculateDistance, calculateBearing } = require('./geo');
+
+const DEFAULT_STOPS_PATH = path.join(__dirname, 'fixtures', 'stops.json');
+const DELAY_DISTRIBUTIONS = ['normal', 'exponential', 'uniform'];
+
+/**
+ * Small seedable PRNG (mulberry32) so simulations can be reproduced
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Synthetic stand-in for the Metlink feed.
+ *
+ * Routes are derived from the stops list by walking between nearby stops in a
+ * consistent direction. Vehicles run trips along those routes, dwelling at each
+ * stop, and report trip updates for their next stop with delays drawn from a
+ * configurable distribution. Trips finish and new ones start, so vehicles
+ * appear and disappear like they do on the real network. One route at a time
+ * has a service alert, moving to another route every alertInterval.
+ *
+ * Options:
+ *   stopsPath        - Stops JSON file (defaults to the bundled fixture)
+ *   stopsUrl         - Fetch stops from a URL instead (e.g. a live server's /api/stops)
+ *   routeCount       - Number of simulated routes
+ *   stopsPerRoute    - Maximum stops per route
+ *   vehiclesPerRoute - Target number of vehicles on each route
+ *   speed            - Average vehicle speed between stops (m/s)
+ *   dwellTime        - Time spent at each stop (s)
+ *   delayDistribution - 'normal' | 'exponential' | 'uniform'
+ *   delayMean        - Mean delay (s)
+ *   delaySpread      - Standard deviation (normal) or half-width (uniform) of the delay (s)
+ *   alertInterval    - How long each simulated service alert lasts (s)
+ *   seed             - PRNG seed for reproducible runs
+ */
+class SimulatorClient extends TransitProvider {
+  constructor(options = {}) {
+    const delayDistribution = options.delayDistribution || 'normal';
+    if (!DELAY_DISTRIBUTIONS.includes(delayDistribution)) {
+      throw new Error(`Unknown simulator delay distribution "${delayDistribution}" (expected one of ${DELAY_DISTRIBUTIONS.join(', ')})`);
+    }
+
+    super({ name: 'simulator' });
+
+    this.stopsUrl = options.stopsUrl || null;
+    this.stopsPath = options.stopsPath || DEFAULT_STOPS_PATH;
+    this.routeCount = options.routeCount || 12;
+    this.stopsPerRoute = options.stopsPerRoute || 25;
+    this.vehiclesPerRoute = options.vehiclesPerRoute || 4;
+    this.speed = options.speed || 8;
+    this.dwellTime = options.dwellTime !== undefined ? options.dwellTime : 20;
+    this.delayDistribution = delayDistribution;
+    this.delayMean = options.delayMean !== undefined ? options.delayMean : 60;
+    this.delaySpread = options.delaySpread !== undefined ? options.delaySpread : 90;
+    this.alertInterval = options.alertInterval || 600;
+    this.seed = options.seed !== undefined ? options.seed : Date.now();
+    this.random = createRandom(this.seed);
+
+    this.stops = null;
+    this.routes = [];
+    this.trips = new Map(); // trip_id -> trip state
+    this.tripCounter = 0;
+    this.nextVehicleId = 2000;
+    this.lastAdvance = null;
+    this.networkPromise = null;
+  }
+
+  async getBuses() {
+    await this.ensureNetwork();
+    const now = Date.now();
+    this.advance(now);
+
+    const entities = [];
+    this.trips.forEach(trip => {
+      const state = this.getTripState(trip, now);
+      if (!state) return;
+
+      entities.push({
+        id: trip.vehicleId,
+        vehicle: {
+          trip: {
+            trip_id: trip.tripId,
+            route_id: trip.route.routeId,
+            direction_id: trip.directionId,
+            start_time: new Date(trip.scheduledStart).toTimeString().slice(0, 8),
+            schedule_relationship: 0
+          },
+          position: {
+            latitude: state.lat,
+            longitude: state.lon,
+            bearing: Math.round(state.bearing),
+            speed: state.isDwelling ? 0 : this.speed * trip.speedFactor
+          },
+          occupancy_percentage: this.getOccupancyPercent(trip, state),
+          vehicle: { id: trip.vehicleId },
+          timestamp: Math.floor(now / 1000)
+        }
+      });
+    });
+
+    return entities;
+  }
+
+  async getStops() {
+    await this.ensureNetwork();
+    return this.stops;
+  }
+
+  async getUpdates() {
+    await this.ensureNetwork();
+    const now = Date.now();
+    this.advance(now);
+
+    const entities = [];
+    this.trips.forEach(trip => {
+      const state = this.getTripState(trip, now);
+      if (!state || state.nextStopIndex === null) return;
+
+      const stop = trip.stops[state.nextStopIndex];
+      const scheduledArrival = trip.scheduledStart + trip.arriveOffsets[state.nextStopIndex] * 1000;
+      const delay = Math.round(trip.delay);
+
+      entities.push({
+        id: `${trip.tripId}-update`,
+        trip_update: {
+          trip: {
+            trip_id: trip.tripId,
+            route_id: trip.route.routeId,
+            direction_id: trip.directionId
+          },
+          stop_time_update: {
+            stop_id: stop.stop_id,
+            stop_sequence: state.nextStopIndex + 1,
+            arrival: {
+              delay,
+              time: Math.floor(scheduledArrival / 1000) + delay
+            }
+          },
+          vehicle: { id: trip.vehicleId },
+          timestamp: Math.floor(now / 1000)
+        }
+      });
+    });
+
+    return entities;
+  }
+
+  async getAlerts() {
+    await this.ensureNetwork();
+
+    // Alerts follow the clock rather than the trip state, so every caller sees the same one
+    const intervalMs = this.alertInterval * 1000;
+    const period = Math.floor(Date.now() / intervalMs);
+    const random = createRandom(this.seed + period);
+    const route = this.routes[Math.floor(random() * this.routes.length)];
+    const effects = ['DETOUR', 'REDUCED_SERVICE', 'SIGNIFICANT_DELAYS', 'STOP_MOVED'];
+    const effect = effects[Math.floor(random() * effects.length)];
+
+    return [{
+      id: `SIM__alert__${period}`,
+      alert: {
+        active_period: [{
+          start: Math.floor(period * intervalMs / 1000),
+          end: Math.floor((period + 1) * intervalMs / 1000)
+        }],
+        informed_entity: [{ route_id: route.routeId }],
+        cause: 'CONSTRUCTION',
+        effect,
+        severity_level: 'WARNING',
+        header_text: {
+          translation: [{ text: `Route ${route.routeId.slice(0, -1)}: ${effect.toLowerCase().replace(/_/g, ' ')}`, language: 'en' }]
+        },
+        description_text: {
+          translation: [{ text: 'Simulated service alert.', language: 'en' }]
+        }
+      }
+    }];
+  }
+
+  /**
+   * Load stops and derive routes once
+   */
+  ensureNetwork() {
+    if (!this.networkPromise) {
+      this.networkPromise = this.loadStops().then(stops => {
+        this.stops = stops.filter(stop => typeof stop.stop_lat === 'number' && typeof stop.stop_lon === 'number');
+        this.buildRoutes();
+      }).catch(error => {
+        this.networkPromise = null; // Allow a retry on the next call
+        throw error;
+      });
+    }
+    return this.networkPromise;
+  }
+
+  async loadStops() {
+    if (this.stopsUrl) {
+      return await this.fetchJson(this.stopsUrl, 'Stop data');
+    }
+    return JSON.parse(await fs.promises.readFile(this.stopsPath, 'utf8'));
+  }
+
+  buildRoutes() {
+    this.routes = [];
+    for (let i = 1; i <= this.routeCount; i++) {
+      const route = this.buildRoute(i);
+      if (route) this.routes.push(route);
+    }
+
+    if (this.routes.length === 0) {
+      throw new Error(`Could not derive any simulator routes from ${this.stops.length} stops`);
+    }
+    console.log(`Simulator: ${this.routes.length} routes from ${this.stops.length} stops (seed ${this.seed})`);
+  }
+
+  /**
+   * Walk from a random stop to nearby stops that keep roughly the same heading
+   * @param {number} routeNumber - Used to build a Metlink-style route_id
+   * @returns {Object|null} { routeId, stops } or null if no usable route was found
+   */
+  buildRoute(routeNumber) {
+    const minHop = 150;
+    const maxHop = 1500;
+    const maxTurn = 70;
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const start = this.stops[Math.floor(this.random() * this.stops.length)];
+      const sequence = [start];
+      const used = new Set([start.stop_id]);
+      let heading = this.random() * 360;
+
+      while (sequence.length < this.stopsPerRoute) {
+        const current = sequence[sequence.length - 1];
+        let best = null;
+        let bestDistance = Infinity;
+
+        this.stops.forEach(stop => {
+          if (used.has(stop.stop_id)) return;
+
+          const distance = calculateDistance(current.stop_lat, current.stop_lon, stop.stop_lat, stop.stop_lon);
+          if (distance < minHop || distance > maxHop || distance >= bestDistance) return;
+
+          const bearing = calculateBearing(current.stop_lat, current.stop_lon, stop.stop_lat, stop.stop_lon);
+          const turn = Math.abs(((bearing - heading + 540) % 360) - 180);
+          if (turn > maxTurn) return;
+
+          best = stop;
+          bestDistance = distance;
+        });
+
+        if (!best) break;
+
+        heading = calculateBearing(current.stop_lat, current.stop_lon, best.stop_lat, best.stop_lon);
+        sequence.push(best);
+        used.add(best.stop_id);
+      }
+
+      if (sequence.length >= 5) {
+        // Metlink route IDs carry a trailing variant digit that the frontend strips
+        return { routeId: String(routeNumber * 10), stops: sequence };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Retire finished trips and start new ones so each route stays near its target
+   * @param {number} now - Current time (ms)
+   */
+  advance(now) {
+    const isFirstAdvance = this.lastAdvance === null;
+    const elapsedSeconds = isFirstAdvance ? 0 : (now - this.lastAdvance) / 1000;
+    this.lastAdvance = now;
+
+    this.trips.forEach((trip, tripId) => {
+      const state = this.getTripState(trip, now);
+
+      // Finished, or dropped out of service (e.g. lost GPS)
+      if (state === 'finished' || this.random() < 0.002 * elapsedSeconds / 10) {
+        this.trips.delete(tripId);
+        return;
+      }
+
+      // Delays drift while dwelling, capped so vehicles never jump back before the stop
+      if (state && state.isDwelling && elapsedSeconds > 0) {
+        const drift = Math.min(state.dwellElapsed, this.gaussian() * Math.sqrt(elapsedSeconds));
+        trip.delay = Math.max(-120, trip.delay + drift);
+      }
+    });
+
+    this.routes.forEach(route => {
+      let active = 0;
+      this.trips.forEach(trip => {
+        if (trip.route === route) active++;
+      });
+
+      while (active < this.vehiclesPerRoute) {
+        // Fill the network immediately on startup, then trickle new trips in
+        if (!isFirstAdvance && this.random() > 0.3 * Math.min(1, elapsedSeconds / 10)) break;
+        this.startTrip(route, now, isFirstAdvance);
+        active++;
+      }
+    });
+  }
+
+  /**
+   * Start a trip on a route
+   * @param {Object} route - Simulated route
+   * @param {number} now - Current time (ms)
+   * @param {boolean} midway - Place the vehicle part way along the route
+   */
+  startTrip(route, now, midway) {
+    const directionId = this.random() < 0.5 ? 0 : 1;
+    const stops = directionId === 0 ? route.stops : route.stops.slice().reverse();
+    const speed = this.speed * (0.8 + this.random() * 0.4);
+
+    // Schedule offsets (s) for arriving at each stop
+    const arriveOffsets = [0];
+    for (let i = 1; i < stops.length; i++) {
+      const hop = calculateDistance(stops[i - 1].stop_lat, stops[i - 1].stop_lon, stops[i].stop_lat, stops[i].stop_lon);
+      arriveOffsets.push(arriveOffsets[i - 1] + this.dwellTime + hop / speed);
+    }
+
+    const delay = this.sampleDelay();
+    const duration = arriveOffsets[arriveOffsets.length - 1];
+    const progress = midway ? this.random() * duration : 0;
+
+    this.tripCounter++;
+    const trip = {
+      tripId: `SIM__${route.routeId}__${this.tripCounter}`,
+      vehicleId: String(this.nextVehicleId++),
+      route,
+      directionId,
+      stops,
+      arriveOffsets,
+      speedFactor: speed / this.speed,
+      delay,
+      load: 0.3 + this.random() * 0.7, // How full the trip gets at its busiest
+      // Scheduled start such that the (late) vehicle is at `progress` now
+      scheduledStart: now - (progress + delay) * 1000
+    };
+
+    this.trips.set(trip.tripId, trip);
+  }
+
+  /**
+   * How full a trip's vehicle is: it fills towards the middle of the route
+   * @param {Object} trip - Trip state
+   * @param {Object} state - Position state from getTripState
+   * @returns {number} Percentage, in steps of 5
+   */
+  getOccupancyPercent(trip, state) {
+    const progress = state.nextStopIndex / trip.stops.length;
+    return Math.round(trip.load * Math.sin(Math.PI * progress) * 20) * 5;
+  }
+
+  /**
+   * Work out where a trip's vehicle is
+   * @param {Object} trip - Trip state
+   * @param {number} now - Current time (ms)
+   * @returns {Object|string|null} Position state, 'finished', or null if not started yet
+   */
+  getTripState(trip, now) {
+    const elapsed = (now - trip.scheduledStart) / 1000 - trip.delay;
+    const offsets = trip.arriveOffsets;
+    const lastIndex = offsets.length - 1;
+
+    if (elapsed < 0) return null;
+    if (elapsed >= offsets[lastIndex]) return 'finished';
+
+    let index = 0;
+    while (index < lastIndex - 1 && elapsed >= offsets[index + 1]) {
+      index++;
+    }
+
+    const from = trip.stops[index];
+    const to = trip.stops[index + 1];
+    const bearing = calculateBearing(from.stop_lat, from.stop_lon, to.stop_lat, to.stop_lon);
+    const departTime = offsets[index] + this.dwellTime;
+
+    if (elapsed < departTime) {
+      return {
+        lat: from.stop_lat,
+        lon: from.stop_lon,
+        bearing,
+        isDwelling: true,
+        dwellElapsed: elapsed - offsets[index],
+        nextStopIndex: index + 1
+      };
+    }
+
+    const fraction = (elapsed - departTime) / (offsets[index + 1] - departTime);
+    return {
+      lat: from.stop_lat + (to.stop_lat - from.stop_lat) * fraction,
+      lon: from.stop_lon + (to.stop_lon - from.stop_lon) * fraction,
+      bearing,
+      isDwelling: false,
+      nextStopIndex: index + 1
+    };
+  }
+
+  /**
+   * Draw a delay (s) from the configured distribution
+   * @returns {number} Delay in seconds (negative = early)
+   */
+  sampleDelay() {
+    switch (this.delayDistribution) {
+      case 'exponential':
+        return -Math.log(1 - this.random()) * this.delayMean;
+      case 'uniform':
+        return this.delayMean + (this.random() * 2 - 1) * this.delaySpread;
+      case 'normal':
+      default:
+        return this.delayMean + this.gaussian() * this.delaySpread;
+    }
+  }
+
+  // Standard normal sample (Box-Muller)
+  gaussian() {
+    const u = 1 - this.random();
+    const v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
+
+SimulatorClient.DELAY_DISTRIBUTIONS = DELAY_DISTRIBUTIONS;
+
+module.exports = SimulatorClient;
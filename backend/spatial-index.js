@@ -120,4 +120,4 @@ class SpatialIndex {
   }
 }
 
-window.SpatialIndex = SpatialIndex;
+module.exports = SpatialIndex;
@@ -0,0 +1,228 @@
+const { parseBounds } = require('./providers');
+const SHARED_CONSTANTS = require('../shared/constants');
+
+const VEHICLE_TYPES = SHARED_CONSTANTS.VEHICLE_TYPES;
+
+/**
+ * Map a GTFS route_type (basic or extended) to a vehicle type name
+ * @param {number} routeType - GTFS route_type
+ * @returns {string|null} Vehicle type name, or null if unknown
+ */
+function vehicleTypeForRouteType(routeType) {
+  if (routeType === null || routeType === undefined) return null;
+
+  const basic = Object.keys(VEHICLE_TYPES).find(name => VEHICLE_TYPES[name] === routeType);
+  if (basic) return basic;
+
+  // Extended route types (Google Transit): 100 rail, 700 bus, 1000 water, ...
+  const extended = {
+    1: 'rail', 2: 'bus', 4: 'subway', 7: 'bus', 8: 'trolleybus',
+    9: 'tram', 10: 'ferry', 12: 'ferry', 13: 'aerial_lift', 14: 'funicular'
+  };
+  return extended[Math.floor(routeType / 100)] || null;
+}
+
+/**
+ * What one WebSocket client wants to receive: routes, an area and vehicle types.
+ * Each filter is optional; a subscription with none of them matches everything.
+ */
+class Subscription {
+  constructor(options = {}) {
+    this.routes = options.routes ? new Set(options.routes.map(String)) : null;
+    this.bbox = options.bbox || null; // { minLat, minLon, maxLat, maxLon }
+    this.vehicleTypes = options.vehicleTypes ? new Set(options.vehicleTypes) : null;
+  }
+
+  /**
+   * Build a subscription from a client `subscribe` message
+   * @param {Object} message - { routes?: [id], bbox?: [minLat, minLon, maxLat, maxLon] | string, vehicleTypes?: [name | route_type] }
+   * @returns {Subscription}
+   */
+  static parse(message) {
+    const routes = Subscription.parseList(message.routes, 'routes');
+    const vehicleTypes = Subscription.parseList(message.vehicleTypes, 'vehicleTypes');
+
+    return new Subscription({
+      routes: routes && routes.length > 0 ? routes : null,
+      bbox: Subscription.parseBbox(message.bbox),
+      vehicleTypes: vehicleTypes && vehicleTypes.length > 0 ? vehicleTypes.map(Subscription.parseVehicleType) : null
+    });
+  }
+
+  /**
+   * Build a subscription from connection query parameters (?routes=10,20&bbox=...&types=bus,rail)
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Subscription}
+   */
+  static fromQuery(params) {
+    const list = name => params.has(name) ? params.get(name).split(',').filter(value => value !== '') : undefined;
+
+    return Subscription.parse({
+      routes: list('routes'),
+      bbox: params.get('bbox') || undefined,
+      vehicleTypes: list('types')
+    });
+  }
+
+  static parseList(value, name) {
+    if (value === undefined || value === null) return null;
+    if (!Array.isArray(value)) {
+      throw new Error(`${name} must be an array`);
+    }
+    return value;
+  }
+
+  static parseBbox(value) {
+    if (value === undefined || value === null) return null;
+
+    const bounds = parseBounds(Array.isArray(value) ? value.join(',') : String(value));
+    if (!bounds) return null;
+    if (bounds.minLat >= bounds.maxLat || bounds.minLon >= bounds.maxLon) {
+      throw new Error('bbox must be [minLat, minLon, maxLat, maxLon]');
+    }
+    return bounds;
+  }
+
+  static parseVehicleType(value) {
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+      const name = vehicleTypeForRouteType(Number(value));
+      if (!name) throw new Error(`Unknown route_type ${value}`);
+      return name;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(VEHICLE_TYPES, value)) {
+      throw new Error(`Unknown vehicle type "${value}" (expected one of ${Object.keys(VEHICLE_TYPES).join(', ')})`);
+    }
+    return value;
+  }
+
+  isEmpty() {
+    return !this.routes && !this.bbox && !this.vehicleTypes;
+  }
+
+  /**
+   * Check a route against the route and vehicle type filters
+   * @param {string} routeId - Feed route_id
+   * @param {Object} lookup - { getRoute(routeId) } returning static GTFS routes
+   * @returns {boolean}
+   */
+  matchesRoute(routeId, lookup) {
+    if (!this.routes && !this.vehicleTypes) return true;
+    if (routeId === undefined || routeId === null) return false;
+
+    const route = lookup.getRoute(routeId);
+
+    // Route filters accept either the feed's route_id or the public route number
+    if (this.routes && !this.routes.has(String(routeId)) &&
+        !(route && this.routes.has(route.route_short_name))) {
+      return false;
+    }
+
+    // Vehicle types come from static GTFS, so unknown routes never match a type filter
+    if (this.vehicleTypes) {
+      const type = route ? vehicleTypeForRouteType(route.route_type) : null;
+      if (!type || !this.vehicleTypes.has(type)) return false;
+    }
+
+    return true;
+  }
+
+  isWithinBbox(lat, lon) {
+    return !this.bbox || (
+      lat >= this.bbox.minLat && lat <= this.bbox.maxLat &&
+      lon >= this.bbox.minLon && lon <= this.bbox.maxLon
+    );
+  }
+
+  matchesVehicle(entity, lookup) {
+    const vehicle = entity.vehicle;
+    if (!vehicle) return false;
+
+    if (this.bbox && (!vehicle.position || !this.isWithinBbox(vehicle.position.latitude, vehicle.position.longitude))) {
+      return false;
+    }
+    return this.matchesRoute(vehicle.trip && vehicle.trip.route_id, lookup);
+  }
+
+  /**
+   * Trip updates are placed by the stop they refer to
+   * @param {Object} entity - Trip update entity
+   * @param {Object} lookup - { getRoute(routeId), getStop(stopId) }
+   * @returns {boolean}
+   */
+  matchesUpdate(entity, lookup) {
+    const tripUpdate = entity.trip_update;
+    if (!tripUpdate) return false;
+
+    if (this.bbox) {
+      const stopTimeUpdate = tripUpdate.stop_time_update;
+      const stop = stopTimeUpdate ? lookup.getStop(stopTimeUpdate.stop_id) : null;
+      if (!stop || !this.isWithinBbox(stop.stop_lat, stop.stop_lon)) return false;
+    }
+    return this.matchesRoute(tripUpdate.trip && tripUpdate.trip.route_id, lookup);
+  }
+
+  /**
+   * Arrivals are placed by the stop the vehicle arrived at
+   * @param {Object} arrival - { routeId, stopId, ... }
+   * @param {Object} lookup - { getRoute(routeId), getStop(stopId) }
+   * @returns {boolean}
+   */
+  matchesArrival(arrival, lookup) {
+    if (this.bbox) {
+      const stop = lookup.getStop(arrival.stopId);
+      if (!stop || !this.isWithinBbox(stop.stop_lat, stop.stop_lon)) return false;
+    }
+    return this.matchesRoute(arrival.routeId, lookup);
+  }
+
+  /**
+   * Filter a bus_update payload down to what this client subscribed to
+   * @param {Object} payload - { buses, updates, ... }
+   * @param {Object} lookup - { getRoute(routeId), getStop(stopId) }
+   * @returns {Object} The payload itself when nothing is filtered, otherwise a filtered copy
+   */
+  filterFrame(payload, lookup) {
+    if (this.isEmpty()) return payload;
+
+    return {
+      ...payload,
+      buses: payload.buses.filter(entity => this.matchesVehicle(entity, lookup)),
+      updates: payload.updates.filter(entity => this.matchesUpdate(entity, lookup))
+    };
+  }
+
+  /**
+   * Alerts match on any informed route and any informed stop. Alerts that name
+   * no routes (or no stops) apply network-wide and pass that filter.
+   * @param {Object} alert - Normalized alert ({ routes, stops, ... })
+   * @param {Object} lookup - { getRoute(routeId), getStop(stopId) }
+   * @returns {boolean}
+   */
+  matchesAlert(alert, lookup) {
+    if (this.bbox && alert.stops.length > 0) {
+      const inBbox = alert.stops.some(stopId => {
+        const stop = lookup.getStop(stopId);
+        return stop && this.isWithinBbox(stop.stop_lat, stop.stop_lon);
+      });
+      if (!inBbox) return false;
+    }
+    return alert.routes.length === 0 || alert.routes.some(routeId => this.matchesRoute(routeId, lookup));
+  }
+
+  filterAlerts(alerts, lookup) {
+    return this.isEmpty() ? alerts : alerts.filter(alert => this.matchesAlert(alert, lookup));
+  }
+
+  toJSON() {
+    return {
+      routes: this.routes ? Array.from(this.routes) : null,
+      bbox: this.bbox ? [this.bbox.minLat, this.bbox.minLon, this.bbox.maxLat, this.bbox.maxLon] : null,
+      vehicleTypes: this.vehicleTypes ? Array.from(this.vehicleTypes) : null
+    };
+  }
+}
+
+Subscription.vehicleTypeForRouteType = vehicleTypeForRouteType;
+
+module.exports = Subscription;
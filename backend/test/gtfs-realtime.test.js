@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { decodeFeedMessage } = require('../gtfs-realtime');
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'gtfs-rt', `${name}.pb`));
+
+test('decodes vehicle positions into the Metlink entity shape', () => {
+  const feed = decodeFeedMessage(readFixture('vehiclepositions'));
+
+  assert.equal(feed.header.gtfs_realtime_version, '2.0');
+  assert.equal(feed.header.timestamp, 1760000000);
+  assert.equal(feed.entity.length, 3);
+
+  const [first, second] = feed.entity;
+  assert.equal(first.id, '2101');
+  assert.equal(first.vehicle.vehicle.id, '2101');
+  assert.equal(first.vehicle.trip.route_id, '210');
+  assert.equal(first.vehicle.trip.trip_id, '21__1__101__TZM__501__1_1');
+  assert.equal(first.vehicle.timestamp, 1759999988);
+  assert.equal(first.vehicle.occupancy_status, 'MANY_SEATS_AVAILABLE');
+  assert.ok(Math.abs(first.vehicle.position.latitude - -41.2865) < 1e-4);
+  assert.ok(Math.abs(first.vehicle.position.longitude - 174.7762) < 1e-4);
+  assert.equal(first.vehicle.position.bearing, 90);
+  assert.equal(first.vehicle.position.speed, 8.5);
+
+  // Fields the feed leaves out stay out rather than becoming defaults
+  assert.equal(second.vehicle.position.speed, undefined);
+  assert.equal(second.vehicle.occupancy_status, undefined);
+});
+
+test('decodes trip updates with a single next stop_time_update', () => {
+  const feed = decodeFeedMessage(readFixture('tripupdates'));
+  assert.equal(feed.entity.length, 3);
+
+  const [late, early, cancelled] = feed.entity;
+  assert.equal(late.trip_update.trip.route_id, '210');
+  assert.equal(late.trip_update.vehicle.id, '2101');
+  assert.ok(!Array.isArray(late.trip_update.stop_time_update));
+  assert.equal(late.trip_update.stop_time_update.stop_id, '5006');
+  assert.equal(late.trip_update.stop_time_update.arrival.delay, 185);
+  assert.equal(late.trip_update.stop_time_update.arrival.time, 1760000060);
+
+  assert.equal(early.trip_update.stop_time_update.arrival.delay, -20);
+
+  assert.equal(cancelled.is_deleted, true);
+  assert.equal(cancelled.trip_update.trip.schedule_relationship, 'CANCELED');
+});
+
+test('decodes service alerts', () => {
+  const feed = decodeFeedMessage(readFixture('alerts'));
+  assert.equal(feed.entity.length, 1);
+
+  const { alert } = feed.entity[0];
+  assert.equal(feed.entity[0].id, 'alert-1');
+  assert.deepEqual(alert.active_period, [{ start: 1759996400, end: 1760007200 }]);
+  assert.deepEqual(alert.informed_entity, [{ route_id: '210' }, { stop_id: '5006' }]);
+  assert.equal(alert.cause, 'MAINTENANCE');
+  assert.equal(alert.effect, 'DETOUR');
+  assert.equal(alert.severity_level, 'WARNING');
+  assert.equal(alert.header_text.translation[0].text, 'Route 2 detour');
+  assert.equal(alert.header_text.translation[0].language, 'en');
+});
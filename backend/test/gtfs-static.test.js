@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const GtfsStaticIndex = require('../gtfs-static');
+
+const parseRows = text => {
+  const rows = [];
+  GtfsStaticIndex.parseCsv(text, row => rows.push(row));
+  return rows;
+};
+
+test('parses quoted fields with escaped quotes, commas and newlines', () => {
+  const rows = parseRows('route_id,route_long_name\n1,"Karori - ""Park"", Lyall Bay"\n2,"Two\nlines"\n');
+
+  assert.deepEqual(rows, [
+    { route_id: '1', route_long_name: 'Karori - "Park", Lyall Bay' },
+    { route_id: '2', route_long_name: 'Two\nlines' }
+  ]);
+});
+
+test('handles CRLF line endings, a byte order mark and a last row without a newline', () => {
+  const rows = parseRows('\ufeffroute_id,route_short_name\r\n1,A\r\n\r\n2,"B"');
+
+  assert.deepEqual(rows, [
+    { route_id: '1', route_short_name: 'A' },
+    { route_id: '2', route_short_name: 'B' }
+  ]);
+});
+
+test('fills missing trailing fields with empty strings', () => {
+  assert.deepEqual(parseRows('a,b,c\n1,2\n'), [{ a: '1', b: '2', c: '' }]);
+});
+
+test('gives the same rows however the text is split into chunks', () => {
+  const text = '\ufefftrip_id,headsign\r\n1,"Say ""hi"""\r\n2,plain\r\n3,"x,y"';
+  const expected = parseRows(text);
+
+  for (let size = 1; size <= 4; size++) {
+    const rows = [];
+    const parser = GtfsStaticIndex.createCsvParser(row => rows.push(row));
+    for (let i = 0; i < text.length; i += size) {
+      parser.write(text.slice(i, i + size));
+    }
+    parser.end();
+    assert.deepEqual(rows, expected, `chunks of ${size}`);
+  }
+});
+
+test('loads a zip, stored or deflated, and returns trips with sorted stop times', async () => {
+  const tables = {
+    'routes.txt': 'route_id,route_short_name,route_type\n2,2,3\n',
+    'trips.txt': 'route_id,service_id,trip_id,direction_id,shape_id\n2,wk,t1,0,s1\n',
+    'shapes.txt': 'shape_id,shape_pt_lat,shape_pt_lon,shape_pt_sequence\ns1,-41.3,174.8,2\ns1,-41.2,174.7,1\n',
+    'stop_times.txt': 'trip_id,arrival_time,departure_time,stop_id,stop_sequence,pickup_type\nt1,07:05:00,07:05:00,5002,2,0\nt1,07:00:00,07:00:30,5000,1,0\n',
+    'calendar.txt': 'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date\nwk,1,1,1,1,1,0,0,20260101,20261231\n'
+  };
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gtfs-static-'));
+
+  try {
+    for (const method of [0, 8]) {
+      const zip = new AdmZip();
+      Object.entries(tables).forEach(([name, text]) => {
+        zip.addFile(`feed/${name}`, Buffer.from(text));
+        zip.getEntry(`feed/${name}`).header.method = method;
+      });
+      const zipPath = path.join(directory, `gtfs-${method}.zip`);
+      zip.writeZip(zipPath);
+
+      const index = new GtfsStaticIndex();
+      await index.load(zipPath);
+
+      assert.equal(index.getRoute('2').route_type, 3);
+      assert.deepEqual(index.getRouteShape('2').shapes[0].points, [[-41.2, 174.7], [-41.3, 174.8]]);
+      const trip = index.getTrip('t1');
+      assert.deepEqual(trip.calendar.days, ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']);
+      assert.deepEqual(trip.stop_times, [
+        { stop_id: '5000', stop_sequence: 1, arrival_time: '07:00:00', departure_time: '07:00:30' },
+        { stop_id: '5002', stop_sequence: 2, arrival_time: '07:05:00', departure_time: '07:05:00' }
+      ]);
+    }
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,238 @@
+const fetch = require('node-fetch').default;
+const { decodeFeedMessage } = require('./gtfs-realtime');
+const CircuitBreaker = require('./circuit-breaker');
+const SHARED_CONSTANTS = require('../shared/constants');
+
+const UPSTREAM = SHARED_CONSTANTS.UPSTREAM;
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Base class for transit feed providers.
+ *
+ * Every provider exposes the contract the server relies on:
+ *   getBuses()   -> array of GTFS-RT vehicle position entities
+ *   getStops()   -> array of { stop_id, stop_name, stop_lat, stop_lon }
+ *   getUpdates() -> array of GTFS-RT trip update entities
+ *   getAlerts()  -> array of GTFS-RT alert entities (empty if the feed has none)
+ */
+class TransitProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'provider';
+    this.headers = options.headers || {};
+    // Optional region filter: { minLat, minLon, maxLat, maxLon }
+    this.bounds = options.bounds || null;
+
+    this.timeout = options.timeout || UPSTREAM.TIMEOUT_MS;
+    this.retries = options.retries !== undefined ? options.retries : UPSTREAM.RETRIES;
+    this.onRequestComplete = null; // Called with { endpoint, outcome, durationMs } for every attempt
+    this.circuitBreaker = new CircuitBreaker({
+      name: this.name,
+      failureThreshold: UPSTREAM.CIRCUIT_FAILURE_THRESHOLD,
+      resetTimeout: UPSTREAM.CIRCUIT_RESET_TIMEOUT_MS
+    });
+  }
+
+  async getBuses() {
+    throw new Error(`${this.name} provider does not implement getBuses()`);
+  }
+
+  async getStops() {
+    throw new Error(`${this.name} provider does not implement getStops()`);
+  }
+
+  async getUpdates() {
+    throw new Error(`${this.name} provider does not implement getUpdates()`);
+  }
+
+  async getAlerts() {
+    return [];
+  }
+
+  /**
+   * Fetch a URL and parse the JSON body
+   * @param {string} url - Endpoint to fetch
+   * @param {string} label - Human readable name used in error messages
+   * @returns {Promise<any>} Parsed response body
+   */
+  async fetchJson(url, label) {
+    const response = await this.request(url, label, 'application/json');
+    return await response.json();
+  }
+
+  /**
+   * Fetch a URL and return the raw body
+   * @param {string} url - Endpoint to fetch
+   * @param {string} label - Human readable name used in error messages
+   * @returns {Promise<Buffer>} Response body
+   */
+  async fetchBuffer(url, label) {
+    const response = await this.request(url, label, 'application/x-protobuf');
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Fetch a GTFS-RT feed and return its entities
+   * @param {string} url - Feed endpoint
+   * @param {string} label - Human readable name used in error messages
+   * @param {string} format - 'json' or 'protobuf'
+   * @returns {Promise<Array>} Feed entities in the Metlink JSON shape
+   */
+  async fetchFeed(url, label, format = 'json') {
+    if (format === 'protobuf') {
+      const buffer = await this.fetchBuffer(url, label);
+      return decodeFeedMessage(buffer).entity;
+    }
+
+    const data = await this.fetchJson(url, label);
+    return data.entity || [];
+  }
+
+  /**
+   * Fetch through the circuit breaker, retrying transient failures
+   * @param {string} url - Endpoint to fetch
+   * @param {string} label - Human readable name used in error messages
+   * @param {string} accept - Accept header
+   * @returns {Promise<Response>} Successful response
+   */
+  async request(url, label, accept) {
+    return this.circuitBreaker.execute(async () => {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await this.requestOnce(url, label, accept);
+        } catch (error) {
+          if (!error.retryable) throw error;
+
+          const delay = this.getRetryDelay(error, attempt);
+          if (delay === null) {
+            // Upstream wants a longer break than we're willing to wait inline
+            this.circuitBreaker.trip(error.retryAfter, error);
+            throw error;
+          }
+          if (attempt >= this.retries) throw error;
+
+          console.warn(`${error.message}, retrying in ${Math.round(delay)}ms (${attempt + 1}/${this.retries})`);
+          await sleep(delay);
+        }
+      }
+    });
+  }
+
+  async requestOnce(url, label, accept) {
+    const startTime = Date.now();
+    const report = (outcome) => {
+      if (this.onRequestComplete) {
+        this.onRequestComplete({ endpoint: new URL(url).pathname, outcome, durationMs: Date.now() - startTime });
+      }
+    };
+
+    let response;
+    try {
+      response = await fetch(url, {
+        headers: { ...this.headers, 'accept': accept },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      const isTimeout = error.name === 'TimeoutError' || error.name === 'AbortError';
+      report(isTimeout ? 'timeout' : 'network_error');
+      const failure = new Error(isTimeout
+        ? `${label} fetch timed out after ${this.timeout}ms`
+        : `${label} fetch failed: ${error.message}`);
+      failure.retryable = true; // Network errors and timeouts are worth another try
+      throw failure;
+    }
+
+    if (!response.ok) {
+      report(String(response.status));
+      const error = new Error(`${label} fetch failed: ${response.status}`);
+      error.status = response.status;
+      error.retryable = RETRYABLE_STATUSES.includes(response.status);
+      error.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      throw error;
+    }
+
+    report(String(response.status));
+    return response;
+  }
+
+  /**
+   * Honour Retry-After when given, otherwise back off exponentially with full jitter
+   * @param {Error} error - Failed attempt
+   * @param {number} attempt - Zero-based attempt number
+   * @returns {number|null} Delay in ms, or null if Retry-After is too long to wait
+   */
+  getRetryDelay(error, attempt) {
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      return error.retryAfter <= UPSTREAM.MAX_RETRY_AFTER_MS ? error.retryAfter : null;
+    }
+
+    const ceiling = Math.min(UPSTREAM.RETRY_MAX_DELAY_MS, UPSTREAM.RETRY_BASE_DELAY_MS * Math.pow(2, attempt));
+    return Math.random() * ceiling;
+  }
+
+  /**
+   * Upstream health for the status display
+   * @returns {Object} Circuit breaker state
+   */
+  getFeedStatus() {
+    return this.circuitBreaker.getState();
+  }
+
+  /**
+   * Check whether a coordinate falls inside the configured bounds
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {boolean} True if there are no bounds or the point is inside them
+   */
+  isWithinBounds(lat, lon) {
+    if (!this.bounds) return true;
+    if (typeof lat !== 'number' || typeof lon !== 'number') return false;
+
+    return lat >= this.bounds.minLat && lat <= this.bounds.maxLat &&
+      lon >= this.bounds.minLon && lon <= this.bounds.maxLon;
+  }
+
+  /**
+   * Drop vehicle entities positioned outside the configured bounds
+   * @param {Array} entities - GTFS-RT vehicle position entities
+   * @returns {Array} Entities inside the bounds
+   */
+  filterVehiclesToBounds(entities) {
+    if (!this.bounds) return entities;
+
+    return entities.filter(entity => {
+      const position = entity.vehicle && entity.vehicle.position;
+      return position && this.isWithinBounds(position.latitude, position.longitude);
+    });
+  }
+
+  /**
+   * Drop stops outside the configured bounds
+   * @param {Array} stops - Stop records with stop_lat/stop_lon
+   * @returns {Array} Stops inside the bounds
+   */
+  filterStopsToBounds(stops) {
+    if (!this.bounds) return stops;
+
+    return stops.filter(stop => this.isWithinBounds(stop.stop_lat, stop.stop_lon));
+  }
+}
+
+module.exports = TransitProvider;
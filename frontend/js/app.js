@@ -7,18 +7,34 @@ class BusSynthApp {
     this.bounds = null;
     this.currentBuses = new Map();
     this.stops = [];
-    this.stopSpatialIndex = null; // Spatial index for efficient stop proximity queries
+    this.routeInfo = new Map(); // cleaned routeId (string) -> static GTFS route
+    this.stopsById = new Map(); // stop_id (string) -> stop
     this.routeBusData = new Map(); // grouping buses by route
-    this.lastBusPositions = new Map(); // for detecting arrivals
-    this.recentArrivals = new Map(); // debounce arrivals: "busId-stopId" -> timestamp
-    this.stopDelays = new Map(); // store delay data: "stopId" -> {delay, routeId, timestamp}
+    this.arrivalTimers = new Set(); // pending server arrivals waiting for the lagged map to catch up
     this.stopProximityThreshold = SHARED_CONSTANTS.PROXIMITY.STOP_THRESHOLD_METERS;
 
     // UI elements
     this.audioToggleBtn = document.getElementById('audio-toggle-btn');
     this.volumeSlider = document.getElementById('volume-slider');
     this.volumeValue = document.getElementById('volume-value');
+    this.presetSelect = document.getElementById('preset-select');
+    this.presetSaveBtn = document.getElementById('preset-save');
+    this.presetDeleteBtn = document.getElementById('preset-delete');
+    this.presetExportBtn = document.getElementById('preset-export');
+    this.presetFileInput = document.getElementById('preset-file');
+    this.themeSelect = document.getElementById('theme-select');
+    this.recordBtn = document.getElementById('record-btn');
+    this.recordFormatSelect = document.getElementById('record-format');
+    this.recordTimer = document.getElementById('record-timer');
+    this.keySelect = document.getElementById('key-select');
+    this.scaleSelect = document.getElementById('scale-select');
+    this.scalaFileInput = document.getElementById('scala-file');
+    this.reverbSelect = document.getElementById('reverb-select');
+    this.irFileInput = document.getElementById('ir-file');
+    this.tempoGridToggle = document.getElementById('tempo-grid-toggle');
+    this.tempoInput = document.getElementById('tempo-bpm');
     this.connectionStatus = document.getElementById('connection-status');
+    this.feedStatus = document.getElementById('feed-status');
     this.busCount = document.getElementById('bus-count');
     this.audioStatus = document.getElementById('audio-status');
     
@@ -26,14 +42,36 @@ class BusSynthApp {
     this.activeRoutesDisplay = document.getElementById('active-routes');
     this.recentArrivalsDisplay = document.getElementById('recent-arrivals');
     this.delayEventsDisplay = document.getElementById('delay-events');
+    this.serviceAlertsDisplay = document.getElementById('service-alerts');
+    this.alertsCount = document.getElementById('alerts-count');
     this.clearEventsBtn = document.getElementById('clear-events');
+    this.mappingMatrixDisplay = document.getElementById('mapping-matrix');
+    this.mappingEditor = document.getElementById('mapping-editor');
+    this.mappingResetBtn = document.getElementById('mapping-reset');
     
     // Audio events data
     this.recentArrivalEvents = [];
     this.recentDelayEvents = [];
     this.maxEventHistory = 10;
-
+    this.activeAlerts = []; // service alerts from the server, already filtered to our subscription
+    this.alertedRoutes = new Set(); // cleaned route IDs (as strings) with an active alert
+    this.customScales = new Map(); // scale select value -> MusicalScale loaded from .scl
+    this.isAdjustingMixer = false; // a mixer slider is being dragged, so the routes list isn't redrawn under it
+    this.routeMeanDelays = new Map(); // cleaned route ID (as string) -> mean delay (s) across its current trip updates
+    this.selectedMappingCell = null; // { source, target } open in the mapping editor
+    this.presetStore = new PresetStore();
+    this.currentPresetName = 'Default'; // last preset loaded or saved, null once it's deleted
+    this.recorder = null; // AudioRecorder while the mix is being recorded
+    this.recordTimerInterval = null;
+
+    this.populatePresetControls();
+    this.populateThemeControls();
+    this.populateScaleControls();
+    this.populateReverbControls();
+    this.tempoInput.value = SHARED_CONSTANTS.AUDIO.SCHEDULER.TEMPO_DEFAULT_BPM;
+    this.tempoInput.disabled = true;
     this.bindEvents();
+    this.updateRecordControls();
   }
 
   cleanRouteId(routeId) {
@@ -72,6 +110,331 @@ class BusSynthApp {
     });
     
     this.clearEventsBtn.addEventListener('click', () => this.clearAudioEvents());
+
+    // Mixer controls are redrawn with the routes list, so listen on the list itself
+    this.activeRoutesDisplay.addEventListener('click', (e) => this.handleMixerClick(e));
+    this.activeRoutesDisplay.addEventListener('input', (e) => this.handleMixerInput(e));
+    this.activeRoutesDisplay.addEventListener('pointerdown', (e) => {
+      if (e.target.type === 'range') this.isAdjustingMixer = true;
+    });
+    document.addEventListener('pointerup', () => {
+      this.isAdjustingMixer = false;
+    });
+
+    this.presetSelect.addEventListener('change', () => this.selectPreset(this.presetSelect.value));
+    this.presetSaveBtn.addEventListener('click', () => this.savePreset());
+    this.presetDeleteBtn.addEventListener('click', () => this.deletePreset());
+    this.presetExportBtn.addEventListener('click', () => this.exportPreset());
+    this.presetFileInput.addEventListener('change', (e) => {
+      if (e.target.files[0]) this.importPresetFile(e.target.files[0]);
+      e.target.value = '';
+    });
+    this.themeSelect.addEventListener('change', () => this.applyTheme(this.themeSelect.value));
+    this.recordBtn.addEventListener('click', () => this.toggleRecording());
+
+    this.keySelect.addEventListener('change', () => this.applyScaleSelection());
+    this.scaleSelect.addEventListener('change', () => this.applyScaleSelection());
+    this.scalaFileInput.addEventListener('change', (e) => {
+      if (e.target.files[0]) this.loadScalaFile(e.target.files[0]);
+      e.target.value = '';
+    });
+
+    this.reverbSelect.addEventListener('change', () => this.applyReverbSelection());
+    this.irFileInput.addEventListener('change', (e) => {
+      if (e.target.files[0]) this.loadImpulseResponseFile(e.target.files[0]);
+      e.target.value = '';
+    });
+
+    this.tempoGridToggle.addEventListener('change', () => this.applyTempoSelection());
+    this.tempoInput.addEventListener('change', () => this.applyTempoSelection());
+
+    this.mappingMatrixDisplay.addEventListener('click', (e) => this.handleMappingCellClick(e));
+    this.mappingEditor.addEventListener('change', (e) => this.handleMappingEditorChange(e));
+    this.mappingEditor.addEventListener('click', (e) => {
+      if (e.target.dataset.action === 'remove-mapping') this.removeSelectedMapping();
+    });
+    this.mappingResetBtn.addEventListener('click', () => {
+      if (!this.audioManager) return;
+      this.audioManager.setMappings(SHARED_CONSTANTS.AUDIO.MAPPING.DEFAULTS);
+      this.selectedMappingCell = null;
+      this.renderMappingMatrix();
+      this.renderMappingEditor();
+    });
+  }
+
+  populatePresetControls() {
+    this.presetSelect.innerHTML = '';
+    if (this.currentPresetName === null) {
+      this.presetSelect.add(new Option('Unsaved', '', true, true));
+      this.presetSelect.options[0].disabled = true;
+    }
+    this.presetStore.list().forEach(({ name, builtIn }) => {
+      this.presetSelect.add(new Option(builtIn ? name : `${name} (saved)`, name));
+    });
+    if (this.currentPresetName !== null) this.presetSelect.value = this.currentPresetName;
+    this.presetDeleteBtn.disabled = this.currentPresetName === null || this.presetStore.isBuiltIn(this.currentPresetName);
+  }
+
+  populateThemeControls() {
+    Object.entries(SHARED_CONSTANTS.MAP.THEMES).forEach(([id, theme]) => {
+      this.themeSelect.add(new Option(theme.label, id));
+    });
+    this.themeSelect.value = SHARED_CONSTANTS.MAP.DEFAULT_THEME;
+  }
+
+  /**
+   * Switch the map tiles, stop colour and UI accent
+   * @param {string} themeId - Key of MAP.THEMES
+   */
+  applyTheme(themeId) {
+    const theme = SHARED_CONSTANTS.MAP.THEMES[themeId];
+    if (!theme) return;
+
+    this.themeSelect.value = themeId;
+    document.documentElement.style.setProperty('--color-accent', theme.accent);
+    document.documentElement.style.setProperty('--color-accent-dark', theme.accentDark);
+    if (this.mapManager) this.mapManager.setTheme(themeId);
+  }
+
+  /**
+   * Capture the current sound and look as a preset
+   * @param {string} name
+   * @returns {Object} Complete preset
+   */
+  getCurrentPreset(name) {
+    const customScale = this.customScales.get(this.scaleSelect.value);
+
+    return PresetStore.validate({
+      name,
+      audio: {
+        key: this.keySelect.value,
+        scale: customScale
+          ? { name: customScale.name, degrees: customScale.degrees, period: customScale.period }
+          : this.scaleSelect.value,
+        reverbSpace: this.reverbSelect.value,
+        tempoBpm: parseInt(this.tempoInput.value, 10) || SHARED_CONSTANTS.AUDIO.SCHEDULER.TEMPO_DEFAULT_BPM,
+        tempoGrid: this.tempoGridToggle.checked,
+        parameters: this.audioManager.getParameters()
+      },
+      mappings: this.audioManager.getMappings(),
+      theme: this.themeSelect.value
+    });
+  }
+
+  /**
+   * Switch to a preset while playing: parameters, mappings and scale glide
+   * over, the reverb crossfades and nothing restarts
+   * @param {Object} preset - Complete preset (see PresetStore)
+   */
+  async applyPreset(preset) {
+    if (!this.audioManager) return;
+
+    this.audioManager.setParameters(preset.audio.parameters);
+    this.audioManager.setMappings(preset.mappings);
+    this.selectedMappingCell = null;
+    this.renderMappingMatrix();
+    this.renderMappingEditor();
+
+    this.keySelect.value = preset.audio.key;
+    this.scaleSelect.value = typeof preset.audio.scale === 'string'
+      ? preset.audio.scale
+      : this.addCustomScale(new MusicalScale(preset.audio.scale));
+    this.applyScaleSelection();
+
+    this.tempoInput.value = preset.audio.tempoBpm;
+    this.tempoGridToggle.checked = preset.audio.tempoGrid;
+    this.applyTempoSelection();
+
+    if (Array.from(this.reverbSelect.options).some(option => option.value === preset.audio.reverbSpace)) {
+      this.reverbSelect.value = preset.audio.reverbSpace;
+    } else {
+      // Loaded impulse responses aren't part of the preset
+      console.warn(`Preset "${preset.name}" uses reverb space "${preset.audio.reverbSpace}", which isn't loaded`);
+      this.reverbSelect.value = SHARED_CONSTANTS.AUDIO.EFFECTS.REVERB_DEFAULT_SPACE;
+    }
+    await this.applyReverbSelection();
+
+    this.applyTheme(preset.theme);
+
+    this.currentPresetName = preset.name;
+    this.populatePresetControls();
+    console.log(`Loaded preset "${preset.name}"`);
+  }
+
+  async selectPreset(name) {
+    const preset = this.presetStore.get(name);
+    if (!preset) return;
+
+    try {
+      await this.applyPreset(preset);
+    } catch (error) {
+      console.warn(`Failed to load preset "${name}":`, error);
+      window.alert(`Couldn't load preset "${name}": ${error.message}`);
+    }
+  }
+
+  savePreset() {
+    if (!this.audioManager) return;
+
+    const suggestion = this.currentPresetName && !this.presetStore.isBuiltIn(this.currentPresetName) ? this.currentPresetName : '';
+    const name = window.prompt('Save preset as', suggestion);
+    if (name === null) return;
+
+    try {
+      const preset = this.presetStore.save(this.getCurrentPreset(name));
+      this.currentPresetName = preset.name;
+      this.populatePresetControls();
+    } catch (error) {
+      window.alert(`Couldn't save preset: ${error.message}`);
+    }
+  }
+
+  deletePreset() {
+    const name = this.currentPresetName;
+    if (name === null || this.presetStore.isBuiltIn(name)) return;
+    if (!window.confirm(`Delete preset "${name}"?`)) return;
+
+    // The sound stays as it is, it just isn't saved any more
+    this.presetStore.delete(name);
+    this.currentPresetName = null;
+    this.populatePresetControls();
+  }
+
+  exportPreset() {
+    if (!this.audioManager) return;
+
+    const preset = this.getCurrentPreset(this.currentPresetName || 'Untitled');
+    const blob = new Blob([PresetStore.stringify(preset)], { type: 'application/json' });
+    Utils.downloadBlob(blob, `${Utils.toFileName(preset.name)}.json`);
+  }
+
+  /**
+   * Save an exported preset file and switch to it
+   * @param {File} file
+   */
+  async importPresetFile(file) {
+    try {
+      const preset = this.presetStore.save(PresetStore.parse(await file.text()));
+      await this.applyPreset(preset);
+    } catch (error) {
+      console.warn(`Failed to import preset from ${file.name}:`, error);
+      window.alert(`Couldn't import ${file.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the preset named by ?preset= (a preset name or the URL of a preset file)
+   */
+  async loadPresetFromUrl() {
+    const value = new URLSearchParams(window.location.search).get(SHARED_CONSTANTS.PRESETS.URL_PARAM);
+    if (!value) return;
+
+    try {
+      await this.applyPreset(await this.presetStore.resolve(value));
+    } catch (error) {
+      console.warn(`Failed to load preset "${value}" from the URL:`, error);
+    }
+  }
+
+  populateReverbControls() {
+    Object.entries(SHARED_CONSTANTS.AUDIO.EFFECTS.REVERB_SPACES).forEach(([id, space]) => {
+      this.reverbSelect.add(new Option(space.label, id));
+    });
+    this.reverbSelect.value = SHARED_CONSTANTS.AUDIO.EFFECTS.REVERB_DEFAULT_SPACE;
+  }
+
+  async applyReverbSelection() {
+    if (!this.audioManager) return;
+
+    try {
+      await this.audioManager.setReverbSpace(this.reverbSelect.value);
+    } catch (error) {
+      console.warn('Failed to switch reverb space:', error);
+    }
+  }
+
+  /**
+   * Add an impulse response WAV to the reverb spaces and switch to it
+   * @param {File} file
+   */
+  async loadImpulseResponseFile(file) {
+    try {
+      await this.audioManager.addImpulseResponse(file.name, await file.arrayBuffer());
+      if (!Array.from(this.reverbSelect.options).some(option => option.value === file.name)) {
+        this.reverbSelect.add(new Option(file.name, file.name));
+      }
+      this.reverbSelect.value = file.name;
+      await this.applyReverbSelection();
+      console.log(`Loaded impulse response ${file.name}`);
+    } catch (error) {
+      console.warn(`Failed to load impulse response ${file.name}:`, error);
+      window.alert(`Couldn't load ${file.name}: ${error.message}`);
+    }
+  }
+
+  applyTempoSelection() {
+    this.tempoInput.disabled = !this.tempoGridToggle.checked;
+    if (!this.audioManager) return;
+
+    const bpm = parseInt(this.tempoInput.value, 10);
+    if (Number.isFinite(bpm)) this.audioManager.setTempo(bpm);
+    this.audioManager.setTempoGrid(this.tempoGridToggle.checked);
+  }
+
+  populateScaleControls() {
+    MusicalScale.KEY_NAMES.forEach(key => this.keySelect.add(new Option(key, key)));
+    this.keySelect.value = SHARED_CONSTANTS.AUDIO.SCALE.DEFAULT_KEY;
+
+    Object.entries(SHARED_CONSTANTS.AUDIO.SCALE.PRESETS).forEach(([id, preset]) => {
+      this.scaleSelect.add(new Option(preset.label, id));
+    });
+    this.scaleSelect.value = SHARED_CONSTANTS.AUDIO.SCALE.DEFAULT_SCALE;
+  }
+
+  getSelectedScale() {
+    return this.customScales.get(this.scaleSelect.value) || MusicalScale.fromPreset(this.scaleSelect.value);
+  }
+
+  applyScaleSelection() {
+    if (!this.audioManager) return;
+
+    this.audioManager.setKey(this.keySelect.value);
+    this.audioManager.setScale(this.getSelectedScale());
+    this.updateActiveRoutesDisplay();
+  }
+
+  /**
+   * Add a Scala .scl file to the scale list and switch to it
+   * @param {File} file
+   */
+  async loadScalaFile(file) {
+    try {
+      const scale = MusicalScale.parseScala(await file.text());
+      this.scaleSelect.value = this.addCustomScale(scale);
+      this.applyScaleSelection();
+      console.log(`Loaded scale "${scale.name}" from ${file.name}`);
+    } catch (error) {
+      console.warn(`Failed to load scale from ${file.name}:`, error);
+      window.alert(`Couldn't load ${file.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a scale to the scale list, unless the same scale is already there
+   * @param {MusicalScale} scale
+   * @returns {string} Its scale select value
+   */
+  addCustomScale(scale) {
+    for (const [value, existing] of this.customScales) {
+      if (existing.name === scale.name && existing.period === scale.period && String(existing.degrees) === String(scale.degrees)) {
+        return value;
+      }
+    }
+
+    const value = `custom:${this.customScales.size}`;
+    this.customScales.set(value, scale);
+    this.scaleSelect.add(new Option(scale.name, value));
+    return value;
   }
 
   async initialize() {
@@ -82,14 +445,18 @@ class BusSynthApp {
       if (!stopsResponse.ok) throw new Error('Failed to fetch stops');
 
       this.stops = await stopsResponse.json();
+      this.stops.forEach(stop => this.stopsById.set(String(stop.stop_id), stop));
       this.calculateBounds();
 
-      // Initialize spatial index for efficient stop proximity queries
-      this.initializeSpatialIndex();
+      // Route names and colours are optional (requires static GTFS on the server,
+      // which answers once its zip has loaded)
+      this.updateStatus('Loading route names...');
+      await this.loadRouteInfo();
 
       // Initialize map
       this.mapManager = new InterpolatedMapManager('map-container');
       await this.mapManager.initialize(this.stops, this.bounds);
+      this.mapManager.setRouteInfo(this.routeInfo);
 
       // Handle window resize for map
       window.addEventListener('resize', () => {
@@ -100,11 +467,19 @@ class BusSynthApp {
 
       // audio manager
       this.audioManager = new RoutePulseAudioManager(this.bounds);
+      this.applyScaleSelection();
+      this.applyTempoSelection();
+      this.applyReverbSelection();
+      this.renderMappingMatrix();
+      this.renderMappingEditor();
+      await this.loadPresetFromUrl();
 
       // Initialize WebSocket
-      this.wsClient = new WebSocketClient();
+      const config = await this.loadConfig();
+      this.wsClient = new WebSocketClient({ wsPath: config.wsPath });
       this.wsClient.onMessage = (data) => this.handleWebSocketMessage(data);
       this.wsClient.onStatusChange = (status) => this.updateConnectionStatus(status);
+      this.wsClient.subscription = this.getSubscriptionFromUrl();
       this.wsClient.connect();
 
       // Start cleanup interval for inactive routes
@@ -125,6 +500,64 @@ class BusSynthApp {
       this.updateStatus('Initialization failed');
     }
   }
+  /**
+   * Fetch server settings such as the WebSocket path (depends on where the app is mounted)
+   * @returns {Promise<Object>} Server config, or an empty object if unavailable
+   */
+  async loadConfig() {
+    try {
+      const configResponse = await fetch('api/config');
+      if (!configResponse.ok) throw new Error(`HTTP ${configResponse.status}`);
+      return await configResponse.json();
+    } catch (error) {
+      console.warn('Failed to load server config, using defaults:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Read an optional subscription from the page URL, e.g. ?routes=1,2&types=bus or
+   * ?bbox=-41.29,174.77,-41.27,174.79 for a single-route embed or an interchange kiosk
+   * @returns {Object|null} Subscription for the WebSocket client
+   */
+  getSubscriptionFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const list = name => params.get(name) ? params.get(name).split(',').map(value => value.trim()).filter(Boolean) : null;
+
+    const subscription = {
+      routes: list('routes'),
+      bbox: list('bbox') ? list('bbox').map(Number) : null,
+      vehicleTypes: list('types')
+    };
+
+    if (!subscription.routes && !subscription.bbox && !subscription.vehicleTypes) return null;
+
+    console.log('Subscribing to', subscription);
+    return subscription;
+  }
+
+  async loadRouteInfo() {
+    try {
+      const routesResponse = await fetch('api/routes');
+      if (!routesResponse.ok) {
+        console.log(`Route names unavailable (${routesResponse.status}), using route IDs`);
+        return;
+      }
+
+      const routes = await routesResponse.json();
+      routes.forEach(route => {
+        this.routeInfo.set(String(this.cleanRouteId(route.route_id)), route);
+      });
+      console.log(`Loaded ${this.routeInfo.size} route names`);
+    } catch (error) {
+      console.warn('Failed to load route names:', error);
+    }
+  }
+
+  formatRouteLabel(routeId) {
+    return Utils.formatRouteLabel(routeId, this.routeInfo);
+  }
+
   calculateBounds() {
     if (this.stops.length === 0) return;
 
@@ -142,21 +575,6 @@ class BusSynthApp {
     console.log('Calculated bounds:', this.bounds);
   }
 
-  initializeSpatialIndex() {
-    if (!this.bounds || this.stops.length === 0) return;
-
-    // Create spatial index with configurable grid size
-    this.stopSpatialIndex = new SpatialIndex(this.bounds, SHARED_CONSTANTS.PROXIMITY.GRID_SIZE);
-    
-    // Index all stops
-    this.stops.forEach(stop => {
-      this.stopSpatialIndex.addItem(stop.stop_lat, stop.stop_lon, stop);
-    });
-    
-    const stats = this.stopSpatialIndex.getStats();
-    console.log(`Stop spatial index created: ${stats.totalItems} stops, ${stats.avgItemsPerCell} avg per cell, ${stats.cellSize.approxMeters} cell size`);
-  }
-
   toggleAudio() {
     if (this.isAudioStarted) {
       this.stopAudio();
@@ -180,6 +598,7 @@ class BusSynthApp {
 
         // Resume any existing routes
         this.audioManager.resumeAllAudio();
+        this.updateRecordControls();
       } else {
         throw new Error('Audio initialization failed');
       }
@@ -194,15 +613,126 @@ class BusSynthApp {
   stopAudio() {
     if (!this.isAudioStarted) return;
 
+    // Save the recording before the mix goes silent
+    this.stopRecording();
     this.audioManager.stopAllAudio();
     this.isAudioStarted = false;
     this.audioToggleBtn.textContent = 'Start Audio';
     this.audioStatus.textContent = 'Stopped';
     this.updateStatus('Audio stopped');
+    this.updateRecordControls();
+  }
+
+  toggleRecording() {
+    if (this.recorder) {
+      this.stopRecording();
+    } else {
+      this.startRecording();
+    }
+  }
+
+  /**
+   * Record the master output (after the limiter and volume) in the chosen
+   * format, or the notes the routes play as MIDI
+   */
+  startRecording() {
+    if (this.recorder || !this.isAudioStarted) return;
+
+    const format = this.recordFormatSelect.value;
+    const recorder = format === 'midi'
+      ? new MidiRecorder(this.audioManager, routeId => Utils.formatRouteLabel(routeId, this.routeInfo))
+      : new AudioRecorder(this.audioManager.audioContext, this.audioManager.masterGain, format);
+    try {
+      recorder.start();
+    } catch (error) {
+      console.error('Start recording failed:', error);
+      window.alert(`Couldn't start recording: ${error.message}`);
+      return;
+    }
+
+    this.recorder = recorder;
+    this.recordTimerInterval = setInterval(() => {
+      this.updateRecordTimer();
+      if (recorder.getElapsedSeconds() >= SHARED_CONSTANTS.AUDIO.RECORDER.MAX_SECONDS) {
+        console.log('Recording reached its maximum length, saving it');
+        this.stopRecording();
+      }
+    }, 500);
+    this.updateRecordTimer();
+    this.updateRecordControls();
+  }
+
+  /**
+   * Stop recording and download the file, named after the start time and preset
+   */
+  async stopRecording() {
+    const recorder = this.recorder;
+    if (!recorder) return;
+
+    const startedAt = new Date(recorder.startedAt);
+    this.recorder = null;
+    clearInterval(this.recordTimerInterval);
+    this.recordTimerInterval = null;
+    this.updateRecordControls();
+
+    try {
+      const blob = await recorder.stop();
+      if (!blob || blob.size === 0) throw new Error('nothing was recorded');
+
+      // Local time, e.g. 2026-10-19T14-03-22
+      const pad = value => String(value).padStart(2, '0');
+      const timestamp = `${startedAt.getFullYear()}-${pad(startedAt.getMonth() + 1)}-${pad(startedAt.getDate())}` +
+        `T${pad(startedAt.getHours())}-${pad(startedAt.getMinutes())}-${pad(startedAt.getSeconds())}`;
+      const preset = Utils.toFileName(this.currentPresetName || 'unsaved');
+      Utils.downloadBlob(blob, `${SHARED_CONSTANTS.AUDIO.RECORDER.FILE_PREFIX}-${timestamp}-${preset}.${AudioRecorder.getExtension(blob)}`);
+    } catch (error) {
+      console.error('Stop recording failed:', error);
+      window.alert(`Couldn't save recording: ${error.message}`);
+    }
+  }
+
+  updateRecordTimer() {
+    const seconds = Math.floor(this.recorder ? this.recorder.getElapsedSeconds() : 0);
+    const minutes = String(Math.floor(seconds / 60)).padStart(2, '0');
+    this.recordTimer.textContent = `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Recording needs running audio, and WAV needs the worklet (secure contexts only)
+   */
+  updateRecordControls() {
+    const effectsReady = !!(this.audioManager && this.audioManager.effectsReady);
+    const options = Array.from(this.recordFormatSelect.options);
+    options.forEach(option => {
+      option.disabled = option.value !== 'midi' && !AudioRecorder.isSupported(option.value, effectsReady);
+    });
+    const supported = options.filter(option => !option.disabled);
+    if (supported.length > 0 && !supported.some(option => option.selected)) {
+      this.recordFormatSelect.value = supported[0].value;
+    }
+
+    const recording = this.recorder !== null;
+    this.recordBtn.textContent = recording ? 'Stop' : 'Record';
+    this.recordBtn.classList.toggle('recording', recording);
+    this.recordBtn.disabled = !recording && (!this.isAudioStarted || supported.length === 0);
+    this.recordFormatSelect.disabled = recording;
+    this.recordTimer.classList.toggle('recording', recording);
+    if (!recording) this.updateRecordTimer();
   }
 
   handleWebSocketMessage(data) {
-    if (data.type === 'bus_update') {
+    if (data.type === 'subscribed') {
+      data.warnings.forEach(warning => console.warn(`Subscription: ${warning}`));
+    } else if (data.type === 'feed_status') {
+      this.updateFeedStatus(data);
+    } else if (data.type === 'error') {
+      console.error(`Server: ${data.message}`);
+      this.updateStatus(data.message);
+    } else if (data.type === 'alert') {
+      this.updateAlerts(data.alerts);
+    } else if (data.type === 'arrival') {
+      this.scheduleArrival(data);
+    } else if (data.type === 'bus_update') {
       // Handle both historical and real-time data, pass isHistorical flag
       this.processBusUpdate(data.buses, data.isHistorical);
       this.processDelayUpdates(data.updates);
@@ -217,31 +747,16 @@ class BusSynthApp {
     // Update interpolated map with buses, passing historical flag
     this.mapManager.updateBuses(buses, isHistorical);
     
-    // Only process audio and stop detection for real-time data
+    // Only process audio for real-time data
     if (!isHistorical) {
-      // Get lagged/interpolated positions for synchronized audio and stop detection
+      // Get lagged/interpolated positions for synchronized audio
       const laggedRouteData = this.mapManager.getCurrentLaggedRouteData();
-      const laggedPositions = this.mapManager.getCurrentLaggedPositions();
-      
-      // Convert lagged positions to bus format for stop detection
-      const laggedBuses = Array.from(laggedPositions.entries()).map(([busId, pos]) => ({
-        vehicle: {
-          vehicle: { id: busId },
-          position: {
-            latitude: pos.lat,
-            longitude: pos.lon,
-            bearing: pos.bearing
-          },
-          trip: { route_id: pos.routeId }
-        }
-      }));
-      
-      // Detect stop arrivals using lagged positions
-      this.detectStopArrivals(laggedBuses);
-      
+
       if (this.isAudioStarted && laggedRouteData.size > 0) {
         laggedRouteData.forEach((buses, routeId) => {
-          this.audioManager.updateRoute(routeId, buses);
+          this.audioManager.updateRoute(routeId, buses, Utils.getVehicleType(routeId, this.routeInfo), {
+            meanDelay: this.routeMeanDelays.get(String(routeId))
+          });
         });
         
         // Stop audio for routes with no buses in lagged data
@@ -267,10 +782,10 @@ class BusSynthApp {
   }
 
   processDelayUpdates(updates) {
+    this.routeMeanDelays = this.calculateRouteMeanDelays(updates || []);
     if (!updates || updates.length === 0) return;
 
     const currentTime = Date.now() / 1000;
-    let newDelayRecords = 0;
 
     updates.forEach(update => {
       if (!update.trip_update || !update.trip_update.stop_time_update) return;
@@ -287,20 +802,9 @@ class BusSynthApp {
       const rawRouteId = tripUpdate.trip?.route_id;
       const routeId = this.cleanRouteId(rawRouteId);
 
-      // Store delay data for arrival blasts (adapted from Python implementation)
-      if (stopId && delay > 10 && routeId) {
-        this.stopDelays.set(stopId, {
-          delay: delay,
-          routeId: routeId, // Store cleaned route ID
-          timestamp: timestamp,
-          recordedAt: currentTime
-        });
-        newDelayRecords++;
-      }
-
       // Only process future delays for route disruptions
       if (timestamp > currentTime && delay > 10 && routeId && this.isAudioStarted) {
-        const stop = this.stops.find(s => s.stop_id === stopId);
+        const stop = this.stopsById.get(String(stopId));
         if (stop) {
           const triggerTime = (timestamp - currentTime) * 1000;
 
@@ -316,220 +820,221 @@ class BusSynthApp {
         }
       }
     });
+  }
 
-    if (newDelayRecords > 0) {
-      console.log(`Stored ${newDelayRecords} delay records for arrival blasts. Total: ${this.stopDelays.size}`);
-    }
+  /**
+   * Average how late (or early) each route's vehicles are running, for the mapping matrix
+   * @param {Array<Object>} updates - Trip update entities
+   * @returns {Map<string, number>} Cleaned route ID -> mean absolute delay (s)
+   */
+  calculateRouteMeanDelays(updates) {
+    const totals = new Map();
+    updates.forEach(update => {
+      const tripUpdate = update.trip_update;
+      const arrival = tripUpdate && tripUpdate.stop_time_update && tripUpdate.stop_time_update.arrival;
+      const routeId = tripUpdate && this.cleanRouteId(tripUpdate.trip?.route_id);
+      if (!arrival || !Number.isFinite(arrival.delay) || !routeId) return;
+
+      const total = totals.get(String(routeId)) || { sum: 0, count: 0 };
+      total.sum += Math.abs(arrival.delay);
+      total.count++;
+      totals.set(String(routeId), total);
+    });
 
-    // Cleanup old delay records (older than 1 hour)
-    if (Math.random() < 0.1) { // 10% chance to cleanup
-      this.cleanupOldDelayRecords(currentTime);
-    }
+    const means = new Map();
+    totals.forEach((total, routeId) => means.set(routeId, total.sum / total.count));
+    return means;
   }
 
-  detectStopArrivals(buses) {
-    if (!this.mapManager.animateStopPulse || !this.stopSpatialIndex) return; // Safety check
+  // Arrivals are detected on the server from live positions; play them when
+  // the lagged map shows the vehicle reaching the stop
+  scheduleArrival(arrival) {
+    const stop = this.stopsById.get(String(arrival.stopId));
+    if (!stop || !this.mapManager) return;
 
-    const now = Date.now();
+    // arrivalTime is on the server clock; timestamp is when the server sent the message
+    const clockOffset = Date.now() - arrival.timestamp;
+    const displayTime = arrival.arrivalTime + clockOffset + SHARED_CONSTANTS.MAP.TIMING.DISPLAY_LAG_MS;
+    const waitMs = displayTime - Date.now();
 
-    buses.forEach(bus => {
-      if (!bus.vehicle || !bus.vehicle.position) return;
+    // Don't play blasts for arrivals the map already showed a while ago
+    if (waitMs < -SHARED_CONSTANTS.POLLING.MAX_BLAST_DELAY_MS) {
+      console.log(`Skipping arrival at stop ${stop.stop_id} - too old (${(-waitMs / 1000).toFixed(1)}s ago)`);
+      return;
+    }
 
-      const busId = bus.vehicle.vehicle.id;
-      const currentPos = bus.vehicle.position;
-      const lastPos = this.lastBusPositions.get(busId);
+    const timer = setTimeout(() => {
+      this.arrivalTimers.delete(timer);
+      this.playArrival(arrival, stop, Math.max(0, -waitMs));
+    }, Math.max(0, waitMs));
+    this.arrivalTimers.add(timer);
+  }
 
-      // Store current position for next comparison
-      this.lastBusPositions.set(busId, {
-        lat: currentPos.latitude,
-        lon: currentPos.longitude,
-        timestamp: now
-      });
+  playArrival(arrival, stop, ageMs) {
+    // Intensity based on how close the vehicle was (100m = 0.5, 0m = 1.0)
+    const intensity = Math.max(0.5, 1 - (arrival.distance / this.stopProximityThreshold));
+    this.mapManager.animateStopPulse(stop.stop_id, intensity);
 
-      if (!lastPos) return; // Skip first position
-
-      // Use spatial index to get only nearby stops (much more efficient!)
-      const nearbyStops = this.stopSpatialIndex.getItemsInRadius(
-        currentPos.latitude, 
-        currentPos.longitude, 
-        this.stopProximityThreshold * SHARED_CONSTANTS.PROXIMITY.SEARCH_RADIUS_MULTIPLIER
-      );
-
-      // Check only the nearby stops instead of all 2000+ stops
-      nearbyStops.forEach(stop => {
-        const distanceToStop = Utils.calculateDistance(
-          currentPos.latitude,
-          currentPos.longitude,
-          stop.stop_lat,
-          stop.stop_lon
-        );
-
-        const lastDistanceToStop = lastPos ? Utils.calculateDistance(
-          lastPos.lat,
-          lastPos.lon,
-          stop.stop_lat,
-          stop.stop_lon
-        ) : Infinity;
-
-        // Check if this bus has recently arrived at this stop (debouncing)
-        const arrivalKey = `${busId}-${stop.stop_id}`;
-        const lastArrival = this.recentArrivals.get(arrivalKey);
-        const timeSinceLastArrival = lastArrival ? (now - lastArrival) : Infinity;
-
-        // Trigger animation if bus is close to stop and getting closer AND hasn't recently arrived
-        if (distanceToStop < this.stopProximityThreshold &&
-          lastDistanceToStop > distanceToStop &&
-          distanceToStop < lastDistanceToStop - SHARED_CONSTANTS.PROXIMITY.APPROACH_THRESHOLD_METERS &&
-          timeSinceLastArrival > SHARED_CONSTANTS.POLLING.ARRIVAL_DEBOUNCE_MS) {
-
-          // Calculate when the bus actually crossed the proximity threshold
-          const actualArrivalTime = this.interpolateArrivalTime(
-            lastPos, 
-            { lat: currentPos.latitude, lon: currentPos.longitude, timestamp: now },
-            stop,
-            this.stopProximityThreshold
-          );
-
-          // Mark this arrival to prevent spam
-          this.recentArrivals.set(arrivalKey, now);
-
-          // Calculate intensity based on how close (100m = 0.5, 0m = 1.0)
-          const intensity = Math.max(0.5, 1 - (distanceToStop / this.stopProximityThreshold));
-          this.mapManager.animateStopPulse(stop.stop_id, intensity);
-
-          // Schedule arrival audio blast at the correct time
-          if (this.isAudioStarted && this.audioManager) {
-            // Clean route ID consistently (handles both numbers and strings, removes trailing zeros)
-            const rawRouteId = bus.vehicle.trip?.route_id;
-            const routeId = this.cleanRouteId(rawRouteId);
-            
-            if (routeId) {
-              // Look up actual delay data for this stop
-              const delayData = this.stopDelays.get(stop.stop_id);
-              let actualDelay = 0; // Default to on-time
-              
-              if (delayData && delayData.routeId === routeId) {
-                // Use stored delay if route matches and data is recent (within 1 hour)
-                const dataAge = now / 1000 - delayData.recordedAt;
-                if (dataAge < 3600) { // 1 hour
-                  actualDelay = delayData.delay;
-                } else {
-                  console.log(`Delay data too old for stop ${stop.stop_id}, using default`);
-                }
-              }
-
-              // Schedule blast based on when arrival actually occurred (relative to real-time, not batch processing time)
-              this.scheduleArrivalBlastAtTime(routeId, actualDelay, stop, actualArrivalTime);
-            }
-          }
+    const routeId = this.cleanRouteId(arrival.routeId);
+    if (!routeId) return;
 
-          console.log(`Bus ${busId} arriving at stop ${stop.stop_id} (distance: ${distanceToStop.toFixed(0)}m)`);
-        }
-      });
+    const delay = Math.abs(arrival.delay);
+    this.addArrivalEvent(routeId, stop.stop_id, delay, ageMs);
 
-      // Cleanup old arrival records to prevent memory buildup
-      if (Math.random() < 0.001) { // 0.1% chance to cleanup
-        this.cleanupOldArrivals(now);
-      }
-    });
+    if (this.isAudioStarted && this.audioManager) {
+      this.audioManager.triggerArrivalBlast(routeId, delay, stop.stop_lat, stop.stop_lon);
+    }
+
+    console.log(`Bus ${arrival.vehicleId} arriving at stop ${stop.stop_id} (route ${routeId}, delay: ${arrival.delay}s)`);
   }
 
-  cleanupOldArrivals(currentTime) {
-    const cutoffTime = currentTime - SHARED_CONSTANTS.POLLING.ARRIVAL_DEBOUNCE_MS * 2; // Keep double the debounce time
-    let cleanedCount = 0;
-    
-    for (const [key, timestamp] of this.recentArrivals.entries()) {
-      if (timestamp < cutoffTime) {
-        this.recentArrivals.delete(key);
-        cleanedCount++;
-      }
-    }
-    
-    if (cleanedCount > 0) {
-      console.log(`Cleaned up ${cleanedCount} old arrival records`);
+  handleMixerClick(event) {
+    const control = event.target.closest('button[data-action]');
+    if (!control || !this.audioManager) return;
+
+    const routeId = control.closest('.route-mixer').dataset.routeId;
+    const mix = this.audioManager.getRouteMix(routeId);
+
+    if (control.dataset.action === 'mute') {
+      this.audioManager.setRouteMix(routeId, { muted: !mix.muted });
+    } else if (control.dataset.action === 'solo') {
+      this.audioManager.setRouteMix(routeId, { soloed: !mix.soloed });
+      this.mapManager.setSoloRoutes(this.audioManager.getSoloedRoutes());
+    } else if (control.dataset.action === 'pan-auto') {
+      this.audioManager.setRouteMix(routeId, { pan: null });
     }
+    this.updateActiveRoutesDisplay();
   }
 
-  cleanupOldDelayRecords(currentTime) {
-    const cutoffTime = currentTime - 3600; // Remove delay records older than 1 hour
-    let cleanedCount = 0;
-    
-    for (const [stopId, delayData] of this.stopDelays.entries()) {
-      if (delayData.recordedAt < cutoffTime) {
-        this.stopDelays.delete(stopId);
-        cleanedCount++;
-      }
+  handleMixerInput(event) {
+    const control = event.target;
+    if (!control.dataset.action || !this.audioManager) return;
+
+    const routeId = control.closest('.route-mixer').dataset.routeId;
+    if (control.dataset.action === 'gain') {
+      this.audioManager.setRouteMix(routeId, { gainDb: Number(control.value) });
+      control.title = `Gain trim: ${control.value} dB`;
+    } else if (control.dataset.action === 'pan') {
+      this.audioManager.setRouteMix(routeId, { pan: Number(control.value) });
+      control.parentElement.querySelector('[data-action="pan-auto"]').classList.remove('active');
     }
-    
-    if (cleanedCount > 0) {
-      console.log(`Cleaned up ${cleanedCount} old delay records`);
+  }
+
+  renderRouteMixer(routeId) {
+    const mix = this.audioManager.getRouteMix(routeId);
+    const pan = this.audioManager.getRoutePan(routeId);
+    const trim = SHARED_CONSTANTS.AUDIO.MIXER;
+
+    return `
+      <div class="route-mixer" data-route-id="${Utils.escapeHtml(String(routeId))}">
+        <button class="mix-btn${mix.muted ? ' active' : ''}" data-action="mute" title="Mute">M</button>
+        <button class="mix-btn${mix.soloed ? ' active' : ''}" data-action="solo" title="Solo">S</button>
+        <input type="range" class="mix-gain" data-action="gain" min="${trim.TRIM_MIN_DB}" max="${trim.TRIM_MAX_DB}" step="1" value="${mix.gainDb}" title="Gain trim: ${mix.gainDb} dB">
+        <input type="range" class="mix-pan" data-action="pan" min="-1" max="1" step="0.05" value="${pan.toFixed(2)}" title="Pan">
+        <button class="mix-btn${mix.pan === null ? ' active' : ''}" data-action="pan-auto" title="Pan from the mapping matrix">Auto</button>
+      </div>
+    `;
+  }
+
+  handleMappingCellClick(event) {
+    const cell = event.target.closest('.mapping-cell');
+    if (!cell || !this.audioManager) return;
+
+    const { source, target } = cell.dataset;
+    if (!this.audioManager.mappings.get(source, target)) {
+      this.audioManager.setMapping(MappingMatrix.createMapping(source, target));
     }
+    this.selectedMappingCell = { source, target };
+    this.renderMappingMatrix();
+    this.renderMappingEditor();
   }
 
-  interpolateArrivalTime(lastPos, currentPos, stop, threshold) {
-    // Calculate when the bus actually crossed the proximity threshold
-    
-    const lastDistance = Utils.calculateDistance(
-      lastPos.lat, lastPos.lon, stop.stop_lat, stop.stop_lon
-    );
-    const currentDistance = Utils.calculateDistance(
-      currentPos.lat, currentPos.lon, stop.stop_lat, stop.stop_lon
-    );
-    
-    // If bus was already within threshold, use the earlier timestamp
-    if (lastDistance <= threshold) {
-      return lastPos.timestamp;
+  handleMappingEditorChange(event) {
+    const control = event.target;
+    const field = control.dataset.field;
+    if (!field || !this.selectedMappingCell || !this.audioManager) return;
+
+    const { source, target } = this.selectedMappingCell;
+    const mapping = this.audioManager.mappings.get(source, target);
+    if (!mapping) return;
+
+    if (field === 'enabled') {
+      mapping.enabled = control.checked;
+    } else if (field === 'curve') {
+      mapping.curve = control.value;
+    } else {
+      mapping[field] = control.value === '' ? NaN : Number(control.value);
     }
-    
-    // Linear interpolation to find when bus crossed the threshold
-    const totalDistanceChange = lastDistance - currentDistance;
-    const distanceToThreshold = lastDistance - threshold;
-    
-    if (totalDistanceChange <= 0) {
-      // Bus is moving away or not moving, use current time
-      return currentPos.timestamp;
+
+    // Only the matrix is redrawn, so focus stays in the editor
+    try {
+      this.audioManager.setMapping(mapping);
+      this.mappingEditor.querySelectorAll('[data-field]').forEach(field => field.setCustomValidity(''));
+      this.renderMappingMatrix();
+    } catch (error) {
+      control.setCustomValidity(error.message);
+      control.reportValidity();
     }
-    
-    // Calculate the fraction of time elapsed when threshold was crossed
-    const timeFraction = distanceToThreshold / totalDistanceChange;
-    const timeSpan = currentPos.timestamp - lastPos.timestamp;
-    
-    // Interpolated arrival time
-    const arrivalTime = lastPos.timestamp + (timeFraction * timeSpan);
-    
-    return arrivalTime;
   }
 
-  scheduleArrivalBlastAtTime(routeId, delay, stop, arrivalTime) {
-    const now = Date.now();
-    const ageMs = now - arrivalTime;
-    
-    // Don't play blasts for very old arrivals
-    if (ageMs > SHARED_CONSTANTS.POLLING.MAX_BLAST_DELAY_MS) {
-      console.log(`Skipping arrival blast - too old (${(ageMs/1000).toFixed(1)}s ago)`);
+  removeSelectedMapping() {
+    if (!this.selectedMappingCell || !this.audioManager) return;
+
+    this.audioManager.removeMapping(this.selectedMappingCell.source, this.selectedMappingCell.target);
+    this.selectedMappingCell = null;
+    this.renderMappingMatrix();
+    this.renderMappingEditor();
+  }
+
+  renderMappingMatrix() {
+    if (!this.audioManager) return;
+
+    const { SOURCES, TARGETS } = SHARED_CONSTANTS.AUDIO.MAPPING;
+    const selected = this.selectedMappingCell;
+    const header = Object.values(TARGETS).map(target => `<th scope="col">${target.label}</th>`).join('');
+    const rows = Object.entries(SOURCES).map(([source, sourceSettings]) => {
+      const cells = Object.keys(TARGETS).map(target => {
+        const mapping = this.audioManager.mappings.get(source, target);
+        const classes = ['mapping-cell'];
+        if (mapping) classes.push('mapped');
+        if (mapping && !mapping.enabled) classes.push('disabled');
+        if (selected && selected.source === source && selected.target === target) classes.push('selected');
+        return `<td><button class="${classes.join(' ')}" data-source="${source}" data-target="${target}" title="${sourceSettings.label} → ${TARGETS[target].label}">${mapping ? mapping.curve.slice(0, 3) : ''}</button></td>`;
+      }).join('');
+      return `<tr><th scope="row">${sourceSettings.label}</th>${cells}</tr>`;
+    }).join('');
+
+    this.mappingMatrixDisplay.innerHTML = `<table><thead><tr><th></th>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+  }
+
+  renderMappingEditor() {
+    const mapping = this.selectedMappingCell
+      && this.audioManager.mappings.get(this.selectedMappingCell.source, this.selectedMappingCell.target);
+    if (!mapping) {
+      this.mappingEditor.innerHTML = '<div class="no-events">Click a cell to map a source to a parameter</div>';
       return;
     }
-    
-    // Add to display before playing
-    this.addArrivalEvent(routeId, stop.stop_id, delay, ageMs);
-    
-    const playDelayMs = Math.min(ageMs, 5000); // Cap at 5 seconds
-    
-    if (playDelayMs <= 100) {
-      // Play immediately for very recent arrivals
-      this.audioManager.triggerArrivalBlast(routeId, delay, stop.stop_lat, stop.stop_lon);
-      console.log(`Audio blast triggered immediately for route ${routeId} at stop ${stop.stop_id} (delay: ${delay}s, age: ${(ageMs/1000).toFixed(1)}s)`);
-    } else {
-      // Schedule blast to play proportionally to when it actually arrived
-      setTimeout(() => {
-        this.audioManager.triggerArrivalBlast(routeId, delay, stop.stop_lat, stop.stop_lon);
-      }, playDelayMs);
-      
-      console.log(`Audio blast scheduled for route ${routeId} at stop ${stop.stop_id} in ${(playDelayMs/1000).toFixed(1)}s (arrived ${(ageMs/1000).toFixed(1)}s ago, delay: ${delay}s)`);
-    }
+
+    const { SOURCES, TARGETS, CURVES } = SHARED_CONSTANTS.AUDIO.MAPPING;
+    const source = SOURCES[mapping.source];
+    const target = TARGETS[mapping.target];
+    const curves = CURVES.map(curve => `<option value="${curve}"${curve === mapping.curve ? ' selected' : ''}>${curve}</option>`).join('');
+
+    this.mappingEditor.innerHTML = `
+      <div class="mapping-editor-title">${source.label} → ${target.label}</div>
+      <label><input type="checkbox" data-field="enabled"${mapping.enabled ? ' checked' : ''}> On</label>
+      <label>In <input type="number" step="any" data-field="inputMin" value="${mapping.inputMin}">
+        to <input type="number" step="any" data-field="inputMax" value="${mapping.inputMax}"> ${source.unit}</label>
+      <label>Out <input type="number" step="any" data-field="outputMin" value="${mapping.outputMin}">
+        to <input type="number" step="any" data-field="outputMax" value="${mapping.outputMax}"> ${target.unit}</label>
+      <select data-field="curve">${curves}</select>
+      <button class="mix-btn" data-action="remove-mapping">Remove</button>
+    `;
   }
 
   updateActiveRoutesDisplay() {
+    if (this.isAdjustingMixer) return;
+
     if (!this.routeBusData || this.routeBusData.size === 0) {
       this.activeRoutesDisplay.innerHTML = '<div class="no-events">No routes playing</div>';
       return;
@@ -540,14 +1045,16 @@ class BusSynthApp {
       .map(([routeId, buses]) => {
         const busCount = buses.length;
         const frequency = this.audioManager ? this.audioManager.getRouteBaseFrequency(routeId) : 0;
+        const voice = this.audioManager ? this.audioManager.getVoiceForVehicleType(Utils.getVehicleType(routeId, this.routeInfo)) : 'pulse';
         
         return `
           <div class="audio-event">
             <div class="event-route">
-              <span class="route-id">Route ${routeId}</span>
-              <span class="route-details">${busCount} buses</span>
+              <span class="route-id">${Utils.escapeHtml(this.formatRouteLabel(routeId))}</span>
+              <span class="route-details">${busCount} buses${this.alertedRoutes.has(String(routeId)) ? ' <span class="alert-indicator">Alert</span>' : ''}</span>
             </div>
-            <div class="route-details">${frequency.toFixed(0)}Hz pulse</div>
+            <div class="route-details">${frequency.toFixed(0)}Hz ${voice}</div>
+            ${this.audioManager ? this.renderRouteMixer(routeId) : ''}
           </div>
         `;
       })
@@ -572,7 +1079,7 @@ class BusSynthApp {
           <div class="event-arrival">
             <div class="arrival-stop">Stop ${stopId.substring(0, 8)}...</div>
             <div class="arrival-details">
-              Route ${routeId} • ${timestamp}
+              ${Utils.escapeHtml(this.formatRouteLabel(routeId))} • ${timestamp}
               <span class="delay-indicator ${delayClass}">${delayLabel}</span>
             </div>
           </div>
@@ -599,7 +1106,7 @@ class BusSynthApp {
       html: `
         <div class="audio-event">
           <div class="event-delay">
-            <span class="delay-route">Route ${routeId}</span>
+            <span class="delay-route">${Utils.escapeHtml(this.formatRouteLabel(routeId))}</span>
             <span class="delay-amount">${delayAmount}s delay</span>
           </div>
           <div class="arrival-details">${timestamp} • Stop ${stopId.substring(0, 8)}...</div>
@@ -615,6 +1122,52 @@ class BusSynthApp {
     this.updateDelayEventsDisplay();
   }
 
+  /**
+   * Replace the active service alerts; the server sends the full set whenever it changes
+   * @param {Array} alerts - { id, routes, stops, effect, header, description, ... }
+   */
+  updateAlerts(alerts) {
+    this.activeAlerts = alerts;
+    this.alertedRoutes = new Set();
+    alerts.forEach(alert => {
+      alert.routes.forEach(routeId => this.alertedRoutes.add(String(this.cleanRouteId(routeId))));
+    });
+
+    if (this.audioManager) {
+      this.audioManager.setRouteAlerts(this.alertedRoutes);
+    }
+
+    this.updateAlertsDisplay();
+    this.updateActiveRoutesDisplay();
+    console.log(`${alerts.length} active service alerts affecting ${this.alertedRoutes.size} routes`);
+  }
+
+  updateAlertsDisplay() {
+    this.alertsCount.textContent = this.activeAlerts.length;
+
+    if (this.activeAlerts.length === 0) {
+      this.serviceAlertsDisplay.innerHTML = '<div class="no-events">No service alerts</div>';
+      return;
+    }
+
+    this.serviceAlertsDisplay.innerHTML = this.activeAlerts.map(alert => {
+      const routes = alert.routes.map(routeId => this.formatRouteLabel(this.cleanRouteId(routeId)));
+      const effect = alert.effect.toLowerCase().replace(/_/g, ' ');
+
+      return `
+        <div class="audio-event">
+          <div class="event-alert">
+            <div class="alert-header">${Utils.escapeHtml(alert.header || effect)}</div>
+            <div class="arrival-details">
+              ${Utils.escapeHtml(routes.length > 0 ? routes.join(', ') : 'All routes')}
+              <span class="alert-indicator">${Utils.escapeHtml(effect)}</span>
+            </div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
   updateArrivalsDisplay() {
     if (this.recentArrivalEvents.length === 0) {
       this.recentArrivalsDisplay.innerHTML = '<div class="no-events">No recent arrivals</div>';
@@ -664,6 +1217,23 @@ class BusSynthApp {
         status.includes('Error') || status.includes('Failed') ? 'error' : 'connecting');
   }
 
+  /**
+   * Show the upstream circuit breaker state: closed, open or half-open
+   * @param {Object} status - { state, lastError, retryAt }
+   */
+  updateFeedStatus(status) {
+    const labels = { 'closed': 'OK', 'open': 'Feed degraded', 'half-open': 'Recovering' };
+    const classes = { 'closed': 'connected', 'open': 'error', 'half-open': 'connecting' };
+
+    this.feedStatus.textContent = labels[status.state] || status.state;
+    this.feedStatus.className = 'value ' + (classes[status.state] || 'connecting');
+    this.feedStatus.title = status.lastError || '';
+
+    if (status.state !== 'closed') {
+      console.warn(`Feed ${status.state}: ${status.lastError || 'no error recorded'}`);
+    }
+  }
+
   updateStatus(message) {
     console.log(`Status: ${message}`);
   }
@@ -687,15 +1257,10 @@ class BusSynthApp {
     if (this.mapManager) {
       this.mapManager.dispose();
     }
-    if (this.stopSpatialIndex) {
-      this.stopSpatialIndex.clear();
-      this.stopSpatialIndex = null;
-    }
-    
-    // Clear arrival and delay tracking
-    this.recentArrivals.clear();
-    this.lastBusPositions.clear();
-    this.stopDelays.clear();
+
+    // Drop arrivals still waiting to be played
+    this.arrivalTimers.forEach(timer => clearTimeout(timer));
+    this.arrivalTimers.clear();
     
     // Clear audio events display
     this.clearAudioEvents();
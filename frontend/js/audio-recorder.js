@@ -0,0 +1,229 @@
+// Records the live mix to a file
+const RECORDER_CONSTANTS = SHARED_CONSTANTS.AUDIO.RECORDER;
+
+const WAV_HEADER_BYTES = 44;
+const WAV_MAX_BYTES = 0xffffffff; // RIFF sizes are 32-bit
+
+/**
+ * Records whatever reaches a node: compressed with MediaRecorder (WebM/Opus
+ * where the browser has it), or as 16-bit PCM WAV encoded here from samples
+ * the 'pcm-recorder' worklet copies off the audio thread.
+ */
+class AudioRecorder {
+  /**
+   * @param {AudioContext} audioContext
+   * @param {AudioNode} source - Node whose output is recorded (it keeps its other connections)
+   * @param {string} format - 'webm' | 'wav'
+   */
+  constructor(audioContext, source, format) {
+    this.audioContext = audioContext;
+    this.source = source;
+    this.format = format;
+    this.startedAt = null; // Date.now() when recording started
+    this.tap = null;
+
+    this.mediaRecorder = null;
+    this.mediaChunks = [];
+
+    this.pcmChunks = []; // interleaved Int16Array per worklet block
+    this.pcmFrames = 0;
+    this.pcmMaxFrames = 0; // blocks past this are dropped, so the WAV sizes fit
+    this.pcmDone = null; // resolves when the worklet has sent everything
+  }
+
+  /**
+   * The first MediaRecorder type this browser supports, or null
+   * @returns {string|null}
+   */
+  static getCompressedMimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return RECORDER_CONSTANTS.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+  }
+
+  /**
+   * @param {string} format - 'webm' | 'wav'
+   * @param {boolean} worklet - Whether the effects worklet (with the PCM tap) is loaded
+   * @returns {boolean}
+   */
+  static isSupported(format, worklet) {
+    return format === 'wav' ? worklet : AudioRecorder.getCompressedMimeType() !== null;
+  }
+
+  get isRecording() {
+    return this.startedAt !== null;
+  }
+
+  getElapsedSeconds() {
+    return this.isRecording ? (Date.now() - this.startedAt) / 1000 : 0;
+  }
+
+  start() {
+    if (this.isRecording) return;
+
+    if (this.format === 'wav') {
+      this.startPcm();
+    } else {
+      this.startCompressed();
+    }
+    this.startedAt = Date.now();
+  }
+
+  startCompressed() {
+    const mimeType = AudioRecorder.getCompressedMimeType();
+    if (!mimeType) throw new Error('this browser can\'t record compressed audio');
+
+    this.tap = this.audioContext.createMediaStreamDestination();
+    this.source.connect(this.tap);
+    this.mediaChunks = [];
+    this.mediaRecorder = new MediaRecorder(this.tap.stream, {
+      mimeType,
+      audioBitsPerSecond: RECORDER_CONSTANTS.BITS_PER_SECOND
+    });
+    this.mediaRecorder.ondataavailable = event => {
+      if (event.data.size > 0) this.mediaChunks.push(event.data);
+    };
+    this.mediaRecorder.start(RECORDER_CONSTANTS.TIMESLICE_MS);
+  }
+
+  startPcm() {
+    this.tap = new AudioWorkletNode(this.audioContext, 'pcm-recorder', {
+      numberOfOutputs: 0,
+      channelCount: 2,
+      channelCountMode: 'explicit',
+      processorOptions: { blockFrames: RECORDER_CONSTANTS.PCM_BLOCK_FRAMES }
+    });
+    this.pcmChunks = [];
+    this.pcmFrames = 0;
+    this.pcmMaxFrames = Math.min(
+      RECORDER_CONSTANTS.MAX_SECONDS * this.audioContext.sampleRate,
+      AudioRecorder.getMaxWavFrames()
+    );
+    this.pcmDone = new Promise(resolve => {
+      this.tap.port.onmessage = event => {
+        if (event.data.done) {
+          resolve();
+        } else {
+          this.addPcmBlock(event.data.channels);
+        }
+      };
+    });
+    this.source.connect(this.tap);
+  }
+
+  /**
+   * Convert a block to interleaved 16-bit straight away, at half the memory of
+   * floats (typed arrays are little-endian, as WAV wants, on every browser platform)
+   * @param {Array<Float32Array>} channels - Left and right
+   */
+  addPcmBlock(channels) {
+    const [left, right] = channels;
+    const frames = Math.min(left.length, this.pcmMaxFrames - this.pcmFrames);
+    if (frames <= 0) return;
+
+    const samples = new Int16Array(frames * 2);
+    for (let i = 0; i < frames; i++) {
+      samples[i * 2] = AudioRecorder.toInt16(left[i]);
+      samples[i * 2 + 1] = AudioRecorder.toInt16(right[i]);
+    }
+    this.pcmChunks.push(samples);
+    this.pcmFrames += frames;
+  }
+
+  /**
+   * Most stereo 16-bit frames a WAV file can hold: the RIFF size counts
+   * everything after its first 8 bytes
+   * @returns {number}
+   */
+  static getMaxWavFrames() {
+    return Math.floor((WAV_MAX_BYTES - (WAV_HEADER_BYTES - 8)) / 4);
+  }
+
+  static toInt16(sample) {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    return clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+  }
+
+  /**
+   * Stop recording
+   * @returns {Promise<Blob|null>} The recording, or null if it wasn't recording
+   */
+  async stop() {
+    if (!this.isRecording) return null;
+    this.startedAt = null;
+
+    const blob = this.format === 'wav' ? await this.stopPcm() : await this.stopCompressed();
+    try {
+      this.source.disconnect(this.tap);
+    } catch (error) {
+      // Ignore cleanup errors (the graph was torn down when audio stopped)
+    }
+    this.tap = null;
+    return blob;
+  }
+
+  stopCompressed() {
+    return new Promise(resolve => {
+      const mimeType = this.mediaRecorder.mimeType;
+      this.mediaRecorder.onstop = () => resolve(new Blob(this.mediaChunks, { type: mimeType }));
+      this.mediaRecorder.stop();
+    });
+  }
+
+  async stopPcm() {
+    this.tap.port.postMessage('stop');
+    // A suspended or closed context never answers; keep what arrived
+    await Promise.race([this.pcmDone, new Promise(resolve => setTimeout(resolve, 1000))]);
+    this.tap.port.onmessage = null;
+    return AudioRecorder.encodeWav(this.pcmChunks, this.pcmFrames, this.audioContext.sampleRate);
+  }
+
+  /**
+   * Wrap interleaved stereo 16-bit samples in a WAV (RIFF) header
+   * @param {Array<Int16Array>} chunks
+   * @param {number} frames - Total frames across the chunks
+   * @param {number} sampleRate
+   * @returns {Blob}
+   */
+  static encodeWav(chunks, frames, sampleRate) {
+    const channels = 2;
+    const bytesPerFrame = channels * 2;
+    if (frames > AudioRecorder.getMaxWavFrames()) throw new Error('recording is too long for a WAV file');
+
+    const header = new DataView(new ArrayBuffer(WAV_HEADER_BYTES));
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) header.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    header.setUint32(4, 36 + frames * bytesPerFrame, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    header.setUint32(16, 16, true);                        // fmt chunk size
+    header.setUint16(20, 1, true);                         // PCM
+    header.setUint16(22, channels, true);
+    header.setUint32(24, sampleRate, true);
+    header.setUint32(28, sampleRate * bytesPerFrame, true); // byte rate
+    header.setUint16(32, bytesPerFrame, true);             // block align
+    header.setUint16(34, 16, true);                        // bits per sample
+    writeString(36, 'data');
+    header.setUint32(40, frames * bytesPerFrame, true);
+
+    return new Blob([header, ...chunks], { type: 'audio/wav' });
+  }
+
+  /**
+   * File extension for a recording
+   * @param {Blob} blob
+   * @returns {string}
+   */
+  static getExtension(blob) {
+    if (blob.type.startsWith('audio/wav')) return 'wav';
+    if (blob.type.startsWith('audio/midi')) return 'mid';
+    if (blob.type.startsWith('audio/ogg')) return 'ogg';
+    if (blob.type.startsWith('audio/mp4')) return 'm4a';
+    return 'webm';
+  }
+}
+
+// Export for use in other modules
+window.AudioRecorder = AudioRecorder;
@@ -115,7 +115,7 @@ class CanvasTrailsLayer extends L.Layer {
   }
 
   // Update trail for a specific bus
-  updateBusTrail(busId, routeColor, trailPoints, currentPosition) {
+  updateBusTrail(busId, routeColor, trailPoints, currentPosition, opacity = 1) {
     // Combine trail points with current position for seamless rendering
     const now = Date.now();
     const lastUpdate = this.lastUpdateTime.get(busId) || 0;
@@ -155,6 +155,7 @@ class CanvasTrailsLayer extends L.Layer {
     this.trails.set(busId, {
       points: filteredPoints,
       color: routeColor,
+      opacity,
       lastUpdate: Date.now()
     });
 
@@ -191,6 +192,12 @@ class CanvasTrailsLayer extends L.Layer {
   }
 
   // Remove trail for a bus
+  // Fade a trail without waiting for its next update (e.g. when a route is soloed)
+  setTrailOpacity(busId, opacity) {
+    const trail = this.trails.get(busId);
+    if (trail) trail.opacity = opacity;
+  }
+
   removeBusTrail(busId) {
     this.trails.delete(busId);
   }
@@ -232,7 +239,7 @@ class CanvasTrailsLayer extends L.Layer {
   }
 
   drawTrail(trail, bounds, padding) {
-    const { points, color } = trail;
+    const { points, color, opacity } = trail;
 
     if (points.length < 2) return;
 
@@ -279,7 +286,7 @@ class CanvasTrailsLayer extends L.Layer {
     if (splinePoints.length < 2) return;
 
     // Draw trail with gradient
-    this.drawSplineWithGradient(splinePoints, color);
+    this.drawSplineWithGradient(splinePoints, color, opacity);
   }
 
   // Generate Catmull-Rom spline through points
@@ -354,7 +361,7 @@ class CanvasTrailsLayer extends L.Layer {
   }
 
   // Draw spline with smooth gradient from transparent tail to opaque head
-  drawSplineWithGradient(splinePoints, color) {
+  drawSplineWithGradient(splinePoints, color, opacity = 1) {
     if (splinePoints.length < 2 || !this.context) return;
 
     const ctx = this.context;
@@ -373,8 +380,8 @@ class CanvasTrailsLayer extends L.Layer {
       splinePoints[splinePoints.length - 1].x, splinePoints[splinePoints.length - 1].y
     );
 
-    gradient.addColorStop(0, this.colorWithOpacity(color, this.options.minOpacity));
-    gradient.addColorStop(1, this.colorWithOpacity(color, this.options.maxOpacity));
+    gradient.addColorStop(0, this.colorWithOpacity(color, this.options.minOpacity * opacity));
+    gradient.addColorStop(1, this.colorWithOpacity(color, this.options.maxOpacity * opacity));
 
     ctx.strokeStyle = gradient;
     ctx.lineWidth = this.options.trailWidth;
@@ -3,9 +3,11 @@ const SHARED_CONSTANTS = {
   // Network configuration
   NETWORK: {
     DEFAULT_HTTP_PORT: 3000,
-    DEFAULT_WS_PORT: 8765,
+    DEFAULT_WS_PATH: 'ws',         // Relative to BASE_PATH, on the HTTP port
     WS_RECONNECT_MAX_ATTEMPTS: 5,
-    WS_RECONNECT_BASE_DELAY: 1000
+    WS_RECONNECT_BASE_DELAY: 1000,
+    WS_PROTOCOL_VERSION: 2,        // Keyframe + per-vehicle delta frames
+    WS_KEYFRAME_INTERVAL: 30       // Full keyframe every 30 frames (5 minutes)
   },
 
   // Cache configuration
@@ -30,6 +32,20 @@ const SHARED_CONSTANTS = {
     MAX_BLAST_DELAY_MS: 15000      // 15 seconds (moved from TIMING)
   },
 
+  // GTFS route_type values by vehicle type name
+  VEHICLE_TYPES: {
+    tram: 0,
+    subway: 1,
+    rail: 2,
+    bus: 3,
+    ferry: 4,
+    cable_tram: 5,
+    aerial_lift: 6,
+    funicular: 7,
+    trolleybus: 11,
+    monorail: 12
+  },
+
   // Proximity and spatial calculations
   PROXIMITY: {
     STOP_THRESHOLD_METERS: 100,
@@ -71,6 +87,32 @@ const SHARED_CONSTANTS = {
       STROKE_WIDTH: 1,
       BORDER_RADIUS: 0.5
     },
+    SOLO_DIM_OPACITY: 0.2, // Markers and trails of routes that aren't soloed
+    // Visual themes a preset can pick: map tiles, stop colour (6-digit hex) and UI accent
+    THEMES: {
+      dark: {
+        label: 'Dark',
+        tiles: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+        stopColor: '#ff6b6b',
+        accent: '#00bcd4',
+        accentDark: '#00acc1'
+      },
+      light: {
+        label: 'Light',
+        tiles: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+        stopColor: '#d84315',
+        accent: '#0097a7',
+        accentDark: '#00838f'
+      },
+      blackout: {
+        label: 'Blackout',
+        tiles: 'https://{s}.basemaps.cartocdn.com/dark_nolabels/{z}/{x}/{y}{r}.png',
+        stopColor: '#ffffff',
+        accent: '#e91e63',
+        accentDark: '#d81b60'
+      }
+    },
+    DEFAULT_THEME: 'dark',
     STOP_PULSE: {
       WIDTH: 12,
       HEIGHT: 12,
@@ -79,17 +121,124 @@ const SHARED_CONSTANTS = {
     }
   },
 
+  // Sonification presets: audio settings, parameter overrides, mappings and theme.
+  // Anything a preset leaves out comes from these constants' defaults.
+  PRESETS: {
+    FORMAT: 'bus-synth-preset',
+    VERSION: 1,
+    STORAGE_KEY: 'busSynth.presets',
+    URL_PARAM: 'preset',
+    // AUDIO groups a preset can override, number by number
+    PARAMETER_GROUPS: ['FREQUENCY', 'PULSE', 'VOLUME', 'EFFECTS', 'ARRIVAL', 'ENVELOPE'],
+    // [min, max] a preset may set each of those numbers to; '*' stands for any key
+    PARAMETER_RANGES: {
+      FREQUENCY: { BASE_MIN_HZ: [20, 20000], BASE_MAX_HZ: [20, 20000], PITCH_MODULATION_RANGE: [0, 0.9] },
+      PULSE: { RATE_MIN_HZ: [0.01, 20], RATE_MAX_HZ: [0.01, 20] },
+      VOLUME: {
+        MASTER_DEFAULT: [0, 1],
+        ROUTE_MIN_DB: [-60, 0],
+        ROUTE_MAX_DB: [-60, 0],
+        LIMITER_THRESHOLD_DB: [-60, 0],
+        ROUTE_LOG_BASE: [1.1, 10],
+        ROUTE_MAX_BOOST_DB: [0, 24],
+        MASTER_MIN_BUSES: [0, 1000],
+        MASTER_MAX_BUSES: [1, 1000]
+      },
+      EFFECTS: {
+        REVERB_DECAY: [0.1, 10],
+        REVERB_PREDELAY: [0, 1],
+        REVERB_WET: [0, 1],
+        REVERB_CROSSFADE_SECONDS: [0, 10],
+        REVERB_SPACES: {
+          '*': { decay: [0.1, 5], predelay: [0, 10], damping: [0, 1], flutter: { interval: [0.005, 1], gain: [0, 0.99] } }
+        },
+        PAN_RANGE: [0, 1]
+      },
+      ARRIVAL: {
+        NOISE_DURATION_MIN: [0.01, 5],
+        NOISE_DURATION_MAX: [0.01, 5],
+        MAX_DELAY_SECONDS: [1, 3600],
+        FILTER_FREQ_MIN: [20, 20000],
+        FILTER_FREQ_MAX: [20, 20000],
+        VOLUME_DB: [-60, 0],
+        BITCRUSH_LEVELS: {
+          '*': { intensity: [0, 1], bitDepth: [1, 16], reduction: [1, 256], drive: [0.1, 50] }
+        },
+        COMB: { FEEDBACK: [-0.99, 0.99], MIX: [0, 1] },
+        DELAY_THRESHOLDS: { LIGHT_BITCRUSH: [0, 3600], MEDIUM_BITCRUSH: [0, 3600], HEAVY_BITCRUSH: [0, 3600] }
+      },
+      ENVELOPE: { ATTACK: [0.001, 2], DECAY: [0.001, 5], SUSTAIN: [0, 1], RELEASE: [0.001, 5] }
+    },
+    BUILT_IN: {
+      Default: {},
+      'Night shift': {
+        audio: {
+          key: 'D',
+          scale: 'minor',
+          reverbSpace: 'tunnel',
+          parameters: {
+            FREQUENCY: { BASE_MIN_HZ: 60, BASE_MAX_HZ: 320 },
+            ENVELOPE: { ATTACK: 0.2, DECAY: 0.8 },
+            EFFECTS: { REVERB_WET: 0.35 }
+          }
+        },
+        theme: 'blackout'
+      },
+      'Harbour glass': {
+        audio: { key: 'E', scale: 'whole_tone', reverbSpace: 'harbour', tempoGrid: true, tempoBpm: 72 },
+        mappings: [
+          { source: 'busCount', target: 'rate', inputMin: 1, inputMax: 20, outputMin: 0.25, outputMax: 2, curve: 'logarithmic' },
+          { source: 'busCount', target: 'gain', inputMin: 1, inputMax: 20, outputMin: -8, outputMax: 1, curve: 'logarithmic' },
+          { source: 'bearing', target: 'pan', inputMin: 0, inputMax: 360, outputMin: -1, outputMax: 1, curve: 'linear' },
+          { source: 'occupancy', target: 'filter', inputMin: 0, inputMax: 100, outputMin: 1.5, outputMax: 8, curve: 'linear' },
+          { source: 'meanDelay', target: 'reverbSend', inputMin: 0, inputMax: 300, outputMin: 0, outputMax: 1, curve: 'exponential' }
+        ],
+        theme: 'light'
+      }
+    }
+  },
+
   // Audio synthesis constants
   AUDIO: {
     FREQUENCY: {
       BASE_MIN_HZ: 100,
       BASE_MAX_HZ: 800,
-      PITCH_MODULATION_RANGE: 0.5 // ±20%
+      PITCH_MODULATION_RANGE: 0.5 // Bound on every route's mapped pitch bend (±50%)
     },
+    // Route pitches snap to a key and scale. Degrees are cents above the key;
+    // the octave (1200) is implied. 'just' uses harmonic partials 8-15 over 8.
+    SCALE: {
+      DEFAULT_KEY: 'A',
+      DEFAULT_SCALE: 'pentatonic',
+      REFERENCE_A4_HZ: 440,
+      GLIDE_SECONDS: 0.5,     // Live scale changes slide to the new pitches
+      PRESETS: {
+        none: { label: 'Unquantized', degrees: null },
+        major: { label: 'Major', degrees: [0, 200, 400, 500, 700, 900, 1100] },
+        minor: { label: 'Minor', degrees: [0, 200, 300, 500, 700, 800, 1000] },
+        pentatonic: { label: 'Pentatonic', degrees: [0, 200, 400, 700, 900] },
+        whole_tone: { label: 'Whole-tone', degrees: [0, 200, 400, 600, 800, 1000] },
+        just: { label: 'Just partials', ratios: [1, 9 / 8, 5 / 4, 11 / 8, 3 / 2, 13 / 8, 7 / 4, 15 / 8] }
+      }
+    },
+    // Bounds on every route's mapped pulse rate
     PULSE: {
       RATE_MIN_HZ: 0.05,
-      RATE_MAX_HZ: 2.0,
-      MAX_BUSES_PER_ROUTE: 20
+      RATE_MAX_HZ: 2.0
+    },
+    // One lookahead timer schedules every route's pulses against the audio clock
+    SCHEDULER: {
+      LOOKAHEAD_MS: 25,                       // How often the scheduler wakes
+      SCHEDULE_AHEAD_SECONDS: 0.1,            // How far ahead pulses are scheduled
+      BACKGROUND_SCHEDULE_AHEAD_SECONDS: 1.5, // Hidden tabs only get timers about once a second
+      TEMPO_DEFAULT_BPM: 90,
+      TEMPO_MIN_BPM: 30,
+      TEMPO_MAX_BPM: 240
+    },
+    TIMING: {
+      DISRUPTION_MAX_SECONDS: 5,   // Longest a delay slows its route's pulse
+      DISRUPTION_SLOW_HZ: 0.2,     // Pulse rate while disrupted
+      CLEANUP_THRESHOLD_MS: 30000  // Routes without buses for this long are removed
     },
     VOLUME: {
       MASTER_DEFAULT: 0.8,
@@ -106,6 +255,17 @@ const SHARED_CONSTANTS = {
       REVERB_DECAY: 2,
       REVERB_PREDELAY: 0.05,
       REVERB_WET: 0.2,
+      REVERB_CROSSFADE_SECONDS: 1.5,  // When switching spaces
+      REVERB_DEFAULT_SPACE: 'hall',
+      // Generated impulse responses. decay and predelay scale REVERB_DECAY and
+      // REVERB_PREDELAY; damping is how much darker the tail gets by its end (0-1);
+      // reflections are [seconds after predelay, gain] and flutter repeats one.
+      REVERB_SPACES: {
+        hall: { label: 'Hall', decay: 1, predelay: 1, damping: 0.5, reflections: [[0.011, 0.5], [0.019, 0.4], [0.027, 0.35], [0.041, 0.3]] },
+        tunnel: { label: 'Tunnel', decay: 1.6, predelay: 0.4, damping: 0.3, reflections: [], flutter: { interval: 0.037, gain: 0.6 } },
+        harbour: { label: 'Harbour', decay: 2.5, predelay: 3, damping: 0.8, reflections: [[0.18, 0.35], [0.41, 0.2]] },
+        plate: { label: 'Plate', decay: 0.8, predelay: 0.2, damping: 0.1, reflections: [] }
+      },
       PAN_RANGE: 1.0
     },
     ARRIVAL: {
@@ -115,12 +275,17 @@ const SHARED_CONSTANTS = {
       FILTER_FREQ_MIN: 800,        // Heavy filtering for on-time
       FILTER_FREQ_MAX: 20000,      // No filtering for very late
       VOLUME_DB: -6,
-      // Discrete bitcrush levels
+      // Discrete bitcrush levels: bit depth, sample-rate reduction factor and saturation drive
       BITCRUSH_LEVELS: {
-        NONE: { intensity: 0, label: 'clean' },
-        LIGHT: { intensity: 0.3, label: 'light crunch' },
-        MEDIUM: { intensity: 0.6, label: 'medium crunch' },
-        HEAVY: { intensity: 1.0, label: 'heavy crunch' }
+        NONE: { intensity: 0, label: 'clean', bitDepth: 16, reduction: 1, drive: 1 },
+        LIGHT: { intensity: 0.3, label: 'light crunch', bitDepth: 8, reduction: 2, drive: 1.5 },
+        MEDIUM: { intensity: 0.6, label: 'medium crunch', bitDepth: 6, reduction: 6, drive: 3 },
+        HEAVY: { intensity: 1.0, label: 'heavy crunch', bitDepth: 4, reduction: 16, drive: 6 }
+      },
+      // Comb filter tuning each blast to its route's pitch
+      COMB: {
+        FEEDBACK: 0.7,
+        MIX: 0.4
       },
       DELAY_THRESHOLDS: {
         LIGHT_BITCRUSH: 120,   // 2 minutes
@@ -128,6 +293,86 @@ const SHARED_CONSTANTS = {
         HEAVY_BITCRUSH: 480    // 8 minutes
       }
     },
+    // Detuned drone with a slow filter sweep under routes with an active service alert
+    ALERT: {
+      DRONE_FREQ_RATIO: 0.5,  // An octave below the route's base frequency
+      DETUNE_CENTS: 18,       // Each of the two drone oscillators, in opposite directions
+      VOLUME_DB: -20,
+      SWEEP_HZ: 0.1,          // Filter sweep rate
+      SWEEP_MIN_HZ: 150,
+      SWEEP_MAX_HZ: 1200,
+      FADE_SECONDS: 2
+    },
+    // One voice per mode, chosen from the route's vehicle type
+    VOICES: {
+      BY_VEHICLE_TYPE: {
+        bus: 'pulse', trolleybus: 'pulse',
+        rail: 'fm', subway: 'fm', monorail: 'fm', tram: 'fm',
+        ferry: 'bell',
+        cable_tram: 'pluck', funicular: 'pluck', aerial_lift: 'pluck'
+      },
+      // Low FM drone: slow swell, an octave down
+      FM: { FREQ_RATIO: 0.5, MOD_RATIO: 2, MOD_INDEX: 3, ATTACK: 0.4, DURATION: 1.6, SUSTAIN: 0.6, LEVEL: 0.9 },
+      // Inharmonic FM bell with a long ring and a decaying modulation index
+      BELL: { FREQ_RATIO: 2, MOD_RATIO: 3.5, MOD_INDEX: 5, ATTACK: 0.005, DECAY: 2.5, LEVEL: 0.5 },
+      // Sawtooth with a fast decay and a closing lowpass
+      PLUCK: { FREQ_RATIO: 1, ATTACK: 0.003, DECAY: 0.35, FILTER_START_RATIO: 10, FILTER_END_RATIO: 1.5, LEVEL: 0.4 }
+    },
+    // Per-route mixer, on top of the computed route volume and pan
+    MIXER: {
+      TRIM_MIN_DB: -24,
+      TRIM_MAX_DB: 6,
+      RAMP_SECONDS: 0.05  // Time constant for mute, solo and trim changes
+    },
+    // Data-to-sound mapping matrix. Sources are per-route statistics, with the
+    // input range a new mapping starts from; targets are route sound parameters,
+    // with the output range a new mapping starts from, hard limits, and the
+    // value used when nothing is mapped to them.
+    MAPPING: {
+      SOURCES: {
+        busCount: { label: 'Bus count', min: 1, max: 20, unit: '' },
+        averageSpeed: { label: 'Average speed', min: 0, max: 15, unit: 'm/s' },
+        meanDelay: { label: 'Mean delay', min: 0, max: 600, unit: 's' },
+        spread: { label: 'Spread', min: 0, max: 0.05, unit: '°' },        // Std dev of positions (0.05° ~ 5km)
+        bearing: { label: 'Bearing', min: 0, max: 360, unit: '°' },        // Mean vehicle heading
+        orientation: { label: 'Orientation', min: -180, max: 180, unit: '°' }, // Direction the route's vehicles line up in
+        occupancy: { label: 'Occupancy', min: 0, max: 100, unit: '%' }
+      },
+      TARGETS: {
+        rate: { label: 'Pulse rate', min: 0.05, max: 2, limit: [0.01, 8], neutral: 0.5, unit: 'Hz' },
+        gain: { label: 'Gain', min: -8, max: 1, limit: [-48, 6], neutral: -8, unit: 'dB' },
+        pitch: { label: 'Pitch bend', min: -0.5, max: 0.5, limit: [-0.9, 2], neutral: 0, unit: '' },  // Fraction of the base frequency
+        filter: { label: 'Filter cutoff', min: 1, max: 12, limit: [0.5, 32], neutral: 3, unit: '× pitch' },
+        pan: { label: 'Pan', min: -1, max: 1, limit: [-1, 1], neutral: 0, unit: '' },
+        reverbSend: { label: 'Reverb send', min: 0, max: 1, limit: [0, 1], neutral: 0, unit: '' },
+        envelope: { label: 'Envelope length', min: 0.5, max: 2, limit: [0.1, 8], neutral: 1, unit: '×' }
+      },
+      CURVES: ['linear', 'exponential', 'logarithmic'],
+      CURVE_STEEPNESS: 9, // Exponential/logarithmic curves span a decade unless the input range is all positive
+      // The mappings that used to be fixed in code
+      DEFAULTS: [
+        { source: 'busCount', target: 'rate', inputMin: 1, inputMax: 20, outputMin: 0.05, outputMax: 2, curve: 'linear' },
+        { source: 'busCount', target: 'gain', inputMin: 1, inputMax: 20, outputMin: -8, outputMax: 1, curve: 'logarithmic' }, // ~3dB per doubling
+        { source: 'orientation', target: 'pan', inputMin: -180, inputMax: 180, outputMin: -1, outputMax: 1, curve: 'linear' },
+        { source: 'spread', target: 'pitch', inputMin: 0, inputMax: 0.05, outputMin: -0.5, outputMax: 0.5, curve: 'linear' }
+      ]
+    },
+    // Recording the live mix in the browser
+    RECORDER: {
+      MIME_TYPES: ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm', 'audio/mp4'], // First supported wins
+      BITS_PER_SECOND: 192000,
+      TIMESLICE_MS: 1000,        // MediaRecorder hands over data this often
+      PCM_BLOCK_FRAMES: 16384,   // WAV samples per message from the audio thread
+      MAX_SECONDS: 2 * 60 * 60,  // Recordings stop and save at this length (a 48 kHz WAV is then 1.4 GB)
+      FILE_PREFIX: 'bus-synth'
+    },
+    // Standard MIDI file export of route pulses and arrivals
+    MIDI: {
+      TICKS_PER_BEAT: 480,
+      DRUM_CHANNEL: 9,   // General MIDI percussion (channel 10), left free
+      ARRIVAL_NOTE: 24,  // C1, below every route pitch
+      DELAY_CC: 20       // Undefined controller, free to map in a DAW
+    },
     ENVELOPE: {
       ATTACK: 0.05,
       DECAY: 0.3,
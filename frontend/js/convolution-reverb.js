@@ -0,0 +1,189 @@
+// Convolution reverb with generated or loaded impulse responses
+const EFFECTS_CONSTANTS = SHARED_CONSTANTS.AUDIO.EFFECTS;
+
+const IMPULSE_MAX_SECONDS = 10;
+const SILENCE_DB = -60; // The tail has decayed by this much after `decay` seconds (RT60)
+
+/**
+ * Wet/dry convolution reverb. Switching impulse responses crossfades from the
+ * old convolver to a new one, so the tail of the old space rings out.
+ * `input` goes through the wet/dry mix; `send` feeds the convolver only.
+ */
+class ConvolutionReverb {
+  /**
+   * @param {AudioContext} audioContext
+   * @param {Object} [effects] - AUDIO.EFFECTS, or a preset's version of it
+   */
+  constructor(audioContext, effects = EFFECTS_CONSTANTS) {
+    this.audioContext = audioContext;
+    this.effects = effects;
+    this.input = audioContext.createGain();
+    this.send = audioContext.createGain();
+    this.output = audioContext.createGain();
+
+    this.dry = audioContext.createGain();
+    this.dry.gain.value = 1 - effects.REVERB_WET;
+    this.input.connect(this.dry);
+    this.dry.connect(this.output);
+
+    this.wet = audioContext.createGain();
+    this.wet.gain.value = effects.REVERB_WET;
+    this.wet.connect(this.output);
+
+    this.slots = []; // { convolver, gain, timer }; the last one is current
+  }
+
+  connect(destination) {
+    this.output.connect(destination);
+  }
+
+  disconnect() {
+    this.slots.forEach(slot => this.disposeSlot(slot));
+    this.slots = [];
+    this.input.disconnect();
+    this.send.disconnect();
+    this.dry.disconnect();
+    this.wet.disconnect();
+    this.output.disconnect();
+  }
+
+  /**
+   * @param {number} wet - 0-1 share of `input` that goes through the convolver
+   */
+  setWet(wet) {
+    const now = this.audioContext.currentTime;
+    this.dry.gain.setTargetAtTime(1 - wet, now, 0.1);
+    this.wet.gain.setTargetAtTime(wet, now, 0.1);
+  }
+
+  /**
+   * Use new EFFECTS settings: the wet level follows straight away, generated
+   * spaces the next time one is set
+   * @param {Object} effects - AUDIO.EFFECTS, or a preset's version of it
+   */
+  setEffects(effects) {
+    this.effects = effects;
+    this.setWet(effects.REVERB_WET);
+  }
+
+  /**
+   * Switch to a generated space
+   * @param {string} space - Key of AUDIO.EFFECTS.REVERB_SPACES
+   */
+  setSpace(space) {
+    const settings = this.effects.REVERB_SPACES[space];
+    if (!settings) throw new Error(`Unknown reverb space "${space}"`);
+    this.setImpulseResponse(ConvolutionReverb.generateImpulseResponse(this.audioContext, settings, this.effects));
+  }
+
+  /**
+   * Crossfade to a new impulse response
+   * @param {AudioBuffer} buffer
+   */
+  setImpulseResponse(buffer) {
+    const now = this.audioContext.currentTime;
+    const fade = this.slots.length > 0 ? this.effects.REVERB_CROSSFADE_SECONDS : 0;
+
+    // Fade out whatever is playing, including slots still fading from an earlier switch
+    this.slots.forEach(slot => {
+      slot.gain.gain.cancelScheduledValues(now);
+      slot.gain.gain.setValueAtTime(slot.gain.gain.value, now);
+      slot.gain.gain.linearRampToValueAtTime(0, now + fade);
+      if (!slot.timer) {
+        slot.timer = setTimeout(() => {
+          this.disposeSlot(slot);
+          this.slots = this.slots.filter(other => other !== slot);
+        }, fade * 1000 + 100);
+      }
+    });
+
+    const convolver = this.audioContext.createConvolver();
+    const gain = this.audioContext.createGain();
+    convolver.buffer = buffer;
+    gain.gain.setValueAtTime(fade > 0 ? 0 : 1, now);
+    gain.gain.linearRampToValueAtTime(1, now + fade);
+
+    this.input.connect(convolver);
+    this.send.connect(convolver);
+    convolver.connect(gain);
+    gain.connect(this.wet);
+    this.slots.push({ convolver, gain, timer: null });
+  }
+
+  disposeSlot(slot) {
+    clearTimeout(slot.timer);
+    try {
+      this.input.disconnect(slot.convolver);
+      this.send.disconnect(slot.convolver);
+      slot.convolver.disconnect();
+      slot.gain.disconnect();
+    } catch (error) {
+      // Ignore cleanup errors (already disconnected)
+    }
+  }
+
+  /**
+   * Decode a user impulse response (WAV or anything else the browser decodes)
+   * @param {BaseAudioContext} audioContext
+   * @param {ArrayBuffer} data - Encoded audio; decoding detaches it
+   * @returns {Promise<AudioBuffer>}
+   */
+  static async decodeImpulseResponse(audioContext, data) {
+    const buffer = await audioContext.decodeAudioData(data);
+    if (buffer.duration > IMPULSE_MAX_SECONDS) {
+      throw new Error(`impulse response is longer than ${IMPULSE_MAX_SECONDS}s`);
+    }
+    return buffer;
+  }
+
+  /**
+   * Generate a stereo impulse response: predelay, early reflections, then
+   * exponentially decaying noise that darkens as it decays
+   * @param {BaseAudioContext} audioContext
+   * @param {Object} settings - AUDIO.EFFECTS.REVERB_SPACES entry
+   * @param {Object} [effects] - AUDIO.EFFECTS, for the decay and predelay the space scales
+   * @returns {AudioBuffer}
+   */
+  static generateImpulseResponse(audioContext, settings, effects = EFFECTS_CONSTANTS) {
+    const sampleRate = audioContext.sampleRate;
+    const decay = effects.REVERB_DECAY * settings.decay;
+    const predelay = effects.REVERB_PREDELAY * settings.predelay;
+    const length = Math.ceil(Math.min(IMPULSE_MAX_SECONDS, predelay + decay) * sampleRate);
+    const predelaySamples = Math.floor(predelay * sampleRate);
+    const decayRate = Math.log(Math.pow(10, SILENCE_DB / 20)) / decay; // per second
+
+    const reflections = settings.reflections.slice();
+    if (settings.flutter) {
+      // Flutter echoes between parallel walls, decaying with the tail
+      for (let time = settings.flutter.interval; time < decay; time += settings.flutter.interval) {
+        reflections.push([time, settings.flutter.gain * Math.exp(decayRate * time)]);
+      }
+    }
+
+    const buffer = audioContext.createBuffer(2, length, sampleRate);
+    for (let channel = 0; channel < 2; channel++) {
+      const data = buffer.getChannelData(channel);
+      let smoothed = 0;
+
+      for (let i = predelaySamples; i < length; i++) {
+        const time = (i - predelaySamples) / sampleRate;
+        // One-pole lowpass closing over the tail
+        const brightness = 1 - settings.damping * Math.min(1, time / decay);
+        smoothed += brightness * ((Math.random() * 2 - 1) - smoothed);
+        data[i] = smoothed * Math.exp(decayRate * time);
+      }
+
+      // Reflections land slightly apart in each ear
+      reflections.forEach(([time, gain]) => {
+        const offset = channel === 0 ? 0 : Math.floor(0.0007 * sampleRate);
+        const index = predelaySamples + Math.floor(time * sampleRate) + offset;
+        if (index < length) data[index] += gain;
+      });
+    }
+
+    return buffer;
+  }
+}
+
+// Export for use in other modules
+window.ConvolutionReverb = ConvolutionReverb;
@@ -0,0 +1,198 @@
+// Audio effects, and the WAV recorder's tap, that run on the audio rendering thread.
+// Loaded with audioContext.audioWorklet.addModule(), not a <script> tag, so
+// nothing from the page (SHARED_CONSTANTS, window) is available here.
+
+/**
+ * Sample-rate and bit-depth reduction. `reduction` holds each sample for that
+ * many input samples (fractional values alias in between); `bitDepth` quantizes
+ * the held value.
+ */
+class BitcrusherProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'bitDepth', defaultValue: 16, minValue: 1, maxValue: 16, automationRate: 'k-rate' },
+      { name: 'reduction', defaultValue: 1, minValue: 1, maxValue: 256, automationRate: 'k-rate' },
+      { name: 'mix', defaultValue: 1, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+    this.phase = [];
+    this.held = [];
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (input.length === 0) return false;
+
+    const step = Math.pow(2, 1 - parameters.bitDepth[0]);
+    const increment = 1 / parameters.reduction[0];
+    const mix = parameters.mix[0];
+
+    for (let channel = 0; channel < output.length; channel++) {
+      const source = input[channel] || input[0];
+      const target = output[channel];
+      let phase = this.phase[channel] || 0;
+      let held = this.held[channel] || 0;
+
+      for (let i = 0; i < target.length; i++) {
+        phase += increment;
+        if (phase >= 1) {
+          phase -= 1;
+          held = Math.round(source[i] / step) * step;
+        }
+        target[i] = held * mix + source[i] * (1 - mix);
+      }
+
+      this.phase[channel] = phase;
+      this.held[channel] = held;
+    }
+    return true;
+  }
+}
+
+/**
+ * tanh soft clipping, normalized so a full-scale input stays at full scale
+ */
+class SaturationProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'drive', defaultValue: 1, minValue: 0.1, maxValue: 50, automationRate: 'k-rate' },
+      { name: 'mix', defaultValue: 1, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (input.length === 0) return false;
+
+    const drive = parameters.drive[0];
+    const normalize = 1 / Math.tanh(drive);
+    const mix = parameters.mix[0];
+
+    for (let channel = 0; channel < output.length; channel++) {
+      const source = input[channel] || input[0];
+      const target = output[channel];
+      for (let i = 0; i < target.length; i++) {
+        target[i] = Math.tanh(source[i] * drive) * normalize * mix + source[i] * (1 - mix);
+      }
+    }
+    return true;
+  }
+}
+
+const COMB_TAIL_THRESHOLD = 0.0001; // -80 dB: below this the ringing has died away
+
+/**
+ * Feedback comb filter: resonates at 1 / delayTime and its harmonics. It keeps
+ * ringing after its input stops, and only ends once that tail has decayed.
+ */
+class CombFilterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'delayTime', defaultValue: 0.005, minValue: 0.0001, maxValue: 0.05, automationRate: 'k-rate' },
+      { name: 'feedback', defaultValue: 0.5, minValue: -0.99, maxValue: 0.99, automationRate: 'k-rate' },
+      { name: 'mix', defaultValue: 0.5, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor(options) {
+    super();
+    const maxDelayTime = (options.processorOptions && options.processorOptions.maxDelayTime) || 0.05;
+    this.bufferLength = Math.ceil(maxDelayTime * sampleRate) + 1;
+    this.buffers = [];
+    this.writeIndex = 0;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const hasInput = input.length > 0;
+    if (!hasInput && this.buffers.length === 0) return false;
+
+    const delaySamples = Math.max(1, Math.min(this.bufferLength - 1, Math.round(parameters.delayTime[0] * sampleRate)));
+    const feedback = parameters.feedback[0];
+    const mix = parameters.mix[0];
+    let writeIndex = this.writeIndex;
+    let peak = 0;
+
+    for (let channel = 0; channel < output.length; channel++) {
+      if (!this.buffers[channel]) this.buffers[channel] = new Float32Array(this.bufferLength);
+      const buffer = this.buffers[channel];
+      const source = hasInput ? (input[channel] || input[0]) : null; // null: ringing out on silence
+      const target = output[channel];
+
+      writeIndex = this.writeIndex;
+      for (let i = 0; i < target.length; i++) {
+        const dry = source ? source[i] : 0;
+        const delayed = buffer[(writeIndex - delaySamples + this.bufferLength) % this.bufferLength];
+        const wet = dry + feedback * delayed;
+        buffer[writeIndex] = wet;
+        target[i] = wet * mix + dry * (1 - mix);
+        peak = Math.max(peak, Math.abs(wet));
+        writeIndex = (writeIndex + 1) % this.bufferLength;
+      }
+    }
+
+    this.writeIndex = writeIndex;
+    return hasInput || peak >= COMB_TAIL_THRESHOLD;
+  }
+}
+
+/**
+ * Copies its (stereo) input to the main thread in blocks for WAV recording.
+ * Posting 'stop' sends the last partial block followed by { done: true }.
+ */
+class PcmRecorderProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.blockFrames = (options.processorOptions && options.processorOptions.blockFrames) || 16384;
+    this.stopped = false;
+    this.startBlock();
+    this.port.onmessage = event => {
+      if (event.data === 'stop') {
+        this.flush();
+        this.port.postMessage({ done: true });
+        this.stopped = true;
+      }
+    };
+  }
+
+  startBlock() {
+    this.block = [new Float32Array(this.blockFrames), new Float32Array(this.blockFrames)];
+    this.frames = 0;
+  }
+
+  flush() {
+    if (this.frames === 0) return;
+    const channels = this.block.map(channel => channel.subarray(0, this.frames).slice());
+    this.port.postMessage({ channels }, channels.map(channel => channel.buffer));
+    this.startBlock();
+  }
+
+  process(inputs) {
+    if (this.stopped) return false;
+
+    // No input channels means silence (e.g. nothing playing yet)
+    const input = inputs[0];
+    const length = input.length > 0 ? input[0].length : 128;
+
+    for (let channel = 0; channel < 2; channel++) {
+      const source = input[channel] || input[0];
+      if (source) this.block[channel].set(source.subarray(0, length), this.frames);
+      else this.block[channel].fill(0, this.frames, this.frames + length);
+    }
+    this.frames += length;
+    if (this.frames + 128 > this.blockFrames) this.flush();
+
+    return true;
+  }
+}
+
+registerProcessor('bitcrusher', BitcrusherProcessor);
+registerProcessor('saturation', SaturationProcessor);
+registerProcessor('comb-filter', CombFilterProcessor);
+registerProcessor('pcm-recorder', PcmRecorderProcessor);
@@ -10,6 +10,9 @@ class InterpolatedMapManager {
     this.bounds = null;
     this.routeColors = new Map();
     this.colorIndex = 0;
+    this.routeInfo = new Map(); // cleaned routeId (string) -> static GTFS route
+    this.soloRoutes = null; // Set of route IDs (as strings) shown at full opacity, or null for all
+    this.theme = MAP_CONSTANTS.THEMES[MAP_CONSTANTS.DEFAULT_THEME]; // tiles and stop colour
 
     // Interpolation and animation
     this.busPositionHistory = new Map(); // busId -> array of {position, timestamp}
@@ -35,12 +38,46 @@ class InterpolatedMapManager {
     this.lastSkipLog = 0; // Throttle skip logging
 
     // A lot of this shit should probably not be hardcoded
-    this.busIconSvg = (color, rotation = 0, scale = 1) => `
+    this.busIconSvg = (color, rotation = 0, scale = 1, vehicleType = 'bus') => `
       <svg width="${MAP_CONSTANTS.BUS_ICON.WIDTH * scale}" height="${MAP_CONSTANTS.BUS_ICON.HEIGHT * scale}" viewBox="0 0 ${MAP_CONSTANTS.BUS_ICON.WIDTH} ${MAP_CONSTANTS.BUS_ICON.HEIGHT}" style="transform: rotate(${rotation}deg)">
-        <rect x="${MAP_CONSTANTS.BUS_ICON.STROKE_WIDTH / 2}" y="${MAP_CONSTANTS.BUS_ICON.STROKE_WIDTH / 2}" width="${MAP_CONSTANTS.BUS_ICON.WIDTH - MAP_CONSTANTS.BUS_ICON.STROKE_WIDTH}" height="${MAP_CONSTANTS.BUS_ICON.HEIGHT - MAP_CONSTANTS.BUS_ICON.STROKE_WIDTH}" fill="${color}" stroke="#fff" stroke-width="${MAP_CONSTANTS.BUS_ICON.STROKE_WIDTH}" rx="${MAP_CONSTANTS.BUS_ICON.BORDER_RADIUS}"/>
+        ${this.vehicleShapeSvg(vehicleType, `fill="${color}" stroke="#fff" stroke-width="${MAP_CONSTANTS.BUS_ICON.STROKE_WIDTH}"`)}
       </svg>
     `;
 
+    // Marker outline per mode, drawn in the bus icon's box with the front at the top
+    this.vehicleShapeSvg = (vehicleType, style) => {
+      const inset = MAP_CONSTANTS.BUS_ICON.STROKE_WIDTH / 2;
+      const right = MAP_CONSTANTS.BUS_ICON.WIDTH - inset;
+      const bottom = MAP_CONSTANTS.BUS_ICON.HEIGHT - inset;
+      const width = right - inset;
+      const centerX = MAP_CONSTANTS.BUS_ICON.WIDTH / 2;
+      const centerY = MAP_CONSTANTS.BUS_ICON.HEIGHT / 2;
+
+      switch (vehicleType) {
+        case 'rail':
+        case 'subway':
+        case 'monorail':
+          // Two coupled carriages
+          return `
+            <rect x="${inset}" y="${inset}" width="${width}" height="${centerY - inset - 0.75}" ${style}/>
+            <rect x="${inset}" y="${centerY + 0.75}" width="${width}" height="${bottom - centerY - 0.75}" ${style}/>
+          `;
+        case 'tram':
+          // Fully rounded ends
+          return `<rect x="${inset}" y="${inset}" width="${width}" height="${bottom - inset}" rx="${width / 2}" ${style}/>`;
+        case 'ferry':
+          // Hull with a pointed bow
+          return `<polygon points="${centerX},${inset} ${right},${centerY / 2} ${right},${bottom} ${inset},${bottom} ${inset},${centerY / 2}" ${style}/>`;
+        case 'cable_tram':
+        case 'funicular':
+        case 'aerial_lift':
+          // Diamond
+          return `<polygon points="${centerX},${inset} ${right},${centerY} ${centerX},${bottom} ${inset},${centerY}" ${style}/>`;
+        default:
+          return `<rect x="${inset}" y="${inset}" width="${width}" height="${bottom - inset}" rx="${MAP_CONSTANTS.BUS_ICON.BORDER_RADIUS}" ${style}/>`;
+      }
+    };
+
     this.getFrontCenterAnchor = () => {
       return [MAP_CONSTANTS.BUS_ICON.WIDTH/2, MAP_CONSTANTS.BUS_ICON.HEIGHT / 2]; // Center horizontally, exactly at front edge
     };
@@ -70,8 +107,8 @@ class InterpolatedMapManager {
       attributionControl: true
     });
 
-    // Add Dark Matter tiles
-    L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', {
+    // Add CARTO tiles in the theme's style
+    this.tileLayer = L.tileLayer(this.theme.tiles, {
       attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
       subdomains: 'abcd',
       maxZoom: 19
@@ -79,7 +116,7 @@ class InterpolatedMapManager {
 
     // Add canvas-based stop layer
     this.canvasStopsLayer = new CanvasStopsLayer(stops, {
-      stopColor: '#ff6b6b',
+      stopColor: this.theme.stopColor,
       stopRadius: 3,
       animationDuration: 2000,
       maxAnimationScale: 3
@@ -121,6 +158,47 @@ class InterpolatedMapManager {
     console.log(`Interpolated map initialized with ${stops.length} stops`);
   }
 
+  setRouteInfo(routeInfo) {
+    this.routeInfo = routeInfo || new Map();
+    // Drop assigned colours so agency route colours take effect
+    this.routeColors.clear();
+  }
+
+  /**
+   * Dim every route that isn't soloed in the mixer
+   * @param {Set<string>|null} routeIds - Soloed route IDs, or null when nothing is soloed
+   */
+  setSoloRoutes(routeIds) {
+    this.soloRoutes = routeIds && routeIds.size > 0 ? routeIds : null;
+
+    this.busMarkers.forEach((markerData, busId) => {
+      const opacity = this.getRouteOpacity(markerData.routeId);
+      markerData.marker.setOpacity(opacity);
+      if (this.canvasTrailsLayer) this.canvasTrailsLayer.setTrailOpacity(busId, opacity);
+    });
+    if (this.canvasTrailsLayer) this.canvasTrailsLayer.forceRedraw();
+  }
+
+  /**
+   * Switch map tiles and stop colour
+   * @param {string} themeId - Key of MAP.THEMES
+   */
+  setTheme(themeId) {
+    const theme = MAP_CONSTANTS.THEMES[themeId];
+    if (!theme) throw new Error(`Unknown theme "${themeId}"`);
+    this.theme = theme;
+
+    if (this.tileLayer) this.tileLayer.setUrl(theme.tiles);
+    if (this.canvasStopsLayer) {
+      this.canvasStopsLayer.options.stopColor = theme.stopColor;
+      this.canvasStopsLayer.forceRedraw();
+    }
+  }
+
+  getRouteOpacity(routeId) {
+    return !this.soloRoutes || this.soloRoutes.has(String(routeId)) ? 1 : MAP_CONSTANTS.SOLO_DIM_OPACITY;
+  }
+
   setupVisibilityHandlers() {
     // Handle browser tab focus/unfocus to prevent disjointed trails
     this.handleVisibilityChange = () => {
@@ -228,6 +306,8 @@ class InterpolatedMapManager {
             lat: position.latitude,
             lon: position.longitude,
             bearing: position.bearing || 0,
+            speed: Number.isFinite(position.speed) ? position.speed : null,
+            occupancy: Number.isFinite(bus.vehicle.occupancy_percentage) ? bus.vehicle.occupancy_percentage : null,
             routeId: routeId, // Use cleaned route ID
             timestamp: adjustedTimestamp
           });
@@ -270,6 +350,8 @@ class InterpolatedMapManager {
           lat: position.latitude,
           lon: position.longitude,
           bearing: position.bearing || 0,
+          speed: Number.isFinite(position.speed) ? position.speed : null,
+          occupancy: Number.isFinite(bus.vehicle.occupancy_percentage) ? bus.vehicle.occupancy_percentage : null,
           routeId: routeId,
           timestamp: timestamp
         });
@@ -348,6 +430,8 @@ class InterpolatedMapManager {
         lat: this.lerp(beforePos.lat, afterPos.lat, smoothProgress),
         lon: this.lerp(beforePos.lon, afterPos.lon, smoothProgress),
         bearing: this.lerpAngle(beforePos.bearing, afterPos.bearing, smoothProgress),
+        speed: this.getSegmentSpeed(beforePos, afterPos),
+        occupancy: beforePos.occupancy,
         routeId: beforePos.routeId,
         timestamp: displayTime
       };
@@ -359,6 +443,21 @@ class InterpolatedMapManager {
       this.updateBusTrail(busId, history, displayTime);
     });
   }
+  /**
+   * Speed between two history entries: the feed's own speed if it has one,
+   * otherwise distance over time
+   * @returns {number|null} m/s
+   */
+  getSegmentSpeed(beforePos, afterPos) {
+    if (beforePos.speed !== null && afterPos.speed !== null) {
+      return (beforePos.speed + afterPos.speed) / 2;
+    }
+
+    const seconds = (afterPos.timestamp - beforePos.timestamp) / 1000;
+    if (seconds <= 0) return null;
+    return this.calculateDistance(beforePos.lat, beforePos.lon, afterPos.lat, afterPos.lon) / seconds;
+  }
+
   updateBusMarker(busId, position) {
     if (!this.isInViewport(position.lat, position.lon)) {
       // Hide marker if outside viewport
@@ -373,6 +472,7 @@ class InterpolatedMapManager {
     }
 
     const color = this.getRouteColor(position.routeId);
+    const vehicleType = Utils.getVehicleType(position.routeId, this.routeInfo);
 
     if (this.busMarkers.has(busId)) {
       // Update existing marker - position at EXACT GPS coordinates
@@ -380,7 +480,7 @@ class InterpolatedMapManager {
       markerData.marker.setLatLng([position.lat, position.lon]); // Exact GPS position
 
       // Update icon rotation and anchor for front center
-      const iconHtml = this.busIconSvg(color, position.bearing);
+      const iconHtml = this.busIconSvg(color, position.bearing, 1, vehicleType);
       const frontAnchor = this.getFrontCenterAnchor();
       markerData.marker.setIcon(L.divIcon({
         html: iconHtml,
@@ -388,6 +488,7 @@ class InterpolatedMapManager {
         iconSize: [6, 16], // Updated for new orientation
         iconAnchor: frontAnchor // Front center of bus at exact GPS coordinates
       }));
+      markerData.marker.setOpacity(this.getRouteOpacity(position.routeId));
 
       // Add to map if not visible
       if (!markerData.isVisible) {
@@ -396,7 +497,7 @@ class InterpolatedMapManager {
       }
     } else {
       // Create new marker
-      const iconHtml = this.busIconSvg(color, position.bearing);
+      const iconHtml = this.busIconSvg(color, position.bearing, 1, vehicleType);
       const frontAnchor = this.getFrontCenterAnchor();
       const marker = L.marker([position.lat, position.lon], {
         icon: L.divIcon({
@@ -404,7 +505,8 @@ class InterpolatedMapManager {
           className: 'bus-marker',
           iconSize: [6, 16], // Updated for new orientation
           iconAnchor: frontAnchor
-        })
+        }),
+        opacity: this.getRouteOpacity(position.routeId)
       });
 
       // Custom tooltip with timeout
@@ -415,7 +517,7 @@ class InterpolatedMapManager {
         permanent: false,
         direction: 'top',
         className: 'bus-tooltip'
-      }).setContent(`Bus: ${busId}<br/>Route: ${displayRouteId}`);
+      }).setContent(`Bus: ${Utils.escapeHtml(busId)}<br/>${Utils.escapeHtml(Utils.formatRouteLabel(displayRouteId, this.routeInfo))}`);
 
       marker.bindTooltip(tooltip);
 
@@ -462,7 +564,7 @@ class InterpolatedMapManager {
     const routeColor = this.getRouteColor(trailHistory[0].routeId);
     
     // Update canvas trail (automatically handles trail + connection unity)
-    this.canvasTrailsLayer.updateBusTrail(busId, routeColor, trailHistory, currentPosition);
+    this.canvasTrailsLayer.updateBusTrail(busId, routeColor, trailHistory, currentPosition, this.getRouteOpacity(trailHistory[0].routeId));
   }
 
   animateStopPulse(stopId, intensity = 1) {
@@ -540,6 +642,13 @@ class InterpolatedMapManager {
 
   getRouteColor(routeId) {
     if (!this.routeColors.has(routeId)) {
+      // Prefer the agency's own route colour from static GTFS
+      const route = this.routeInfo.get(String(routeId));
+      if (route && route.route_color) {
+        this.routeColors.set(routeId, `#${route.route_color}`);
+        return this.routeColors.get(routeId);
+      }
+
       const colors = [
         '#00bcd4', '#4caf50', '#ff9800', '#e91e63',
         '#9c27b0', '#3f51b5', '#009688', '#8bc34a',
@@ -594,8 +703,10 @@ class InterpolatedMapManager {
         position: {
           latitude: position.lat,
           longitude: position.lon,
-          bearing: position.bearing
+          bearing: position.bearing,
+          speed: position.speed !== undefined ? position.speed : null
         },
+        occupancy: position.occupancy !== undefined ? position.occupancy : null,
         routeId: routeId
       });
     });
@@ -0,0 +1,168 @@
+// Data-to-sound mapping matrix for route voices
+const MAPPING_CONSTANTS = SHARED_CONSTANTS.AUDIO.MAPPING;
+
+/**
+ * Routes per-route data sources (bus count, speed, delay, ...) to sound
+ * parameters (rate, pitch, filter, ...). Each cell of the matrix holds at most
+ * one mapping, which scales its source from an input range to an output range
+ * along a curve. A target fed by several mappings takes their average; a
+ * target with no mapping (or only sources with no data) sits at its neutral value.
+ */
+class MappingMatrix {
+  /**
+   * @param {Array<Object>} [mappings] - Defaults to AUDIO.MAPPING.DEFAULTS
+   */
+  constructor(mappings = MAPPING_CONSTANTS.DEFAULTS) {
+    this.mappings = [];
+    this.setMappings(mappings);
+  }
+
+  /**
+   * A new mapping spanning the source's and target's usual ranges
+   * @param {string} source - Key of AUDIO.MAPPING.SOURCES
+   * @param {string} target - Key of AUDIO.MAPPING.TARGETS
+   * @returns {Object} Mapping
+   */
+  static createMapping(source, target) {
+    const input = MAPPING_CONSTANTS.SOURCES[source];
+    const output = MAPPING_CONSTANTS.TARGETS[target];
+    if (!input) throw new Error(`Unknown mapping source "${source}"`);
+    if (!output) throw new Error(`Unknown mapping target "${target}"`);
+
+    return {
+      source,
+      target,
+      inputMin: input.min,
+      inputMax: input.max,
+      outputMin: output.min,
+      outputMax: output.max,
+      curve: 'linear',
+      enabled: true
+    };
+  }
+
+  /**
+   * Check a mapping (e.g. from a saved preset) and fill in what it leaves out
+   * @param {Object} mapping
+   * @returns {Object} A new, complete mapping
+   */
+  static validate(mapping) {
+    if (!mapping || typeof mapping !== 'object') throw new Error('Mapping must be an object');
+    const complete = { ...MappingMatrix.createMapping(mapping.source, mapping.target), ...mapping };
+
+    if (!MAPPING_CONSTANTS.CURVES.includes(complete.curve)) {
+      throw new Error(`Unknown mapping curve "${complete.curve}"`);
+    }
+    ['inputMin', 'inputMax', 'outputMin', 'outputMax'].forEach(field => {
+      complete[field] = Number(complete[field]);
+      if (!Number.isFinite(complete[field])) throw new Error(`Mapping ${field} must be a number`);
+    });
+    if (complete.inputMin === complete.inputMax) throw new Error('Mapping input range is empty');
+    complete.enabled = complete.enabled !== false;
+
+    return complete;
+  }
+
+  /**
+   * Replace every mapping. Nothing changes if any of them is invalid.
+   * @param {Array<Object>} mappings
+   */
+  setMappings(mappings) {
+    const validated = mappings.map(MappingMatrix.validate);
+    this.mappings = [];
+    validated.forEach(mapping => this.set(mapping));
+  }
+
+  getMappings() {
+    return this.mappings.map(mapping => ({ ...mapping }));
+  }
+
+  get(source, target) {
+    const mapping = this.mappings.find(entry => entry.source === source && entry.target === target);
+    return mapping ? { ...mapping } : null;
+  }
+
+  /**
+   * Add a mapping, or replace the one in the same cell
+   * @param {Object} mapping
+   */
+  set(mapping) {
+    const validated = MappingMatrix.validate(mapping);
+    const index = this.mappings.findIndex(entry => entry.source === validated.source && entry.target === validated.target);
+    if (index === -1) {
+      this.mappings.push(validated);
+    } else {
+      this.mappings[index] = validated;
+    }
+  }
+
+  remove(source, target) {
+    this.mappings = this.mappings.filter(entry => entry.source !== source || entry.target !== target);
+  }
+
+  toJSON() {
+    return this.getMappings();
+  }
+
+  /**
+   * Work out every target's value for one route
+   * @param {Object} sources - Source name -> value (null or missing when there's no data)
+   * @returns {Object} Target name -> value
+   */
+  evaluate(sources) {
+    const totals = {};
+    this.mappings.forEach(mapping => {
+      const value = sources[mapping.source];
+      if (!mapping.enabled || !Number.isFinite(value)) return;
+
+      const total = totals[mapping.target] || (totals[mapping.target] = { sum: 0, count: 0 });
+      total.sum += MappingMatrix.scale(value, mapping);
+      total.count++;
+    });
+
+    const values = {};
+    Object.entries(MAPPING_CONSTANTS.TARGETS).forEach(([target, settings]) => {
+      const total = totals[target];
+      const value = total ? total.sum / total.count : settings.neutral;
+      values[target] = Math.max(settings.limit[0], Math.min(settings.limit[1], value));
+    });
+    return values;
+  }
+
+  /**
+   * Map one value through a mapping's ranges and curve. Inputs outside the
+   * input range are clamped to it.
+   * @param {number} value - Source value
+   * @param {Object} mapping
+   * @returns {number} Target value
+   */
+  static scale(value, mapping) {
+    const position = (value - mapping.inputMin) / (mapping.inputMax - mapping.inputMin);
+    const shaped = MappingMatrix.applyCurve(Math.max(0, Math.min(1, position)), mapping);
+    return mapping.outputMin + shaped * (mapping.outputMax - mapping.outputMin);
+  }
+
+  /**
+   * Shape a 0-1 position. 'logarithmic' rises quickly then levels off, like
+   * ears hear loudness; over an all-positive input range it is exactly
+   * log(value / inputMin) / log(inputMax / inputMin). 'exponential' is its mirror.
+   * @param {number} position - 0-1
+   * @param {Object} mapping
+   * @returns {number} 0-1
+   */
+  static applyCurve(position, mapping) {
+    if (mapping.curve === 'linear') return position;
+
+    const low = Math.min(mapping.inputMin, mapping.inputMax);
+    const high = Math.max(mapping.inputMin, mapping.inputMax);
+    const steepness = low > 0 ? high / low - 1 : MAPPING_CONSTANTS.CURVE_STEEPNESS;
+
+    if (mapping.curve === 'logarithmic') {
+      return Math.log1p(steepness * position) / Math.log1p(steepness);
+    }
+    return Math.expm1(position * Math.log1p(steepness)) / steepness;
+  }
+}
+
+// Export for use in other modules
+window.MappingMatrix = MappingMatrix;
@@ -0,0 +1,242 @@
+// Records route pulses and arrival events as a Standard MIDI File
+const MIDI_CONSTANTS = SHARED_CONSTANTS.AUDIO.MIDI;
+
+/**
+ * Captures what the audio manager triggers while recording: route pulses and
+ * arrival blasts as notes, delays as a controller on the route's channel.
+ * Each route gets its own track and channel (in the order routes first play,
+ * skipping the General MIDI drum channel), so the file opens in a DAW as one
+ * instrument track per route. Times are audio context times, so pulses land
+ * where the scheduler put them rather than when their callback ran.
+ */
+class MidiRecorder {
+  /**
+   * @param {RoutePulseAudioManager} audioManager - Started audio manager to capture from
+   * @param {Function} [getTrackName] - Route ID -> track name
+   */
+  constructor(audioManager, getTrackName = routeId => `Route ${routeId}`) {
+    this.audioManager = audioManager;
+    this.getTrackName = getTrackName;
+    this.startedAt = null; // Date.now() when recording started
+    this.startTime = 0; // Audio context time when recording started
+    this.tempoBpm = audioManager.tempoBpm;
+    this.tracks = new Map(); // route ID (as string) -> { name, channel, events }
+    this.lastNotes = new Map(); // "route:note" -> last note event, so repeats don't overlap
+  }
+
+  get isRecording() {
+    return this.startedAt !== null;
+  }
+
+  getElapsedSeconds() {
+    return this.isRecording ? (Date.now() - this.startedAt) / 1000 : 0;
+  }
+
+  start() {
+    if (this.isRecording) return;
+
+    // The file's tempo follows the tempo grid, so grid pulses fall on beats
+    this.tempoBpm = this.audioManager.tempoBpm;
+    this.startTime = this.audioManager.audioContext.currentTime;
+    this.tracks.clear();
+    this.lastNotes.clear();
+    this.audioManager.midiRecorder = this;
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Stop recording
+   * @returns {Promise<Blob|null>} The .mid file, or null if it wasn't recording
+   */
+  async stop() {
+    if (!this.isRecording) return null;
+    this.startedAt = null;
+    if (this.audioManager.midiRecorder === this) this.audioManager.midiRecorder = null;
+
+    const tracks = Array.from(this.tracks.values()).filter(track => track.events.length > 0);
+    return new Blob([MidiRecorder.encode(tracks, this.tempoBpm)], { type: 'audio/midi' });
+  }
+
+  getTrack(routeId) {
+    const key = String(routeId);
+    if (!this.tracks.has(key)) {
+      const channels = Array.from({ length: 16 }, (_, channel) => channel)
+        .filter(channel => channel !== MIDI_CONSTANTS.DRUM_CHANNEL);
+      this.tracks.set(key, {
+        name: this.getTrackName(routeId),
+        channel: channels[this.tracks.size % channels.length],
+        events: []
+      });
+    }
+    return this.tracks.get(key);
+  }
+
+  /**
+   * @param {number} time - Audio context time
+   * @returns {number} Seconds into the recording
+   */
+  toSeconds(time) {
+    return Math.max(0, time - this.startTime);
+  }
+
+  /**
+   * @param {string|number} routeId
+   * @param {number} note - MIDI note number
+   * @param {number} velocity - 1-127
+   * @param {number} time - Audio context time
+   * @param {number} duration - Seconds
+   */
+  addNote(routeId, note, velocity, time, duration) {
+    const track = this.getTrack(routeId);
+    const start = this.toSeconds(time);
+    const key = `${routeId}:${note}`;
+
+    // A repeat of a still-sounding note ends the earlier one
+    const previous = this.lastNotes.get(key);
+    if (previous && previous.end > start) previous.end = start;
+
+    const event = { type: 'note', note, velocity, start, end: start + duration };
+    track.events.push(event);
+    this.lastNotes.set(key, event);
+  }
+
+  /**
+   * @param {string|number} routeId
+   * @param {number} value - 0-127
+   * @param {number} time - Audio context time
+   */
+  addController(routeId, value, time) {
+    this.getTrack(routeId).events.push({
+      type: 'controller',
+      controller: MIDI_CONSTANTS.DELAY_CC,
+      value,
+      start: this.toSeconds(time)
+    });
+  }
+
+  /**
+   * Nearest MIDI note to a frequency
+   * @param {number} frequency - Hz
+   * @returns {number} 0-127 (69 is A4, 440 Hz)
+   */
+  static frequencyToNote(frequency) {
+    return Math.max(0, Math.min(127, Math.round(69 + 12 * Math.log2(frequency / 440))));
+  }
+
+  /**
+   * Velocity for a gain, with the loudest mapped route gain (AUDIO.MAPPING.TARGETS.gain.max) at 127
+   * @param {number} gainDb - Route gain
+   * @param {number} mixGain - Mixer gain (linear)
+   * @returns {number} 0-127, 0 when muted
+   */
+  static gainToVelocity(gainDb, mixGain) {
+    if (mixGain === 0) return 0;
+    const level = Math.pow(10, (gainDb - SHARED_CONSTANTS.AUDIO.MAPPING.TARGETS.gain.max) / 20) * mixGain;
+    return Math.max(1, Math.min(127, Math.round(level * 127)));
+  }
+
+  /**
+   * Controller value for a delay
+   * @param {number} delaySeconds
+   * @param {number} maxDelaySeconds - Delay that reaches 127 (AUDIO.ARRIVAL.MAX_DELAY_SECONDS)
+   * @returns {number} 0-127
+   */
+  static delayToController(delaySeconds, maxDelaySeconds) {
+    const normalized = delaySeconds / maxDelaySeconds;
+    return Math.round(Math.max(0, Math.min(1, normalized)) * 127);
+  }
+
+  /**
+   * Write a format 1 Standard MIDI File: a tempo track, then one track per route
+   * @param {Array<Object>} tracks - { name, channel, events } with event times in seconds
+   * @param {number} tempoBpm
+   * @returns {Uint8Array}
+   */
+  static encode(tracks, tempoBpm) {
+    const ticksPerSecond = MIDI_CONSTANTS.TICKS_PER_BEAT * tempoBpm / 60;
+    const toTicks = seconds => Math.round(seconds * ticksPerSecond);
+    const microsecondsPerBeat = Math.round(60000000 / tempoBpm);
+
+    const tempoTrack = MidiRecorder.encodeTrack([
+      { tick: 0, bytes: [0xff, 0x51, 0x03, (microsecondsPerBeat >> 16) & 0xff, (microsecondsPerBeat >> 8) & 0xff, microsecondsPerBeat & 0xff] },
+      { tick: 0, bytes: [0xff, 0x58, 0x04, 4, 2, 24, 8] } // 4/4
+    ]);
+
+    const routeTracks = tracks.map(track => {
+      const status = type => type | track.channel;
+      const messages = [{ tick: 0, bytes: MidiRecorder.metaText(0x03, track.name) }];
+      track.events.forEach(event => {
+        if (event.type === 'controller') {
+          messages.push({ tick: toTicks(event.start), bytes: [status(0xb0), event.controller, event.value] });
+          return;
+        }
+        const start = toTicks(event.start);
+        // Notes cut short by a repeat still last a tick
+        const end = Math.max(start + 1, toTicks(event.end));
+        messages.push({ tick: start, bytes: [status(0x90), event.note, event.velocity] });
+        messages.push({ tick: end, bytes: [status(0x80), event.note, 0], isNoteOff: true });
+      });
+      return MidiRecorder.encodeTrack(messages);
+    });
+
+    const header = [
+      ...MidiRecorder.ascii('MThd'), 0, 0, 0, 6,
+      0, 1, // format 1: simultaneous tracks
+      (routeTracks.length + 1) >> 8, (routeTracks.length + 1) & 0xff,
+      MIDI_CONSTANTS.TICKS_PER_BEAT >> 8, MIDI_CONSTANTS.TICKS_PER_BEAT & 0xff
+    ];
+    return Uint8Array.from([...header, ...tempoTrack, ...routeTracks.flat()]);
+  }
+
+  /**
+   * Sort messages into an MTrk chunk with delta times and an end-of-track
+   * @param {Array<Object>} messages - { tick, bytes, isNoteOff }
+   * @returns {Array<number>} Bytes
+   */
+  static encodeTrack(messages) {
+    // Stable sort; at the same tick a note ends before the next one starts
+    const sorted = messages
+      .map((message, index) => ({ ...message, index }))
+      .sort((a, b) => a.tick - b.tick || (b.isNoteOff ? 1 : 0) - (a.isNoteOff ? 1 : 0) || a.index - b.index);
+
+    const data = [];
+    let lastTick = 0;
+    sorted.forEach(message => {
+      data.push(...MidiRecorder.variableLength(message.tick - lastTick), ...message.bytes);
+      lastTick = message.tick;
+    });
+    data.push(0x00, 0xff, 0x2f, 0x00);
+
+    const length = data.length;
+    return [
+      ...MidiRecorder.ascii('MTrk'),
+      (length >>> 24) & 0xff, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff,
+      ...data
+    ];
+  }
+
+  /**
+   * MIDI variable-length quantity: 7 bits per byte, high bit set on all but the last
+   * @param {number} value - Non-negative integer
+   * @returns {Array<number>}
+   */
+  static variableLength(value) {
+    const bytes = [value & 0x7f];
+    for (let rest = value >>> 7; rest > 0; rest >>>= 7) {
+      bytes.unshift((rest & 0x7f) | 0x80);
+    }
+    return bytes;
+  }
+
+  static metaText(type, text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    return [0xff, type, ...MidiRecorder.variableLength(bytes.length), ...bytes];
+  }
+
+  static ascii(text) {
+    return Array.from(text, character => character.charCodeAt(0));
+  }
+}
+
+// Export for use in other modules
+window.MidiRecorder = MidiRecorder;
@@ -0,0 +1,117 @@
+// Musical scales for quantizing route pitches
+const SCALE_CONSTANTS = SHARED_CONSTANTS.AUDIO.SCALE;
+
+const KEY_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+class MusicalScale {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Display name
+   * @param {Array<number>|null} options.degrees - Cents above the key, starting at 0; null leaves pitches unquantized
+   * @param {number} [options.period] - Cents after which the degrees repeat (1200 for octave-repeating scales)
+   */
+  constructor({ name, degrees, period = 1200 }) {
+    this.name = name;
+    this.period = period;
+    this.degrees = degrees ? Array.from(new Set(degrees.map(cents => ((cents % period) + period) % period))).sort((a, b) => a - b) : null;
+  }
+
+  /**
+   * Build one of the scales in AUDIO.SCALE.PRESETS
+   * @param {string} id - Preset id, e.g. 'pentatonic'
+   * @returns {MusicalScale}
+   */
+  static fromPreset(id) {
+    const preset = SCALE_CONSTANTS.PRESETS[id];
+    if (!preset) throw new Error(`Unknown scale "${id}"`);
+
+    const degrees = preset.ratios ? preset.ratios.map(MusicalScale.ratioToCents) : preset.degrees;
+    return new MusicalScale({ name: preset.label, degrees });
+  }
+
+  /**
+   * Parse a Scala .scl file (https://www.huygens-fokker.org/scala/scl_format.html).
+   * Pitches with a period are cents, anything else is a ratio; the last pitch is the
+   * interval the scale repeats at and 1/1 is implied.
+   * @param {string} text - File contents
+   * @returns {MusicalScale}
+   */
+  static parseScala(text) {
+    const lines = text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+    if (lines.length < 2) throw new Error('missing description or note count');
+
+    const description = lines[0].trim();
+    const count = parseInt(lines[1].trim(), 10);
+    if (!Number.isInteger(count) || count < 1) throw new Error(`invalid note count "${lines[1].trim()}"`);
+
+    const pitches = lines.slice(2)
+      .map(line => line.trim().split(/\s+/)[0])
+      .filter(Boolean)
+      .slice(0, count)
+      .map(MusicalScale.parseScalaPitch);
+    if (pitches.length < count) throw new Error(`expected ${count} notes, found ${pitches.length}`);
+
+    const period = pitches[count - 1];
+    if (period <= 0) throw new Error('the last note must be above 1/1');
+
+    return new MusicalScale({
+      name: description || `${count}-note scale`,
+      degrees: [0, ...pitches.slice(0, -1)],
+      period
+    });
+  }
+
+  static parseScalaPitch(value) {
+    if (value.includes('.')) {
+      const cents = parseFloat(value);
+      if (!Number.isFinite(cents)) throw new Error(`invalid pitch "${value}"`);
+      return cents;
+    }
+
+    const match = value.match(/^(\d+)(?:\/(\d+))?$/);
+    if (!match || Number(match[1]) === 0 || match[2] === '0') throw new Error(`invalid pitch "${value}"`);
+    return MusicalScale.ratioToCents(Number(match[1]) / Number(match[2] || 1));
+  }
+
+  static ratioToCents(ratio) {
+    return 1200 * Math.log2(ratio);
+  }
+
+  /**
+   * Frequency of a key's tonic in the octave of A4
+   * @param {string} key - 'C' to 'B', sharps only
+   * @returns {number} Hz
+   */
+  static getKeyFrequency(key) {
+    const index = KEY_NAMES.indexOf(key);
+    if (index === -1) throw new Error(`Unknown key "${key}"`);
+    return SCALE_CONSTANTS.REFERENCE_A4_HZ * Math.pow(2, (index - 9) / 12);
+  }
+
+  /**
+   * Snap a frequency to the nearest degree of this scale
+   * @param {number} frequency - Hz
+   * @param {number} tonic - Frequency of the key's tonic (any octave, for octave-repeating scales)
+   * @returns {number} Hz
+   */
+  quantize(frequency, tonic) {
+    if (!this.degrees || !(frequency > 0)) return frequency;
+
+    const cents = MusicalScale.ratioToCents(frequency / tonic);
+    const cycle = Math.floor(cents / this.period);
+    const offset = cents - cycle * this.period;
+
+    // The next cycle's tonic is a candidate too, for offsets just below the period
+    let nearest = this.period;
+    this.degrees.forEach(degree => {
+      if (Math.abs(degree - offset) < Math.abs(nearest - offset)) nearest = degree;
+    });
+
+    return tonic * Math.pow(2, (cycle * this.period + nearest) / 1200);
+  }
+}
+
+MusicalScale.KEY_NAMES = KEY_NAMES;
+
+// Export for use in other modules
+window.MusicalScale = MusicalScale;
@@ -0,0 +1,194 @@
+// Named sonification presets, kept in localStorage and shared as JSON
+const PRESET_CONSTANTS = SHARED_CONSTANTS.PRESETS;
+
+/**
+ * Built-in presets plus the ones saved in this browser. A preset is
+ *
+ *   { format, version, name,
+ *     audio: { key, scale, reverbSpace, tempoBpm, tempoGrid, parameters },
+ *     mappings: [...],   // MappingMatrix mappings
+ *     theme }            // key of MAP.THEMES
+ *
+ * where `scale` is a key of AUDIO.SCALE.PRESETS or { name, degrees, period }
+ * and `parameters` overrides numbers in the AUDIO groups of PRESETS.PARAMETER_GROUPS,
+ * within PRESETS.PARAMETER_RANGES (see RoutePulseAudioManager.setParameters).
+ * Presets only need the fields that differ from the defaults.
+ */
+class PresetStore {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.saved = new Map(); // name -> preset saved in this browser
+    this.load();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(this.storage.getItem(PRESET_CONSTANTS.STORAGE_KEY) || '[]');
+      stored.forEach(preset => {
+        try {
+          const validated = PresetStore.validate(preset);
+          this.saved.set(validated.name, validated);
+        } catch (error) {
+          console.warn(`Skipping saved preset "${preset && preset.name}":`, error);
+        }
+      });
+    } catch (error) {
+      console.warn('Failed to read saved presets:', error);
+    }
+  }
+
+  persist() {
+    try {
+      this.storage.setItem(PRESET_CONSTANTS.STORAGE_KEY, JSON.stringify(Array.from(this.saved.values())));
+    } catch (error) {
+      // Private browsing or a full quota: presets last until the page is closed
+      console.warn('Failed to store presets:', error);
+    }
+  }
+
+  /**
+   * @returns {Array<{name: string, builtIn: boolean}>} Built-in presets first, then saved ones by name
+   */
+  list() {
+    const builtIn = Object.keys(PRESET_CONSTANTS.BUILT_IN).map(name => ({ name, builtIn: true }));
+    const saved = Array.from(this.saved.keys()).sort().map(name => ({ name, builtIn: false }));
+    return [...builtIn, ...saved];
+  }
+
+  isBuiltIn(name) {
+    return Object.prototype.hasOwnProperty.call(PRESET_CONSTANTS.BUILT_IN, name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Object|null} Complete preset
+   */
+  get(name) {
+    if (this.isBuiltIn(name)) {
+      return PresetStore.validate({ ...PRESET_CONSTANTS.BUILT_IN[name], name });
+    }
+    return this.saved.has(name) ? JSON.parse(JSON.stringify(this.saved.get(name))) : null;
+  }
+
+  /**
+   * Save a preset under its name, replacing any saved preset with that name
+   * @param {Object} preset
+   * @returns {Object} The complete preset as saved
+   */
+  save(preset) {
+    const validated = PresetStore.validate(preset);
+    if (this.isBuiltIn(validated.name)) {
+      throw new Error(`"${validated.name}" is a built-in preset, choose another name`);
+    }
+    this.saved.set(validated.name, validated);
+    this.persist();
+    return validated;
+  }
+
+  delete(name) {
+    if (this.saved.delete(name)) this.persist();
+  }
+
+  /**
+   * Find a preset for the ?preset= URL parameter: a built-in or saved preset
+   * name, otherwise the URL of a preset JSON file
+   * @param {string} value
+   * @returns {Promise<Object>} Complete preset
+   */
+  async resolve(value) {
+    const preset = this.get(value);
+    if (preset) return preset;
+
+    const response = await fetch(value);
+    if (!response.ok) throw new Error(`HTTP ${response.status} fetching ${value}`);
+    return PresetStore.parse(await response.text());
+  }
+
+  static stringify(preset) {
+    return JSON.stringify(PresetStore.validate(preset), null, 2);
+  }
+
+  /**
+   * Read an exported preset file
+   * @param {string} text - JSON
+   * @returns {Object} Complete preset
+   */
+  static parse(text) {
+    let preset;
+    try {
+      preset = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`not valid JSON (${error.message})`);
+    }
+    return PresetStore.validate(preset);
+  }
+
+  /**
+   * Check a preset and fill in everything it leaves out with the defaults
+   * @param {Object} preset
+   * @returns {Object} A new, complete preset
+   */
+  static validate(preset) {
+    if (!preset || typeof preset !== 'object') throw new Error('preset must be an object');
+    if (preset.format !== undefined && preset.format !== PRESET_CONSTANTS.FORMAT) {
+      throw new Error(`not a preset file (format "${preset.format}")`);
+    }
+    if (preset.version > PRESET_CONSTANTS.VERSION) {
+      throw new Error(`preset version ${preset.version} is newer than this app supports`);
+    }
+
+    const name = typeof preset.name === 'string' ? preset.name.trim() : '';
+    if (!name) throw new Error('preset needs a name');
+
+    const audio = { ...PresetStore.getDefaultAudio(), ...(preset.audio || {}) };
+    if (!MusicalScale.KEY_NAMES.includes(audio.key)) throw new Error(`unknown key "${audio.key}"`);
+    audio.scale = PresetStore.validateScale(audio.scale);
+    if (typeof audio.reverbSpace !== 'string' || !audio.reverbSpace) throw new Error('reverbSpace must be a name');
+    if (!Number.isFinite(audio.tempoBpm)) throw new Error('tempoBpm must be a number');
+    audio.tempoGrid = !!audio.tempoGrid;
+    RoutePulseAudioManager.validateParameters(audio.parameters);
+
+    const mappings = preset.mappings !== undefined ? preset.mappings : SHARED_CONSTANTS.AUDIO.MAPPING.DEFAULTS;
+    if (!Array.isArray(mappings)) throw new Error('mappings must be a list');
+
+    const theme = preset.theme !== undefined ? preset.theme : SHARED_CONSTANTS.MAP.DEFAULT_THEME;
+    if (!SHARED_CONSTANTS.MAP.THEMES[theme]) throw new Error(`unknown theme "${theme}"`);
+
+    return JSON.parse(JSON.stringify({
+      format: PRESET_CONSTANTS.FORMAT,
+      version: PRESET_CONSTANTS.VERSION,
+      name,
+      audio,
+      mappings: mappings.map(MappingMatrix.validate),
+      theme
+    }));
+  }
+
+  static validateScale(scale) {
+    if (typeof scale === 'string') {
+      if (!SHARED_CONSTANTS.AUDIO.SCALE.PRESETS[scale]) throw new Error(`unknown scale "${scale}"`);
+      return scale;
+    }
+
+    if (!scale || !Array.isArray(scale.degrees) || !scale.degrees.every(Number.isFinite)) {
+      throw new Error('scale must be a scale name or { name, degrees, period }');
+    }
+    const period = scale.period !== undefined ? scale.period : 1200;
+    if (!(period > 0)) throw new Error('scale period must be above 0');
+    return { name: String(scale.name || 'Custom scale'), degrees: scale.degrees, period };
+  }
+
+  static getDefaultAudio() {
+    return {
+      key: SHARED_CONSTANTS.AUDIO.SCALE.DEFAULT_KEY,
+      scale: SHARED_CONSTANTS.AUDIO.SCALE.DEFAULT_SCALE,
+      reverbSpace: SHARED_CONSTANTS.AUDIO.EFFECTS.REVERB_DEFAULT_SPACE,
+      tempoBpm: SHARED_CONSTANTS.AUDIO.SCHEDULER.TEMPO_DEFAULT_BPM,
+      tempoGrid: false,
+      parameters: {}
+    };
+  }
+}
+
+// Export for use in other modules
+window.PresetStore = PresetStore;
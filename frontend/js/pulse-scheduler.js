@@ -0,0 +1,190 @@
+// Lookahead scheduler for route pulses
+const SCHEDULER_CONSTANTS = SHARED_CONSTANTS.AUDIO.SCHEDULER;
+
+/**
+ * Schedules repeating pulses against audioContext.currentTime instead of timers.
+ *
+ * A single timer wakes every LOOKAHEAD_MS and hands each voice the exact audio
+ * times of the pulses due before the schedule-ahead horizon, so timer jitter
+ * never reaches the audio. Background tabs get their timers throttled to about
+ * once a second, so the horizon grows while the page is hidden.
+ *
+ * Voices can optionally lock to a shared tempo grid: rates snap to the nearest
+ * power-of-two subdivision (or multiple) of the beat and pulses land on it.
+ */
+class PulseScheduler {
+  constructor(audioContext, options = {}) {
+    this.audioContext = audioContext;
+    this.voices = new Map(); // id -> { callback, rate, nextTime, lastTime, hold }
+    this.timer = null;
+
+    this.tempoBpm = options.tempoBpm || SCHEDULER_CONSTANTS.TEMPO_DEFAULT_BPM;
+    this.gridEnabled = !!options.gridEnabled;
+    this.gridOrigin = audioContext.currentTime; // Audio time of beat zero
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), SCHEDULER_CONSTANTS.LOOKAHEAD_MS);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.voices.clear();
+  }
+
+  getScheduleAhead() {
+    return typeof document !== 'undefined' && document.hidden
+      ? SCHEDULER_CONSTANTS.BACKGROUND_SCHEDULE_AHEAD_SECONDS
+      : SCHEDULER_CONSTANTS.SCHEDULE_AHEAD_SECONDS;
+  }
+
+  /**
+   * Start pulsing a voice; the first pulse comes one period from now (or on the grid)
+   * @param {string} id - Voice id (route id)
+   * @param {number} rate - Pulses per second
+   * @param {Function} callback - Called with the audio time of each pulse
+   */
+  add(id, rate, callback) {
+    const now = this.audioContext.currentTime;
+    const voice = { callback, rate, nextTime: 0, lastTime: now, hold: null };
+    voice.nextTime = this.getNextPulseTime(voice, now);
+    this.voices.set(id, voice);
+  }
+
+  has(id) {
+    return this.voices.has(id);
+  }
+
+  remove(id) {
+    this.voices.delete(id);
+  }
+
+  /**
+   * Change a voice's rate, keeping its phase: the part of the current period
+   * already played is kept and the rest stretches or shrinks to the new rate
+   * @param {string} id - Voice id
+   * @param {number} rate - Pulses per second
+   */
+  setRate(id, rate) {
+    const voice = this.voices.get(id);
+    if (!voice || voice.rate === rate) return;
+
+    const previousRate = this.getEffectiveRate(voice, voice.lastTime);
+    voice.rate = rate;
+    this.rephase(voice, previousRate);
+  }
+
+  /**
+   * Run a voice at another rate for a while, then return to its own rate
+   * @param {string} id - Voice id
+   * @param {number} rate - Pulses per second while held
+   * @param {number} seconds - How long to hold it
+   */
+  holdRate(id, rate, seconds) {
+    const voice = this.voices.get(id);
+    if (!voice) return;
+
+    const previousRate = this.getEffectiveRate(voice, voice.lastTime);
+    voice.hold = { rate, until: this.audioContext.currentTime + seconds };
+    this.rephase(voice, previousRate);
+  }
+
+  rephase(voice, previousRate) {
+    const now = Math.max(this.audioContext.currentTime, voice.lastTime);
+    const rate = this.getEffectiveRate(voice, now);
+
+    if (this.gridEnabled) {
+      voice.nextTime = this.getNextPulseTime(voice, voice.lastTime);
+      return;
+    }
+
+    const remaining = Math.min(1, Math.max(0, (voice.nextTime - now) * previousRate));
+    voice.nextTime = now + remaining / rate;
+  }
+
+  getEffectiveRate(voice, time) {
+    if (voice.hold && time < voice.hold.until) return voice.hold.rate;
+    return voice.rate;
+  }
+
+  setTempo(bpm) {
+    this.tempoBpm = Math.max(SCHEDULER_CONSTANTS.TEMPO_MIN_BPM, Math.min(SCHEDULER_CONSTANTS.TEMPO_MAX_BPM, bpm));
+    if (this.gridEnabled) this.realign();
+  }
+
+  setGridEnabled(enabled) {
+    this.gridEnabled = !!enabled;
+    this.realign();
+  }
+
+  realign() {
+    this.voices.forEach(voice => {
+      voice.nextTime = this.getNextPulseTime(voice, Math.max(this.audioContext.currentTime, voice.lastTime));
+    });
+  }
+
+  /**
+   * Snap a rate to the tempo grid: the beat times or divided by a power of two
+   * @param {number} rate - Pulses per second
+   * @returns {number} Pulses per second
+   */
+  snapRateToGrid(rate) {
+    const beatHz = this.tempoBpm / 60;
+    return beatHz * Math.pow(2, Math.round(Math.log2(rate / beatHz)));
+  }
+
+  /**
+   * When a voice pulses next after a given time
+   * @param {Object} voice
+   * @param {number} time - Audio time of the previous pulse (or now)
+   * @returns {number} Audio time
+   */
+  getNextPulseTime(voice, time) {
+    const hold = voice.hold && time < voice.hold.until ? voice.hold : null;
+    const rate = hold ? hold.rate : voice.rate;
+    const next = this.gridEnabled ? this.getNextGridTime(rate, time) : time + 1 / rate;
+    if (!hold || next <= hold.until) return next;
+
+    // The hold ends before that pulse: carry on at the voice's own rate from there
+    if (this.gridEnabled) return this.getNextGridTime(voice.rate, hold.until);
+    return hold.until + (1 - (hold.until - time) * hold.rate) / voice.rate;
+  }
+
+  getNextGridTime(rate, time) {
+    const period = 1 / this.snapRateToGrid(rate);
+    const steps = Math.floor((time - this.gridOrigin) / period + 1e-6) + 1;
+    return this.gridOrigin + steps * period;
+  }
+
+  tick() {
+    const now = this.audioContext.currentTime;
+    const horizon = now + this.getScheduleAhead();
+
+    this.voices.forEach(voice => {
+      // Pulses missed while the timer was stalled are dropped, not played in a burst
+      if (voice.nextTime < now) {
+        voice.nextTime = this.getNextPulseTime(voice, now);
+      }
+
+      while (voice.nextTime < horizon) {
+        const time = voice.nextTime;
+        voice.lastTime = time;
+        voice.nextTime = this.getNextPulseTime(voice, time);
+        if (voice.hold && time >= voice.hold.until) voice.hold = null;
+
+        try {
+          voice.callback(time);
+        } catch (error) {
+          console.warn('Error in scheduled pulse:', error);
+        }
+      }
+    });
+  }
+}
+
+// Export for use in other modules
+window.PulseScheduler = PulseScheduler;
@@ -1,28 +1,48 @@
 // Use shared audio constants
 const AUDIO_CONSTANTS = SHARED_CONSTANTS.AUDIO;
 
+// The groups presets can override, as shipped; preset values are merged over a copy
+const DEFAULT_AUDIO_PARAMETERS = JSON.parse(JSON.stringify(
+  Object.fromEntries(SHARED_CONSTANTS.PRESETS.PARAMETER_GROUPS.map(group => [group, AUDIO_CONSTANTS[group]]))
+));
+
 class RoutePulseAudioManager {
   constructor(bounds) {
     this.bounds = bounds; // [[minLat, maxLat], [minLon, maxLon]]
     this.routes = new Map(); // routeId -> route audio data
+    this.alertedRoutes = new Set(); // route IDs (as strings) with an active service alert
+    this.routeMix = new Map(); // route ID (as string) -> { muted, soloed, gainDb, pan } set in the mixer
+    this.mappings = new MappingMatrix(); // which route data drives which sound parameter
+    this.parameters = {}; // preset overrides of the AUDIO constants, e.g. { ENVELOPE: { ATTACK: 0.1 } }
+    this.settings = DEFAULT_AUDIO_PARAMETERS; // the overridable AUDIO groups with `parameters` merged over them
     this.isStarted = false;
-    this.masterVolume = AUDIO_CONSTANTS.VOLUME.MASTER_DEFAULT;
+    this.masterVolume = this.settings.VOLUME.MASTER_DEFAULT;
 
     // Web Audio API context and global nodes
     this.audioContext = null;
     this.masterGain = null;
     this.limiter = null;
     this.reverb = null;
+    this.reverbSpace = this.settings.EFFECTS.REVERB_DEFAULT_SPACE; // Generated space or loaded IR name
+    this.impulseResponses = new Map(); // loaded IR name -> encoded file (decoded again for each audio context)
 
     // Performance optimizations
     this.noiseBuffers = []; // Pre-generated noise buffers
-    this.bitcrusherWaveShaper = null; // Reusable bitcrusher
+    this.effectsReady = false; // Effects worklet (bitcrusher, saturation, comb filter, WAV recorder tap) loaded
     this.parameterUpdateQueue = []; // Batch parameter updates
+    this.scheduler = null; // Lookahead scheduler for every route's pulses
+    this.midiRecorder = null; // MidiRecorder capturing triggers, while one is recording
+
+    // Optional shared tempo grid for pulses
+    this.tempoBpm = AUDIO_CONSTANTS.SCHEDULER.TEMPO_DEFAULT_BPM;
+    this.tempoGridEnabled = false;
 
     // Route audio parameters
-    this.baseFreqRange = [AUDIO_CONSTANTS.FREQUENCY.BASE_MIN_HZ, AUDIO_CONSTANTS.FREQUENCY.BASE_MAX_HZ];
-    this.pulseRateRange = [AUDIO_CONSTANTS.PULSE.RATE_MIN_HZ, AUDIO_CONSTANTS.PULSE.RATE_MAX_HZ];
-    this.maxBusesPerRoute = AUDIO_CONSTANTS.PULSE.MAX_BUSES_PER_ROUTE;
+    this.baseFreqRange = [this.settings.FREQUENCY.BASE_MIN_HZ, this.settings.FREQUENCY.BASE_MAX_HZ];
+
+    // Pitches snap to this key and scale
+    this.key = AUDIO_CONSTANTS.SCALE.DEFAULT_KEY;
+    this.scale = MusicalScale.fromPreset(AUDIO_CONSTANTS.SCALE.DEFAULT_SCALE);
 
     // Advanced gain scaling
     this.totalBusCount = 0;
@@ -50,28 +70,43 @@ class RoutePulseAudioManager {
 
       // Create limiter (using DynamicsCompressor)
       this.limiter = this.audioContext.createDynamicsCompressor();
-      this.limiter.threshold.value = this.dbToLinear(AUDIO_CONSTANTS.VOLUME.LIMITER_THRESHOLD_DB);
+      this.limiter.threshold.value = this.dbToLinear(this.settings.VOLUME.LIMITER_THRESHOLD_DB);
       this.limiter.knee.value = 0;
       this.limiter.ratio.value = 20;
       this.limiter.attack.value = 0.003;
       this.limiter.release.value = 0.01;
       this.limiter.connect(this.masterGain);
 
-      // Create simplified reverb
-      this.reverb = this.createSimpleReverb();
+      // Create convolution reverb
+      this.reverb = new ConvolutionReverb(this.audioContext, this.settings.EFFECTS);
       this.reverb.connect(this.limiter);
+      try {
+        await this.applyReverbSpace();
+      } catch (error) {
+        console.warn(`Failed to load reverb space "${this.reverbSpace}", using the default:`, error);
+        this.reverbSpace = this.settings.EFFECTS.REVERB_DEFAULT_SPACE;
+        this.reverb.setSpace(this.reverbSpace);
+      }
 
       // Pre-generate noise buffers for performance
       this.generateNoiseBuffers();
 
-      // Create bitcrusher waveshaper
-      this.createBitcrusherWaveShaper();
+      // Load the effects worklet; without it blasts play clean
+      await this.loadEffectsWorklet();
 
       // Initialize buffer source pool
 
       // Start parameter update batching
       this.startParameterUpdateBatching();
 
+      // Restarting audio gets a new context, so the scheduler follows it
+      if (this.scheduler) this.scheduler.stop();
+      this.scheduler = new PulseScheduler(this.audioContext, {
+        tempoBpm: this.tempoBpm,
+        gridEnabled: this.tempoGridEnabled
+      });
+      this.scheduler.start();
+
 
       this.isStarted = true;
       return true;
@@ -84,7 +119,7 @@ class RoutePulseAudioManager {
   generateNoiseBuffers() {
     const sampleRate = this.audioContext.sampleRate;
     // Use maximum duration for buffer generation to ensure we have enough samples
-    const bufferLength = Math.floor(sampleRate * AUDIO_CONSTANTS.ARRIVAL.NOISE_DURATION_MAX);
+    const bufferLength = Math.floor(sampleRate * this.settings.ARRIVAL.NOISE_DURATION_MAX);
 
     // Safety check for buffer size
     const maxBufferSize = sampleRate * 2; // Max 2 seconds
@@ -104,78 +139,67 @@ class RoutePulseAudioManager {
     }
   }
 
-  createSimpleReverb() {
-    // Simple delay-based reverb instead of convolver for better performance
-    const reverbGain = this.audioContext.createGain();
-    const wetGain = this.audioContext.createGain();
-    const dryGain = this.audioContext.createGain();
-    const merger = this.audioContext.createGain();
-
-    // Create multiple delays for reverb effect
-    const delays = [];
-    const delayTimes = [0.05, 0.1, 0.15, 0.2]; // Different delay times
-    const decayGains = [0.3, 0.2, 0.15, 0.1]; // Decreasing gains
-
-    delayTimes.forEach((time, index) => {
-      const delay = this.audioContext.createDelay(1.0);
-      const feedback = this.audioContext.createGain();
-
-      delay.delayTime.value = time;
-      feedback.gain.value = decayGains[index];
-
-      reverbGain.connect(delay);
-      delay.connect(feedback);
-      feedback.connect(delay); // Feedback loop
-      delay.connect(wetGain);
-
-      delays.push({ delay, feedback });
-    });
-
-    // Set up wet/dry mix
-    wetGain.gain.value = AUDIO_CONSTANTS.EFFECTS.REVERB_WET;
-    dryGain.gain.value = 1 - AUDIO_CONSTANTS.EFFECTS.REVERB_WET;
-
-    reverbGain.connect(dryGain);
-    dryGain.connect(merger);
-    wetGain.connect(merger);
-
-    // Return the input node for connection
-    merger.reverbInput = reverbGain;
-    merger.delays = delays; // Store for cleanup
-    return merger;
+  /**
+   * Switch the reverb to a generated space or a loaded impulse response, crossfading
+   * @param {string} space - Key of AUDIO.EFFECTS.REVERB_SPACES, or a name passed to addImpulseResponse
+   */
+  async setReverbSpace(space) {
+    if (!this.impulseResponses.has(space) && !this.settings.EFFECTS.REVERB_SPACES[space]) {
+      throw new Error(`Unknown reverb space "${space}"`);
+    }
+    this.reverbSpace = space;
+    await this.applyReverbSpace();
   }
 
-  createBitcrusherWaveShaper() {
-    // Create waveshaper for efficient bitcrushing
-    this.bitcrusherWaveShaper = this.audioContext.createWaveShaper();
-    this.bitcrusherWaveShaper.oversample = 'none'; // Better performance
+  async applyReverbSpace() {
+    if (!this.reverb) return;
 
-    // Generate curve for bitcrushing effect
-    this.updateBitcrusherCurve(0.5); // Default intensity
+    const data = this.impulseResponses.get(this.reverbSpace);
+    if (!data) {
+      this.reverb.setSpace(this.reverbSpace);
+      return;
+    }
+    // decodeAudioData detaches its input, so keep the original for the next context
+    this.reverb.setImpulseResponse(await ConvolutionReverb.decodeImpulseResponse(this.audioContext, data.slice(0)));
   }
 
-  updateBitcrusherCurve(intensity) {
-    const samples = 65536;
-    const curve = new Float32Array(samples);
-    const bitReduction = Math.floor(intensity * 12) + 4; // 4-16 bits
-    const sampleReduction = Math.pow(2, Math.floor(intensity * 8)); // Sample rate reduction
-
-    for (let i = 0; i < samples; i++) {
-      const x = (i - samples / 2) / (samples / 2);
-
-      // Apply bit reduction
-      const bits = Math.pow(2, bitReduction - 1);
-      let crushed = Math.round(x * bits) / bits;
+  /**
+   * Make an impulse response file available as a reverb space
+   * @param {string} name - Space name
+   * @param {ArrayBuffer} data - Encoded audio (e.g. a WAV file)
+   */
+  async addImpulseResponse(name, data) {
+    if (this.audioContext) {
+      // Decode now so a bad file fails here rather than when it's selected
+      await ConvolutionReverb.decodeImpulseResponse(this.audioContext, data.slice(0));
+    }
+    this.impulseResponses.set(name, data);
+  }
 
-      // Apply sample rate reduction (creates aliasing)
-      if (i % sampleReduction !== 0) {
-        crushed = curve[i - (i % sampleReduction)] || 0;
-      }
+  async loadEffectsWorklet() {
+    this.effectsReady = false;
+    if (!this.audioContext.audioWorklet) {
+      console.warn('AudioWorklet unavailable (needs a secure context), arrival effects and WAV recording disabled');
+      return;
+    }
 
-      curve[i] = Math.max(-1, Math.min(1, crushed));
+    try {
+      await this.audioContext.audioWorklet.addModule('js/effects-worklet.js');
+      this.effectsReady = true;
+    } catch (error) {
+      console.warn('Failed to load effects worklet, arrival effects and WAV recording disabled:', error);
     }
+  }
 
-    this.bitcrusherWaveShaper.curve = curve;
+  /**
+   * Create an effect from the worklet with its own parameters
+   * @param {string} name - 'bitcrusher' | 'saturation' | 'comb-filter'
+   * @param {Object} parameters - Initial AudioParam values, e.g. { bitDepth: 6, reduction: 4 }
+   * @returns {AudioWorkletNode}
+   */
+  createEffect(name, parameters = {}) {
+    // Stereo out even once the input is gone, so the comb's tail keeps its pan
+    return new AudioWorkletNode(this.audioContext, name, { parameterData: parameters, outputChannelCount: [2] });
   }
 
 
@@ -225,11 +249,28 @@ class RoutePulseAudioManager {
 
     this.parameterUpdateQueue.length = 0;
   }
-  createRouteAudio(routeId) {
+  getVoiceForVehicleType(vehicleType) {
+    return AUDIO_CONSTANTS.VOICES.BY_VEHICLE_TYPE[vehicleType] || 'pulse';
+  }
+
+  /**
+   * Voice settings for a voice name ('pulse' has none: it uses ENVELOPE)
+   * @param {string} voice - 'pulse' | 'fm' | 'bell' | 'pluck'
+   * @returns {Object|null} AUDIO.VOICES entry
+   */
+  getVoiceSettings(voice) {
+    return AUDIO_CONSTANTS.VOICES[voice.toUpperCase()] || null;
+  }
+
+  createRouteAudio(routeId, vehicleType = 'bus') {
     if (!this.isStarted || this.routes.has(routeId)) return;
 
     try {
       const baseFreq = this.getRouteBaseFrequency(routeId);
+      const neutral = this.mappings.evaluate({});
+      const voice = this.getVoiceForVehicleType(vehicleType);
+      const voiceSettings = this.getVoiceSettings(voice);
+      const freqRatio = voiceSettings ? voiceSettings.FREQ_RATIO : 1;
 
       // Create continuous synthesis chain for better performance
       const oscillator = this.audioContext.createOscillator();
@@ -239,58 +280,123 @@ class RoutePulseAudioManager {
       const panner = this.audioContext.createStereoPanner();
 
       // Configure oscillator - continuous instead of one-shot
-      oscillator.type = 'sine';
-      oscillator.frequency.value = baseFreq;
+      oscillator.type = voice === 'pluck' ? 'sawtooth' : 'sine';
+      oscillator.frequency.value = baseFreq * freqRatio;
       oscillator.start(); // Start immediately and keep running
 
+      // FM voices (trains, ferries): a modulator drives the oscillator's frequency
+      let modulator = null;
+      let modGain = null;
+      if (voice === 'fm' || voice === 'bell') {
+        modulator = this.audioContext.createOscillator();
+        modGain = this.audioContext.createGain();
+        modulator.frequency.value = baseFreq * freqRatio * voiceSettings.MOD_RATIO;
+        // The bell's modulation index is enveloped per strike; the drone's is constant
+        modGain.gain.value = voice === 'fm' ? voiceSettings.MOD_INDEX * modulator.frequency.value : 0;
+        modulator.connect(modGain);
+        modGain.connect(oscillator.frequency);
+        modulator.start();
+      }
+
+      // Plucked voice (cable cars): its own lowpass closes after each strike
+      let toneFilter = null;
+      if (voice === 'pluck') {
+        toneFilter = this.audioContext.createBiquadFilter();
+        toneFilter.type = 'lowpass';
+        toneFilter.frequency.value = baseFreq * voiceSettings.FILTER_END_RATIO;
+      }
+
       // Configure pulse gain (for amplitude modulation)
       pulseGain.gain.value = 0; // Start silent
 
       // Configure filter
       filter.type = 'lowpass';
-      filter.frequency.value = baseFreq * 4;
+      filter.frequency.value = baseFreq * neutral.filter;
       filter.Q.value = 1;
 
       // Configure volume (convert dB to linear)
-      volume.gain.value = this.dbToLinear(AUDIO_CONSTANTS.VOLUME.ROUTE_MIN_DB);
+      volume.gain.value = this.dbToLinear(neutral.gain);
 
       // Configure panner
       panner.pan.value = 0;
 
+      // Mixer mute, solo and trim
+      const mixGain = this.audioContext.createGain();
+      mixGain.gain.value = this.getRouteMixGain(routeId);
+
       // Connect continuous synthesis chain
-      oscillator.connect(pulseGain);
+      if (toneFilter) {
+        oscillator.connect(toneFilter);
+        toneFilter.connect(pulseGain);
+      } else {
+        oscillator.connect(pulseGain);
+      }
       pulseGain.connect(volume);
       volume.connect(panner);
-      panner.connect(filter);
-      filter.connect(this.reverb.reverbInput);
+      panner.connect(mixGain);
+      mixGain.connect(filter);
+      filter.connect(this.reverb.input);
+
+      // Extra signal into the reverb's convolver only, on top of its fixed wet/dry mix
+      const reverbSend = this.audioContext.createGain();
+      reverbSend.gain.value = neutral.reverbSend;
+      filter.connect(reverbSend);
+      reverbSend.connect(this.reverb.send);
 
       // Store route audio components
       this.routes.set(routeId, {
+        routeId,
         oscillator,
+        modulator,
+        modGain,
+        toneFilter,
         pulseGain,
         volume,
         filter,
         panner,
+        mixGain,
+        reverbSend,
+        vehicleType,
+        voice,
+        freqRatio,
         baseFreq,
         busCount: 0,
         isPlaying: false,
         lastUpdate: Date.now(),
-        pulseInterval: null,
         currentFreq: baseFreq,
+        sources: {}, // latest mapping source values
+        pitchMod: neutral.pitch,
+        filterRatio: neutral.filter,
+        envelopeScale: neutral.envelope,
+        gainDb: neutral.gain,
+        pulseRate: neutral.rate,
+        autoPan: neutral.pan,
         // Performance tracking
-        lastPulseTime: 0
+        lastPulseTime: 0,
+        alertDrone: null
       });
 
+      if (this.alertedRoutes.has(String(routeId))) {
+        this.startAlertDrone(this.routes.get(routeId));
+      }
+
     } catch (error) {
       console.error(`Failed to create route audio ${routeId}:`, error);
     }
   }
 
-  updateRoute(routeId, buses) {
+  /**
+   * Update a route's voice from its current vehicles
+   * @param {string} routeId
+   * @param {Array<Object>} buses - Lagged vehicles: { id, position: { latitude, longitude, bearing, speed }, occupancy }
+   * @param {string} vehicleType - 'bus' | 'train' | 'ferry' | 'cable_car'
+   * @param {Object} [extras] - Route data that doesn't come from the vehicles: { meanDelay }
+   */
+  updateRoute(routeId, buses, vehicleType = 'bus', extras = {}) {
     if (!this.isStarted) return;
 
     if (!this.routes.has(routeId)) {
-      this.createRouteAudio(routeId);
+      this.createRouteAudio(routeId, vehicleType);
     }
 
     const route = this.routes.get(routeId);
@@ -304,98 +410,240 @@ class RoutePulseAudioManager {
       if (busCount === 0) {
         // Stop route if no buses
         if (route.isPlaying) {
-          if (route.pulseInterval) {
-            clearInterval(route.pulseInterval);
-            route.pulseInterval = null;
-          }
-          // Fade out instead of immediate stop
+          this.scheduler.remove(routeId);
+          // Fade out instead of immediate stop, dropping pulses already scheduled
           const now = this.audioContext.currentTime;
+          route.pulseGain.gain.cancelScheduledValues(now);
+          route.pulseGain.gain.setValueAtTime(Math.max(route.pulseGain.gain.value, 0.001), now);
           route.pulseGain.gain.exponentialRampToValueAtTime(0.001, now + 0.1);
           route.isPlaying = false;
         }
         return;
       }
 
-      // Calculate route orientation for panning (topology-based)
-      const routeOrientation = this.calculateRouteOrientation(buses);
-      const pan = this.mapRange(
-        routeOrientation.angle,
-        [-Math.PI, Math.PI],
-        [-AUDIO_CONSTANTS.EFFECTS.PAN_RANGE, AUDIO_CONSTANTS.EFFECTS.PAN_RANGE]
-      );
+      route.sources = this.getRouteSources(buses, extras);
+      this.applyRouteMapping(routeId, route);
 
-      // Calculate route geographic spread for pitch modulation (topology-based)
-      const routeSpread = this.calculateRouteSpread(buses);
-      const maxExpectedSpread = 0.05; // ~5km spread in degrees (Wellington context)
-      const pitchMod = this.mapRange(
-        routeSpread,
-        [0, maxExpectedSpread],
-        [-AUDIO_CONSTANTS.FREQUENCY.PITCH_MODULATION_RANGE, AUDIO_CONSTANTS.FREQUENCY.PITCH_MODULATION_RANGE]
-      );
-      const frequency = route.baseFreq * (1 + pitchMod);
+      // Update total bus count and recalculate master gain
+      this.updateTotalBusCount();
 
-      // Map bus count to pulse rate
-      const pulseRate = this.mapRange(
-        Math.min(busCount, this.maxBusesPerRoute),
-        [1, this.maxBusesPerRoute],
-        this.pulseRateRange
-      );
+      // Start playing if not already (applyRouteMapping changes the rate of a playing route)
+      if (!route.isPlaying) {
+        this.scheduler.add(routeId, route.pulseRate, time => this.triggerPulse(route, time));
+        route.isPlaying = true;
+      }
 
-      // Logarithmic route volume scaling (prevents single buses being drowned out)
-      const routeVolumeDb = this.calculateRouteVolumeDb(busCount);
+    } catch (error) {
+      console.error(`Failed to update route ${routeId}:`, error);
+    }
+  }
 
-      // Update total bus count and recalculate master gain
-      this.updateTotalBusCount();
+  /**
+   * Measure everything a mapping can read from a route's vehicles
+   * @param {Array<Object>} buses - Lagged vehicles (at least one)
+   * @param {Object} extras - { meanDelay }
+   * @returns {Object} Source name -> value, or null where there's no data
+   */
+  getRouteSources(buses, extras) {
+    const speeds = buses.map(bus => bus.position.speed).filter(Number.isFinite);
+    const occupancies = buses.map(bus => bus.occupancy).filter(Number.isFinite);
+    const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
 
-      // Update audio parameters efficiently
-      route.currentFreq = frequency;
+    return {
+      busCount: buses.length,
+      averageSpeed: mean(speeds),
+      meanDelay: Number.isFinite(extras.meanDelay) ? extras.meanDelay : null,
+      spread: this.calculateRouteSpread(buses),
+      bearing: this.calculateMeanBearing(buses),
+      orientation: this.calculateRouteOrientation(buses).angle * 180 / Math.PI,
+      occupancy: mean(occupancies)
+    };
+  }
 
-      const now = this.audioContext.currentTime;
+  /**
+   * Run a route's latest source values through the mapping matrix and queue
+   * the resulting parameter changes
+   * @param {string} routeId
+   * @param {Object} route - Route audio data
+   */
+  applyRouteMapping(routeId, route) {
+    const values = this.mappings.evaluate(route.sources);
+    const now = this.audioContext.currentTime;
+
+    const pitchRange = this.settings.FREQUENCY.PITCH_MODULATION_RANGE;
+    route.pitchMod = Math.max(-pitchRange, Math.min(pitchRange, values.pitch));
+    route.filterRatio = values.filter;
+    route.envelopeScale = values.envelope;
+    route.gainDb = values.gain;
+    route.autoPan = values.pan;
+    route.pulseRate = Math.max(this.settings.PULSE.RATE_MIN_HZ, Math.min(this.settings.PULSE.RATE_MAX_HZ, values.rate));
+
+    // Queue batched parameter updates for better performance
+    this.setRouteFrequency(route, this.getRouteFrequency(route), now + 0.5);
+    this.queueParameterUpdate(route.volume.gain, this.dbToLinear(values.gain), now + 0.3);
+    const panOverride = this.getRouteMix(routeId).pan;
+    this.queueParameterUpdate(route.panner.pan, panOverride !== null ? panOverride : values.pan, now + 0.5);
+    route.reverbSend.gain.setTargetAtTime(values.reverbSend, now, 0.1);
+
+    // Change the rate without losing the pulse's phase
+    if (route.isPlaying) this.scheduler.setRate(routeId, route.pulseRate);
+  }
 
-      // Queue batched parameter updates for better performance
-      this.queueParameterUpdate(route.oscillator.frequency, frequency, now + 0.5);
-      this.queueParameterUpdate(route.filter.frequency, frequency * 3, now + 0.5);
-      this.queueParameterUpdate(route.volume.gain, this.dbToLinear(routeVolumeDb), now + 0.3);
-      this.queueParameterUpdate(route.panner.pan, pan, now + 0.5);
+  getMappings() {
+    return this.mappings.getMappings();
+  }
 
-      // Start playing if not already
-      if (!route.isPlaying) {
-        const intervalMs = 1000 / pulseRate;
-        route.pulseInterval = setInterval(() => {
-          this.triggerPulse(route);
-        }, intervalMs);
+  /**
+   * Replace the whole mapping matrix
+   * @param {Array<Object>} mappings - See MappingMatrix
+   */
+  setMappings(mappings) {
+    this.mappings.setMappings(mappings);
+    this.remapRoutes();
+  }
 
-        route.isPlaying = true;
-      } else {
-        // Update pulse rate
-        if (route.pulseInterval) {
-          clearInterval(route.pulseInterval);
+  /**
+   * Add or change the mapping in one cell of the matrix
+   * @param {Object} mapping - See MappingMatrix
+   */
+  setMapping(mapping) {
+    this.mappings.set(mapping);
+    this.remapRoutes();
+  }
+
+  removeMapping(source, target) {
+    this.mappings.remove(source, target);
+    this.remapRoutes();
+  }
+
+  getParameters() {
+    return JSON.parse(JSON.stringify(this.parameters));
+  }
+
+  /**
+   * Override the AUDIO groups listed in PRESETS.PARAMETER_GROUPS for this
+   * manager; the shared constants are left alone. Anything left out of
+   * `parameters` goes back to its default. Generated reverb spaces pick up
+   * EFFECTS changes the next time a space is applied.
+   * @param {Object} parameters - e.g. { ENVELOPE: { ATTACK: 0.1 }, FREQUENCY: { BASE_MIN_HZ: 60 } }
+   */
+  setParameters(parameters) {
+    RoutePulseAudioManager.validateParameters(parameters);
+
+    this.parameters = JSON.parse(JSON.stringify(parameters));
+    this.settings = RoutePulseAudioManager.mergeParameters(DEFAULT_AUDIO_PARAMETERS, this.parameters);
+
+    this.baseFreqRange = [this.settings.FREQUENCY.BASE_MIN_HZ, this.settings.FREQUENCY.BASE_MAX_HZ];
+    if (this.reverb) this.reverb.setEffects(this.settings.EFFECTS);
+    this.setMasterVolume(this.masterVolume);
+    this.retuneRoutes();
+    this.remapRoutes();
+  }
+
+  /**
+   * Check parameter overrides: only numbers that already exist in an
+   * overridable group can be set, each within its PRESETS.PARAMETER_RANGES entry
+   * @param {Object} parameters
+   */
+  static validateParameters(parameters, defaults = DEFAULT_AUDIO_PARAMETERS, ranges = SHARED_CONSTANTS.PRESETS.PARAMETER_RANGES, path = '') {
+    if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+      throw new Error(`${path || 'parameters'} must be an object`);
+    }
+
+    Object.entries(parameters).forEach(([key, value]) => {
+      const name = path ? `${path}.${key}` : key;
+      const fallback = Object.prototype.hasOwnProperty.call(defaults, key) ? defaults[key] : undefined;
+      const range = ranges && (ranges[key] || ranges['*']);
+
+      if (typeof fallback === 'number' && range) {
+        if (!Number.isFinite(value)) throw new Error(`${name} must be a number`);
+        if (value < range[0] || value > range[1]) {
+          throw new Error(`${name} must be between ${range[0]} and ${range[1]}, got ${value}`);
         }
-        const intervalMs = 1000 / pulseRate;
-        route.pulseInterval = setInterval(() => {
-          this.triggerPulse(route);
-        }, intervalMs);
+      } else if (fallback && typeof fallback === 'object' && !Array.isArray(fallback)) {
+        RoutePulseAudioManager.validateParameters(value, fallback, range, name);
+      } else {
+        throw new Error(`${name} can't be set by a preset`);
       }
+    });
+  }
 
-    } catch (error) {
-      console.error(`Failed to update route ${routeId}:`, error);
+  /**
+   * @param {Object} defaults
+   * @param {Object} overrides - Validated parameters
+   * @returns {Object} `defaults` with `overrides` merged over it, leaving both unchanged
+   */
+  static mergeParameters(defaults, overrides) {
+    const merged = { ...defaults };
+    Object.entries(overrides).forEach(([key, value]) => {
+      merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+        ? RoutePulseAudioManager.mergeParameters(defaults[key], value)
+        : value;
+    });
+    return merged;
+  }
+
+  remapRoutes() {
+    if (!this.isStarted) return;
+
+    this.routes.forEach((route, routeId) => {
+      if (route.busCount > 0) this.applyRouteMapping(routeId, route);
+    });
+    this.flushParameterUpdates();
+  }
+
+  /**
+   * Route pitch: the base frequency bent by the mapped pitch, snapped to the scale
+   * @param {Object} route - Route audio data
+   * @returns {number} Hz
+   */
+  getRouteFrequency(route) {
+    return this.quantize(route.baseFreq * (1 + route.pitchMod));
+  }
+
+  /**
+   * Queue a route's oscillator, modulator and filter to follow a new pitch
+   * @param {Object} route - Route audio data
+   * @param {number} frequency - Hz, before the voice's FREQ_RATIO
+   * @param {number} time - Audio context time to arrive at it
+   */
+  setRouteFrequency(route, frequency, time) {
+    route.currentFreq = frequency;
+
+    this.queueParameterUpdate(route.oscillator.frequency, frequency * route.freqRatio, time);
+    if (route.modulator) {
+      const modFreq = frequency * route.freqRatio * this.getVoiceSettings(route.voice).MOD_RATIO;
+      this.queueParameterUpdate(route.modulator.frequency, modFreq, time);
+      if (route.voice === 'fm') {
+        this.queueParameterUpdate(route.modGain.gain, AUDIO_CONSTANTS.VOICES.FM.MOD_INDEX * modFreq, time);
+      }
     }
+    this.queueParameterUpdate(route.filter.frequency, frequency * route.filterRatio, time);
   }
 
-  triggerPulse(route) {
+  /**
+   * Play one pulse of a route's voice
+   * @param {Object} route - Route audio data
+   * @param {number} now - Audio context time to play it at (from the scheduler)
+   */
+  triggerPulse(route, now = this.audioContext.currentTime) {
     try {
-      const now = this.audioContext.currentTime;
-
       // Prevent pulse overlapping for performance
       if (now - route.lastPulseTime < 0.05) return;
       route.lastPulseTime = now;
 
+      if (route.voice !== 'pulse') {
+        this.triggerVoice(route, now);
+        return;
+      }
+
       // Use amplitude modulation instead of creating new oscillators
-      const attackTime = AUDIO_CONSTANTS.ENVELOPE.ATTACK;
-      const decayTime = AUDIO_CONSTANTS.ENVELOPE.DECAY;
-      const sustainLevel = AUDIO_CONSTANTS.ENVELOPE.SUSTAIN;
-      const releaseTime = AUDIO_CONSTANTS.ENVELOPE.RELEASE;
-      const duration = 0.25;
+      const attackTime = this.settings.ENVELOPE.ATTACK;
+      const decayTime = this.settings.ENVELOPE.DECAY * route.envelopeScale;
+      const sustainLevel = this.settings.ENVELOPE.SUSTAIN;
+      const releaseTime = this.settings.ENVELOPE.RELEASE;
+      const duration = 0.25 * route.envelopeScale;
+      this.captureMidiNote(route, now, duration);
 
       // ADSR envelope using existing gain node
       route.pulseGain.gain.setValueAtTime(0, now);
@@ -408,17 +656,79 @@ class RoutePulseAudioManager {
     }
   }
 
+  /**
+   * Capture a route note for the MIDI recording, at the pitch and volume it plays with
+   * @param {Object} route - Route audio data
+   * @param {number} time - Audio context time
+   * @param {number} duration - Seconds
+   */
+  captureMidiNote(route, time, duration) {
+    const mixGain = this.getRouteMixGain(route.routeId);
+    if (!this.midiRecorder || mixGain === 0) return; // Routes muted in the mixer aren't recorded
+
+    const velocity = MidiRecorder.gainToVelocity(route.gainDb, mixGain);
+    const note = MidiRecorder.frequencyToNote(route.currentFreq * route.freqRatio);
+    this.midiRecorder.addNote(route.routeId, note, velocity, time, duration);
+  }
+
+  /**
+   * Strike the FM drone, bell or pluck voices. Envelopes start from the level
+   * the previous strike reaches at that time, so overlapping strikes don't click.
+   * @param {Object} route - Route audio data
+   * @param {number} now - Audio context time
+   */
+  triggerVoice(route, now) {
+    const settings = this.getVoiceSettings(route.voice);
+    const gain = route.pulseGain.gain;
+    const decay = settings.DECAY * route.envelopeScale;
+
+    if (gain.cancelAndHoldAtTime) {
+      gain.cancelAndHoldAtTime(now);
+    } else {
+      gain.cancelScheduledValues(now);
+      gain.setValueAtTime(gain.value, now);
+    }
+    gain.linearRampToValueAtTime(settings.LEVEL, now + settings.ATTACK);
+
+    if (route.voice === 'fm') {
+      // Slow swell that holds, then fades
+      const duration = settings.DURATION * route.envelopeScale;
+      this.captureMidiNote(route, now, duration);
+      gain.linearRampToValueAtTime(settings.SUSTAIN * settings.LEVEL, now + duration * 0.6);
+      gain.linearRampToValueAtTime(0, now + duration);
+      return;
+    }
+
+    gain.exponentialRampToValueAtTime(0.001, now + decay);
+    gain.setValueAtTime(0, now + decay);
+    this.captureMidiNote(route, now, decay);
+
+    const pitch = route.currentFreq * route.freqRatio;
+    if (route.voice === 'bell') {
+      // Bright strike mellowing into a purer tone
+      const modIndex = route.modGain.gain;
+      modIndex.cancelScheduledValues(now);
+      modIndex.setValueAtTime(settings.MOD_INDEX * pitch * settings.MOD_RATIO, now);
+      modIndex.exponentialRampToValueAtTime(1, now + decay);
+    } else if (route.voice === 'pluck') {
+      const cutoff = route.toneFilter.frequency;
+      cutoff.cancelScheduledValues(now);
+      cutoff.setValueAtTime(pitch * settings.FILTER_START_RATIO, now);
+      cutoff.exponentialRampToValueAtTime(pitch * settings.FILTER_END_RATIO, now + decay);
+    }
+  }
+
   triggerArrivalBlast(routeId, delaySeconds, lat, lon) {
     if (!this.isStarted) return;
 
     try {
       // Clamp delay to 0-600 seconds range
-      const clampedDelay = Math.max(0, Math.min(AUDIO_CONSTANTS.ARRIVAL.MAX_DELAY_SECONDS, delaySeconds));
+      const clampedDelay = Math.max(0, Math.min(this.settings.ARRIVAL.MAX_DELAY_SECONDS, delaySeconds));
 
       // Calculate variable duration based on delay (longer delays = longer blasts)
-      const delayNormalized = clampedDelay / AUDIO_CONSTANTS.ARRIVAL.MAX_DELAY_SECONDS;
-      const duration = AUDIO_CONSTANTS.ARRIVAL.NOISE_DURATION_MIN +
-        (delayNormalized * (AUDIO_CONSTANTS.ARRIVAL.NOISE_DURATION_MAX - AUDIO_CONSTANTS.ARRIVAL.NOISE_DURATION_MIN));
+      const delayNormalized = clampedDelay / this.settings.ARRIVAL.MAX_DELAY_SECONDS;
+      const duration = this.settings.ARRIVAL.NOISE_DURATION_MIN +
+        (delayNormalized * (this.settings.ARRIVAL.NOISE_DURATION_MAX - this.settings.ARRIVAL.NOISE_DURATION_MIN));
 
       const now = this.audioContext.currentTime;
 
@@ -426,21 +736,21 @@ class RoutePulseAudioManager {
       const filterFreq = this.mapRange(
         delayNormalized,
         [0, 1],
-        [AUDIO_CONSTANTS.ARRIVAL.FILTER_FREQ_MIN, AUDIO_CONSTANTS.ARRIVAL.FILTER_FREQ_MAX]
+        [this.settings.ARRIVAL.FILTER_FREQ_MIN, this.settings.ARRIVAL.FILTER_FREQ_MAX]
       );
 
       // Determine discrete bitcrush level based on delay thresholds
-      let bitcrushLevel = AUDIO_CONSTANTS.ARRIVAL.BITCRUSH_LEVELS.NONE;
+      let bitcrushLevel = this.settings.ARRIVAL.BITCRUSH_LEVELS.NONE;
       let bitcrushLabel = bitcrushLevel.label;
 
-      if (clampedDelay >= AUDIO_CONSTANTS.ARRIVAL.DELAY_THRESHOLDS.HEAVY_BITCRUSH) {
-        bitcrushLevel = AUDIO_CONSTANTS.ARRIVAL.BITCRUSH_LEVELS.HEAVY;
+      if (clampedDelay >= this.settings.ARRIVAL.DELAY_THRESHOLDS.HEAVY_BITCRUSH) {
+        bitcrushLevel = this.settings.ARRIVAL.BITCRUSH_LEVELS.HEAVY;
         bitcrushLabel = bitcrushLevel.label;
-      } else if (clampedDelay >= AUDIO_CONSTANTS.ARRIVAL.DELAY_THRESHOLDS.MEDIUM_BITCRUSH) {
-        bitcrushLevel = AUDIO_CONSTANTS.ARRIVAL.BITCRUSH_LEVELS.MEDIUM;
+      } else if (clampedDelay >= this.settings.ARRIVAL.DELAY_THRESHOLDS.MEDIUM_BITCRUSH) {
+        bitcrushLevel = this.settings.ARRIVAL.BITCRUSH_LEVELS.MEDIUM;
         bitcrushLabel = bitcrushLevel.label;
-      } else if (clampedDelay >= AUDIO_CONSTANTS.ARRIVAL.DELAY_THRESHOLDS.LIGHT_BITCRUSH) {
-        bitcrushLevel = AUDIO_CONSTANTS.ARRIVAL.BITCRUSH_LEVELS.LIGHT;
+      } else if (clampedDelay >= this.settings.ARRIVAL.DELAY_THRESHOLDS.LIGHT_BITCRUSH) {
+        bitcrushLevel = this.settings.ARRIVAL.BITCRUSH_LEVELS.LIGHT;
         bitcrushLabel = bitcrushLevel.label;
       }
 
@@ -455,11 +765,11 @@ class RoutePulseAudioManager {
 
       noiseSource.buffer = noiseBuffer;
 
-      // Scale arrival blast volume based on route bus count for consistent mix balance
+      // Scale arrival blast volume with the route's mapped gain for consistent mix balance
       const route = this.routes.get(routeId);
-      const routeBusCount = route ? route.busCount : 1;
-      const routeVolumeScale = this.dbToLinear(this.calculateRouteVolumeDb(routeBusCount));
-      const arrivalVolume = this.dbToLinear(AUDIO_CONSTANTS.ARRIVAL.VOLUME_DB) * routeVolumeScale;
+      const routeVolumeScale = this.dbToLinear(route ? route.gainDb : this.settings.VOLUME.ROUTE_MIN_DB);
+      const arrivalVolume = this.dbToLinear(this.settings.ARRIVAL.VOLUME_DB) * routeVolumeScale * this.getRouteMixGain(routeId);
+      if (arrivalVolume === 0) return; // Muted in the mixer
 
       volume.gain.value = arrivalVolume;
 
@@ -469,43 +779,64 @@ class RoutePulseAudioManager {
       filter.Q.value = 1;
 
       // Map position to stereo pan
-      const pan = this.mapRange(lon, this.bounds[1], [-AUDIO_CONSTANTS.EFFECTS.PAN_RANGE, AUDIO_CONSTANTS.EFFECTS.PAN_RANGE]);
+      const pan = this.mapRange(lon, this.bounds[1], [-this.settings.EFFECTS.PAN_RANGE, this.settings.EFFECTS.PAN_RANGE]);
       panner.pan.value = pan;
 
-      // Update bitcrusher for this discrete level
-      this.updateBitcrusherCurve(bitcrushLevel.intensity);
+      // Each blast gets its own effect instances, so overlapping blasts don't share settings
+      const effects = [];
+      let tailSeconds = 0; // How long the effects ring on after the noise stops
+      if (this.effectsReady) {
+        // Tune the noise to the route's pitch
+        if (route) {
+          const combDelay = 1 / (route.currentFreq * route.freqRatio);
+          const feedback = Math.abs(this.settings.ARRIVAL.COMB.FEEDBACK);
+          // Periods for the feedback to decay to -80 dB, as the worklet measures it
+          tailSeconds = feedback > 0 ? combDelay * Math.log(0.0001) / Math.log(feedback) : 0;
+          effects.push(this.createEffect('comb-filter', {
+            delayTime: combDelay,
+            feedback: this.settings.ARRIVAL.COMB.FEEDBACK,
+            mix: this.settings.ARRIVAL.COMB.MIX
+          }));
+        }
+        if (bitcrushLevel.intensity > 0.1) {
+          effects.push(this.createEffect('bitcrusher', {
+            bitDepth: bitcrushLevel.bitDepth,
+            reduction: bitcrushLevel.reduction
+          }));
+          effects.push(this.createEffect('saturation', { drive: bitcrushLevel.drive }));
+        }
+      }
 
       // Connect audio chain
       noiseSource.connect(volume);
       volume.connect(panner);
       panner.connect(filter);
-
-      // Apply bitcrushing if needed
-      if (bitcrushLevel.intensity > 0.1) {
-        filter.connect(this.bitcrusherWaveShaper);
-        this.bitcrusherWaveShaper.connect(this.reverb.reverbInput);
-      } else {
-        filter.connect(this.reverb.reverbInput);
-      }
+      [filter, ...effects].reduce((node, effect) => node.connect(effect));
+      (effects[effects.length - 1] || filter).connect(this.reverb.input);
 
       // Play the blast with variable duration
       noiseSource.start(now);
       noiseSource.stop(now + duration);
 
+      if (this.midiRecorder) {
+        const velocity = MidiRecorder.gainToVelocity(route ? route.gainDb : this.settings.VOLUME.ROUTE_MIN_DB, this.getRouteMixGain(routeId));
+        this.midiRecorder.addController(routeId, MidiRecorder.delayToController(clampedDelay, this.settings.ARRIVAL.MAX_DELAY_SECONDS), now);
+        this.midiRecorder.addNote(routeId, AUDIO_CONSTANTS.MIDI.ARRIVAL_NOTE, velocity, now, duration);
+      }
 
-      // Efficient cleanup
+      // Efficient cleanup, once the effects' tail has rung out
       noiseSource.addEventListener('ended', () => {
-        try {
-          noiseSource.disconnect();
-          volume.disconnect();
-          panner.disconnect();
-          filter.disconnect();
-          if (bitcrushLevel.intensity > 0.1) {
-            this.bitcrusherWaveShaper.disconnect();
+        setTimeout(() => {
+          try {
+            noiseSource.disconnect();
+            volume.disconnect();
+            panner.disconnect();
+            filter.disconnect();
+            effects.forEach(effect => effect.disconnect());
+          } catch (cleanupError) {
+            // Ignore cleanup errors
           }
-        } catch (cleanupError) {
-          // Ignore cleanup errors
-        }
+        }, tailSeconds * 1000);
       });
 
     } catch (error) {
@@ -521,50 +852,189 @@ class RoutePulseAudioManager {
     try {
       const disruptionDuration = Math.min(delayIntensity / 50, AUDIO_CONSTANTS.TIMING.DISRUPTION_MAX_SECONDS);
 
-      // Temporarily slow down the pulse 
-      if (route.pulseInterval) {
-        clearInterval(route.pulseInterval);
+      // Temporarily slow down the pulse; the scheduler returns to the route's own rate afterwards
+      this.scheduler.holdRate(routeId, AUDIO_CONSTANTS.TIMING.DISRUPTION_SLOW_HZ, disruptionDuration);
+
+      // Open the filter, then close it again once the disruption is over
+      const now = this.audioContext.currentTime;
+      this.queueParameterUpdate(route.filter.frequency, route.baseFreq * 6, now + 0.1);
+      this.queueParameterUpdate(route.filter.frequency, route.currentFreq * 3, now + disruptionDuration + 0.5);
+
+      // The controller follows the filter: up with the delay, back to 0 when it closes
+      if (this.midiRecorder && this.getRouteMixGain(routeId) > 0) {
+        this.midiRecorder.addController(routeId, MidiRecorder.delayToController(delayIntensity, this.settings.ARRIVAL.MAX_DELAY_SECONDS), now + 0.1);
+        this.midiRecorder.addController(routeId, 0, now + disruptionDuration + 0.5);
+      }
+
+    } catch (error) {
+      console.error(`Failed to trigger delay event for route ${routeId}:`, error);
+    }
+  }
+
+  /**
+   * Mark the routes with an active service alert; the rest lose their alert drone
+   * @param {Iterable} routeIds - Cleaned route IDs
+   */
+  setRouteAlerts(routeIds) {
+    this.alertedRoutes = new Set(Array.from(routeIds, String));
+    if (!this.isStarted) return;
 
-        // Slower interval during disruption
-        const slowIntervalMs = 1000 / AUDIO_CONSTANTS.TIMING.DISRUPTION_SLOW_HZ;
-        route.pulseInterval = setInterval(() => {
-          this.triggerPulse(route);
-        }, slowIntervalMs);
+    this.routes.forEach((route, routeId) => {
+      const isAlerted = this.alertedRoutes.has(String(routeId));
+      if (isAlerted && !route.alertDrone) {
+        this.startAlertDrone(route);
+      } else if (!isAlerted && route.alertDrone) {
+        this.stopAlertDrone(route);
       }
+    });
+  }
 
-      // Add filter modulation efficiently
+  startAlertDrone(route) {
+    try {
       const now = this.audioContext.currentTime;
-      this.queueParameterUpdate(route.filter.frequency, route.baseFreq * 6, now + 0.1);
+      const droneFreq = route.baseFreq * AUDIO_CONSTANTS.ALERT.DRONE_FREQ_RATIO;
+
+      // Two sawtooths detuned in opposite directions beat against each other
+      const oscillators = [-1, 1].map(direction => {
+        const oscillator = this.audioContext.createOscillator();
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.value = droneFreq;
+        oscillator.detune.value = direction * AUDIO_CONSTANTS.ALERT.DETUNE_CENTS;
+        return oscillator;
+      });
 
-      // Return to normal after disruption
-      setTimeout(() => {
-        if (route.isPlaying && route.busCount > 0) {
-          // Restore normal pulse rate
-          const normalPulseRate = this.mapRange(
-            Math.min(route.busCount, this.maxBusesPerRoute),
-            [1, this.maxBusesPerRoute],
-            this.pulseRateRange
-          );
-
-          if (route.pulseInterval) {
-            clearInterval(route.pulseInterval);
-          }
+      // Slow LFO sweeping a resonant lowpass between SWEEP_MIN_HZ and SWEEP_MAX_HZ
+      const filter = this.audioContext.createBiquadFilter();
+      const sweepCenter = (AUDIO_CONSTANTS.ALERT.SWEEP_MIN_HZ + AUDIO_CONSTANTS.ALERT.SWEEP_MAX_HZ) / 2;
+      filter.type = 'lowpass';
+      filter.frequency.value = sweepCenter;
+      filter.Q.value = 6;
+
+      const lfo = this.audioContext.createOscillator();
+      const lfoDepth = this.audioContext.createGain();
+      lfo.frequency.value = AUDIO_CONSTANTS.ALERT.SWEEP_HZ;
+      lfoDepth.gain.value = sweepCenter - AUDIO_CONSTANTS.ALERT.SWEEP_MIN_HZ;
+      lfo.connect(lfoDepth);
+      lfoDepth.connect(filter.frequency);
+
+      // Fade in so alerts arriving mid-piece don't click
+      const gain = this.audioContext.createGain();
+      gain.gain.setValueAtTime(0, now);
+      gain.gain.linearRampToValueAtTime(this.dbToLinear(AUDIO_CONSTANTS.ALERT.VOLUME_DB), now + AUDIO_CONSTANTS.ALERT.FADE_SECONDS);
+
+      // Joins the route's chain after its volume, so it pans with the route
+      oscillators.forEach(oscillator => oscillator.connect(filter));
+      filter.connect(gain);
+      gain.connect(route.panner);
+
+      oscillators.forEach(oscillator => oscillator.start(now));
+      lfo.start(now);
+
+      route.alertDrone = { oscillators, lfo, lfoDepth, filter, gain };
+    } catch (error) {
+      console.error('Failed to start alert drone:', error);
+    }
+  }
 
-          const intervalMs = 1000 / normalPulseRate;
-          route.pulseInterval = setInterval(() => {
-            this.triggerPulse(route);
-          }, intervalMs);
+  stopAlertDrone(route, immediate = false) {
+    const drone = route.alertDrone;
+    if (!drone) return;
+    route.alertDrone = null;
 
-          const restoreTime = this.audioContext.currentTime;
-          this.queueParameterUpdate(route.filter.frequency, route.baseFreq * 3, restoreTime + 0.5);
-        }
-      }, disruptionDuration * 1000);
+    try {
+      const now = this.audioContext.currentTime;
+      const stopTime = immediate ? now : now + AUDIO_CONSTANTS.ALERT.FADE_SECONDS;
 
+      drone.gain.gain.cancelScheduledValues(now);
+      drone.gain.gain.setValueAtTime(drone.gain.gain.value, now);
+      drone.gain.gain.linearRampToValueAtTime(0, stopTime);
+
+      drone.oscillators.forEach(oscillator => oscillator.stop(stopTime));
+      drone.lfo.stop(stopTime);
+      drone.oscillators[0].addEventListener('ended', () => {
+        try {
+          drone.oscillators.forEach(oscillator => oscillator.disconnect());
+          drone.lfo.disconnect();
+          drone.lfoDepth.disconnect();
+          drone.filter.disconnect();
+          drone.gain.disconnect();
+        } catch (cleanupError) {
+          // Ignore cleanup errors
+        }
+      });
     } catch (error) {
-      console.error(`Failed to trigger delay event for route ${routeId}:`, error);
+      console.warn('Error stopping alert drone:', error);
     }
   }
 
+  getRouteMix(routeId) {
+    return this.routeMix.get(String(routeId)) || { muted: false, soloed: false, gainDb: 0, pan: null };
+  }
+
+  /**
+   * Change a route's mixer settings
+   * @param {string} routeId
+   * @param {Object} changes - Any of { muted, soloed, gainDb, pan } (pan null returns to the computed pan)
+   */
+  setRouteMix(routeId, changes) {
+    const mix = { ...this.getRouteMix(routeId), ...changes };
+    mix.gainDb = Math.max(AUDIO_CONSTANTS.MIXER.TRIM_MIN_DB, Math.min(AUDIO_CONSTANTS.MIXER.TRIM_MAX_DB, mix.gainDb));
+    this.routeMix.set(String(routeId), mix);
+    this.applyRouteMix();
+  }
+
+  /**
+   * @returns {Set<string>} IDs of soloed routes (empty when nothing is soloed)
+   */
+  getSoloedRoutes() {
+    const soloed = new Set();
+    this.routeMix.forEach((mix, routeId) => {
+      if (mix.soloed) soloed.add(routeId);
+    });
+    return soloed;
+  }
+
+  /**
+   * While any route is soloed only soloed routes play; muting wins over soloing
+   * @param {string} routeId
+   * @returns {number} Linear gain for the route's mixer stage
+   */
+  getRouteMixGain(routeId) {
+    const mix = this.getRouteMix(routeId);
+    const soloed = this.getSoloedRoutes();
+    if (mix.muted || (soloed.size > 0 && !mix.soloed)) return 0;
+    return this.dbToLinear(mix.gainDb);
+  }
+
+  // Solo changes affect every route, so all of them are re-applied
+  applyRouteMix() {
+    if (!this.isStarted) return;
+
+    const now = this.audioContext.currentTime;
+    this.routes.forEach((route, routeId) => {
+      const mix = this.getRouteMix(routeId);
+      route.mixGain.gain.setTargetAtTime(this.getRouteMixGain(routeId), now, AUDIO_CONSTANTS.MIXER.RAMP_SECONDS);
+      route.panner.pan.cancelScheduledValues(now);
+      route.panner.pan.setTargetAtTime(mix.pan !== null ? mix.pan : route.autoPan, now, AUDIO_CONSTANTS.MIXER.RAMP_SECONDS);
+    });
+  }
+
+  /**
+   * The pan a route is playing at: the mixer override, or the computed one
+   * @param {string} routeId
+   * @returns {number} -1 to 1
+   */
+  getRoutePan(routeId) {
+    const pan = this.getRouteMix(routeId).pan;
+    if (pan !== null) return pan;
+    const route = this.routes.get(routeId);
+    return route ? route.autoPan : 0;
+  }
+
+  isRouteAlerted(routeId) {
+    return this.alertedRoutes.has(String(routeId));
+  }
+
   removeRoute(routeId) {
     const route = this.routes.get(routeId);
     if (!route) return;
@@ -572,28 +1042,35 @@ class RoutePulseAudioManager {
     try {
       // Stop pulse generation immediately
       if (route.isPlaying) {
-        if (route.pulseInterval) {
-          clearInterval(route.pulseInterval);
-          route.pulseInterval = null;
-        }
+        if (this.scheduler) this.scheduler.remove(routeId);
         route.isPlaying = false;
       }
 
+      this.stopAlertDrone(route, true);
+
       // Clean up audio nodes efficiently
       try {
         if (route.oscillator) {
           route.oscillator.stop();
           route.oscillator.disconnect();
         }
+        if (route.modulator) {
+          route.modulator.stop();
+          route.modulator.disconnect();
+        }
       } catch (error) {
         // Ignore cleanup errors for stopped oscillators
       }
 
       try {
+        if (route.modGain) route.modGain.disconnect();
+        if (route.toneFilter) route.toneFilter.disconnect();
         if (route.pulseGain) route.pulseGain.disconnect();
         if (route.filter) route.filter.disconnect();
         if (route.volume) route.volume.disconnect();
         if (route.panner) route.panner.disconnect();
+        if (route.mixGain) route.mixGain.disconnect();
+        if (route.reverbSend) route.reverbSend.disconnect();
       } catch (error) {
         console.warn(`Error disconnecting nodes for route ${routeId}:`, error);
       }
@@ -629,60 +1106,63 @@ class RoutePulseAudioManager {
 
     this.routes.forEach((route, routeId) => {
       if (route.isPlaying) {
-        // Stop pulse intervals
-        if (route.pulseInterval) {
-          clearInterval(route.pulseInterval);
-          route.pulseInterval = null;
-        }
         route.isPlaying = false;
       }
 
+      this.stopAlertDrone(route, true);
+
       // Stop and disconnect all audio nodes
       try {
         if (route.oscillator) {
           route.oscillator.stop();
           route.oscillator.disconnect();
         }
+        if (route.modulator) {
+          route.modulator.stop();
+          route.modulator.disconnect();
+        }
+        if (route.modGain) route.modGain.disconnect();
+        if (route.toneFilter) route.toneFilter.disconnect();
         if (route.pulseGain) route.pulseGain.disconnect();
         if (route.volume) route.volume.disconnect();
         if (route.filter) route.filter.disconnect();
         if (route.panner) route.panner.disconnect();
+        if (route.mixGain) route.mixGain.disconnect();
+        if (route.reverbSend) route.reverbSend.disconnect();
       } catch (error) {
         // Ignore cleanup errors (node may already be stopped/disconnected)
       }
     });
 
-    // Clear all routes
+    // Clear all routes and their scheduled pulses
     this.routes.clear();
+    if (this.scheduler) this.scheduler.stop();
   }
 
   resumeAllAudio() {
     this.routes.forEach((route, routeId) => {
       if (!route.isPlaying && route.busCount > 0) {
-        const pulseRate = this.mapRange(
-          Math.min(route.busCount, this.maxBusesPerRoute),
-          [1, this.maxBusesPerRoute],
-          this.pulseRateRange
-        );
-
-        const intervalMs = 1000 / pulseRate;
-        route.pulseInterval = setInterval(() => {
-          this.triggerPulse(route);
-        }, intervalMs);
-
+        this.scheduler.add(routeId, route.pulseRate, time => this.triggerPulse(route, time));
         route.isPlaying = true;
       }
     });
   }
 
-  calculateRouteVolumeDb(busCount) {
-    if (busCount <= 0) return AUDIO_CONSTANTS.VOLUME.ROUTE_MIN_DB;
-
-    // Logarithmic scaling: 1 bus = 0dB, 2 buses = +3dB, 4 buses = +6dB, etc.
-    const logBoost = Math.log(busCount) / Math.log(AUDIO_CONSTANTS.VOLUME.ROUTE_LOG_BASE) * 3; // 3dB per doubling
-    const clampedBoost = Math.min(logBoost, AUDIO_CONSTANTS.VOLUME.ROUTE_MAX_BOOST_DB);
+  /**
+   * @param {number} bpm - Tempo of the shared pulse grid
+   */
+  setTempo(bpm) {
+    this.tempoBpm = bpm;
+    if (this.scheduler) this.scheduler.setTempo(bpm);
+  }
 
-    return AUDIO_CONSTANTS.VOLUME.ROUTE_MIN_DB + clampedBoost;
+  /**
+   * Lock every route's pulses to the tempo grid, or let them run free
+   * @param {boolean} enabled
+   */
+  setTempoGrid(enabled) {
+    this.tempoGridEnabled = enabled;
+    if (this.scheduler) this.scheduler.setGridEnabled(enabled);
   }
 
   updateTotalBusCount() {
@@ -704,14 +1184,14 @@ class RoutePulseAudioManager {
     if (totalBuses <= 0) return 0.3; // Quiet city baseline
 
     // Linear interpolation: 10 buses = 0.5, 100+ buses = 1.0
-    const normalizedBusCount = Math.min(totalBuses, AUDIO_CONSTANTS.VOLUME.MASTER_MAX_BUSES);
+    const normalizedBusCount = Math.min(totalBuses, this.settings.VOLUME.MASTER_MAX_BUSES);
 
-    if (normalizedBusCount <= AUDIO_CONSTANTS.VOLUME.MASTER_MIN_BUSES) {
+    if (normalizedBusCount <= this.settings.VOLUME.MASTER_MIN_BUSES) {
       return 0.5;
     }
 
-    const range = AUDIO_CONSTANTS.VOLUME.MASTER_MAX_BUSES - AUDIO_CONSTANTS.VOLUME.MASTER_MIN_BUSES;
-    const position = (normalizedBusCount - AUDIO_CONSTANTS.VOLUME.MASTER_MIN_BUSES) / range;
+    const range = this.settings.VOLUME.MASTER_MAX_BUSES - this.settings.VOLUME.MASTER_MIN_BUSES;
+    const position = (normalizedBusCount - this.settings.VOLUME.MASTER_MIN_BUSES) / range;
 
     return 0.5 + (position * 0.5); // 0.5 to 1.0
   }
@@ -766,6 +1246,24 @@ class RoutePulseAudioManager {
     return { angle, magnitude };
   }
 
+  /**
+   * Circular mean of the vehicles' headings
+   * @param {Array<Object>} buses
+   * @returns {number} Degrees, 0-360
+   */
+  calculateMeanBearing(buses) {
+    let x = 0;
+    let y = 0;
+    buses.forEach(bus => {
+      const radians = (bus.position.bearing || 0) * Math.PI / 180;
+      x += Math.cos(radians);
+      y += Math.sin(radians);
+    });
+
+    const degrees = Math.atan2(y, x) * 180 / Math.PI;
+    return (degrees + 360) % 360;
+  }
+
   calculateRouteSpread(buses) {
     if (buses.length < 2) {
       return 0;
@@ -792,10 +1290,48 @@ class RoutePulseAudioManager {
   }
 
   getRouteBaseFrequency(routeId) {
-    // Hash route ID to consistent frequency
+    // Hash route ID to consistent frequency, then snap it to the scale
     const hash = this.hashString(routeId);
     const normalizedHash = (hash % 1000) / 1000;
-    return this.baseFreqRange[0] + normalizedHash * (this.baseFreqRange[1] - this.baseFreqRange[0]);
+    return this.quantize(this.baseFreqRange[0] + normalizedHash * (this.baseFreqRange[1] - this.baseFreqRange[0]));
+  }
+
+  quantize(frequency) {
+    return this.scale.quantize(frequency, MusicalScale.getKeyFrequency(this.key));
+  }
+
+  /**
+   * Change the scale pitches snap to; playing routes glide to their new pitches
+   * @param {MusicalScale} scale
+   */
+  setScale(scale) {
+    this.scale = scale;
+    this.retuneRoutes();
+  }
+
+  /**
+   * @param {string} key - Tonic, 'C' to 'B' (sharps only)
+   */
+  setKey(key) {
+    MusicalScale.getKeyFrequency(key); // Throws for unknown keys
+    this.key = key;
+    this.retuneRoutes();
+  }
+
+  retuneRoutes() {
+    if (!this.isStarted) return;
+
+    const time = this.audioContext.currentTime + AUDIO_CONSTANTS.SCALE.GLIDE_SECONDS;
+    this.routes.forEach((route, routeId) => {
+      route.baseFreq = this.getRouteBaseFrequency(routeId);
+      this.setRouteFrequency(route, this.getRouteFrequency(route), time);
+
+      if (route.alertDrone) {
+        const droneFreq = route.baseFreq * AUDIO_CONSTANTS.ALERT.DRONE_FREQ_RATIO;
+        route.alertDrone.oscillators.forEach(oscillator => this.queueParameterUpdate(oscillator.frequency, droneFreq, time));
+      }
+    });
+    this.flushParameterUpdates();
   }
 
   mapRange(value, inputRange, outputRange) {
@@ -860,13 +1396,6 @@ class RoutePulseAudioManager {
     // Clean up global nodes
     try {
       if (this.reverb) {
-        // Clean up delay-based reverb
-        if (this.reverb.delays) {
-          this.reverb.delays.forEach(({ delay, feedback }) => {
-            delay.disconnect();
-            feedback.disconnect();
-          });
-        }
         this.reverb.disconnect();
         this.reverb = null;
       }
@@ -892,14 +1421,7 @@ class RoutePulseAudioManager {
       console.warn('Error disposing master gain:', error);
     }
 
-    try {
-      if (this.bitcrusherWaveShaper) {
-        this.bitcrusherWaveShaper.disconnect();
-        this.bitcrusherWaveShaper = null;
-      }
-    } catch (error) {
-      console.warn('Error disposing bitcrusher:', error);
-    }
+    this.effectsReady = false;
 
     // Close audio context
     try {
@@ -27,8 +27,109 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
     return R * c; // Distance in meters
 }
 
+/**
+ * Build a display label for a route using static GTFS names when available
+ * @param {string|number} routeId - Cleaned route ID
+ * @param {Map} routeInfo - Cleaned route ID (as string) -> static GTFS route
+ * @returns {string} e.g. "Route 1 Island Bay - Johnsonville West" or "Route 10"
+ */
+function formatRouteLabel(routeId, routeInfo) {
+    const route = routeInfo ? routeInfo.get(String(routeId)) : null;
+    if (!route) {
+        return `Route ${routeId}`;
+    }
+
+    const shortName = route.route_short_name || routeId;
+    return route.route_long_name ? `Route ${shortName} ${route.route_long_name}` : `Route ${shortName}`;
+}
+
+/**
+ * Map a GTFS route_type (basic or extended) to a vehicle type name
+ * @param {number} routeType - GTFS route_type
+ * @returns {string|null} Vehicle type name, or null if unknown
+ */
+function vehicleTypeForRouteType(routeType) {
+    if (routeType === null || routeType === undefined) return null;
+
+    const types = SHARED_CONSTANTS.VEHICLE_TYPES;
+    const basic = Object.keys(types).find(name => types[name] === routeType);
+    if (basic) return basic;
+
+    // Extended route types (Google Transit): 100 rail, 700 bus, 1000 water, ...
+    const extended = {
+        1: 'rail', 2: 'bus', 4: 'subway', 7: 'bus', 8: 'trolleybus',
+        9: 'tram', 10: 'ferry', 12: 'ferry', 13: 'aerial_lift', 14: 'funicular'
+    };
+    return extended[Math.floor(routeType / 100)] || null;
+}
+
+/**
+ * Work out what kind of vehicle serves a route
+ * @param {string|number} routeId - Cleaned route ID
+ * @param {Map} routeInfo - Cleaned route ID (as string) -> static GTFS route
+ * @returns {string} Vehicle type name from static GTFS; without it, routes with
+ *   non-numeric IDs are assumed to be trains (Metlink numbers its bus routes)
+ */
+function getVehicleType(routeId, routeInfo) {
+    const route = routeInfo ? routeInfo.get(String(routeId)) : null;
+    const type = route ? vehicleTypeForRouteType(route.route_type) : null;
+    if (type) return type;
+
+    if (routeId === null || routeId === undefined) return 'bus';
+    return /^\d+$/.test(String(routeId)) ? 'bus' : 'rail';
+}
+
+/**
+ * Escape text from the feed for use in HTML
+ * @param {string} text - Untrusted text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Turn a name into something safe to use in a file name
+ * @param {string} text - e.g. a preset name
+ * @returns {string} Lowercase letters, digits and dashes
+ */
+function toFileName(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'untitled';
+}
+
+/**
+ * Save a blob through the browser's download prompt
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // Export for use in other modules
 window.Utils = {
     calculateDistance,
+    formatRouteLabel,
+    vehicleTypeForRouteType,
+    getVehicleType,
+    escapeHtml,
+    toFileName,
+    downloadBlob,
     EARTH_RADIUS_METERS
 };
@@ -1,27 +1,29 @@
 class WebSocketClient {
-  constructor() {
+  constructor(options = {}) {
     this.ws = null;
+    this.wsPath = options.wsPath || null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = SHARED_CONSTANTS.NETWORK.WS_RECONNECT_MAX_ATTEMPTS;
     this.reconnectDelay = SHARED_CONSTANTS.NETWORK.WS_RECONNECT_BASE_DELAY;
     this.onMessage = null;
     this.onStatusChange = null;
+
+    // State reconstructed from keyframe/delta frames
+    this.vehicles = new Map(); // vehicle id -> { id, r, la, lo, b }
+    this.updates = new Map();  // update id -> { id, r, s, d, t }
+    this.stateTimestamp = null;
+
+    this.subscription = null; // { routes, bbox, vehicleTypes } - null receives everything
   }
 
   connect() {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    let wsUrl;
-    
-    // Detect environment and configure WebSocket URL accordingly
-    if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-      // Development: Connect directly to WebSocket server port
-      const wsPort = SHARED_CONSTANTS.NETWORK.DEFAULT_WS_PORT;
-      wsUrl = `${protocol}//${window.location.hostname}:${wsPort}`;
-    } else {
-      // Production: Use proxied path through main web server
-      wsUrl = `${protocol}//${window.location.host}/projects/bus-synth/ws`;
-    }
+
+    // The server reports its WebSocket path in /api/config, relative to the page
+    // like the API itself, so it works whether or not a proxy strips a prefix
+    const wsPath = new URL(this.wsPath || SHARED_CONSTANTS.NETWORK.DEFAULT_WS_PATH, document.baseURI).pathname;
+    const wsUrl = `${protocol}//${window.location.host}${wsPath}?${this.buildQuery()}`;
     
     console.log(`Connecting to WebSocket: ${wsUrl}`);
     
@@ -32,13 +34,14 @@ class WebSocketClient {
         console.log('WebSocket connected');
         this.isConnected = true;
         this.reconnectAttempts = 0;
+        this.resetState(); // The server starts every connection with a keyframe
         this.updateStatus('Connected');
       };
 
       this.ws.onmessage = (event) => {
         try {
-          const data = JSON.parse(event.data);
-          if (this.onMessage) {
+          const data = this.decodeFrame(JSON.parse(event.data));
+          if (data && this.onMessage) {
             this.onMessage(data);
           }
         } catch (error) {
@@ -65,6 +68,115 @@ class WebSocketClient {
     }
   }
 
+  /**
+   * Protocol version plus the current subscription, so history sent on connect is filtered too
+   * @returns {string} Query string without the leading '?'
+   */
+  buildQuery() {
+    const params = new URLSearchParams({ protocol: SHARED_CONSTANTS.NETWORK.WS_PROTOCOL_VERSION });
+    if (this.subscription) {
+      if (this.subscription.routes) params.set('routes', this.subscription.routes.join(','));
+      if (this.subscription.bbox) params.set('bbox', this.subscription.bbox.join(','));
+      if (this.subscription.vehicleTypes) params.set('types', this.subscription.vehicleTypes.join(','));
+    }
+    return params.toString();
+  }
+
+  /**
+   * Only receive vehicles and updates matching the filter; omitted fields are not filtered
+   * @param {Object|null} subscription - { routes: [id], bbox: [minLat, minLon, maxLat, maxLon], vehicleTypes: [name] }
+   */
+  subscribe(subscription) {
+    this.subscription = subscription;
+    if (subscription) {
+      this.send({ type: 'subscribe', ...subscription });
+    } else {
+      this.send({ type: 'unsubscribe' });
+    }
+  }
+
+  /**
+   * Turn keyframe/delta frames back into full bus_update messages
+   * @param {Object} data - Parsed server message
+   * @returns {Object|null} Message for onMessage, or null if the frame was dropped
+   */
+  decodeFrame(data) {
+    if (data.type === 'keyframe') {
+      this.vehicles = new Map(data.vehicles.map(vehicle => [vehicle.id, vehicle]));
+      this.updates = new Map(data.updates.map(update => [update.id, update]));
+    } else if (data.type === 'delta') {
+      if (data.base !== this.stateTimestamp) {
+        // Missed a frame - ask for a fresh keyframe rather than drift out of sync
+        console.warn('WebSocket delta out of sequence, requesting keyframe');
+        this.resetState();
+        this.send({ type: 'resync' });
+        return null;
+      }
+
+      data.removed.forEach(id => this.vehicles.delete(id));
+      data.added.forEach(vehicle => this.vehicles.set(vehicle.id, vehicle));
+      data.moved.forEach(([id, la, lo, b, sp]) => {
+        const vehicle = this.vehicles.get(id);
+        if (vehicle) {
+          this.vehicles.set(id, { ...vehicle, la, lo, b, sp });
+        }
+      });
+
+      data.removedUpdates.forEach(id => this.updates.delete(id));
+      data.updates.forEach(update => this.updates.set(update.id, update));
+    } else {
+      return data;
+    }
+
+    this.stateTimestamp = data.timestamp;
+
+    const { type, vehicles, updates, base, added, moved, removed, removedUpdates, ...meta } = data;
+    return {
+      ...meta,
+      type: 'bus_update',
+      buses: Array.from(this.vehicles.values(), WebSocketClient.expandVehicle),
+      updates: Array.from(this.updates.values(), WebSocketClient.expandUpdate)
+    };
+  }
+
+  resetState() {
+    this.vehicles.clear();
+    this.updates.clear();
+    this.stateTimestamp = null;
+  }
+
+  send(message) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  // Rebuild the Metlink entity shape the rest of the app reads
+  static expandVehicle(vehicle) {
+    return {
+      id: vehicle.id,
+      vehicle: {
+        vehicle: { id: vehicle.id },
+        trip: { route_id: vehicle.r },
+        position: { latitude: vehicle.la, longitude: vehicle.lo, bearing: vehicle.b, speed: vehicle.sp },
+        occupancy_percentage: vehicle.o
+      }
+    };
+  }
+
+  static expandUpdate(update) {
+    return {
+      id: update.id,
+      trip_update: {
+        trip: { route_id: update.r },
+        stop_time_update: {
+          stop_id: update.s,
+          arrival: { delay: update.d, time: update.t }
+        }
+      }
+    };
+  }
+
   handleReconnect() {
     if (this.reconnectAttempts < this.maxReconnectAttempts) {
       this.reconnectAttempts++;